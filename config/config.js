@@ -11,8 +11,23 @@ module.exports = {
   },
   quiz: {
     questionsPerSession: 10,
-    timeoutSeconds: 30,
-    streakReward: 5
+    timeoutSeconds: 30, // per card in Blitz
+    streakReward: 5 // Blitz bonus XP for each correct answer in a row after the first
+  },
+  streaks: {
+    maxFreezes: parseInt(process.env.STREAK_MAX_FREEZES) || 2,
+    freezeGoalMultiplier: parseFloat(process.env.STREAK_FREEZE_GOAL_MULTIPLIER) || 1.5 // answers needed, relative to the daily goal, to earn a freeze
+  },
+  srs: {
+    algorithm: process.env.SRS_ALGORITHM || 'sm2', // 'sm2' or 'fsrs'
+    relearnMinutes: parseInt(process.env.SRS_RELEARN_MINUTES) || 60,
+    maxIntervalDays: parseInt(process.env.SRS_MAX_INTERVAL_DAYS) || 365,
+    requestRetention: parseFloat(process.env.SRS_REQUEST_RETENTION) || 0.9, // FSRS only
+    leeches: {
+      lapses: parseInt(process.env.SRS_LEECH_LAPSES) || 4, // forgotten after being learned
+      failures: parseInt(process.env.SRS_LEECH_FAILURES) || 8, // "Again" answers in total
+      recoveryRepetitions: parseInt(process.env.SRS_LEECH_RECOVERY) || 3 // correct reviews in a row to stop being a leech
+    }
   },
   vocabulary: {
     autoEnrichment: {
@@ -23,6 +38,26 @@ module.exports = {
     cache: {
       expiryHours: parseInt(process.env.CACHE_EXPIRY_HOURS) || 24,
       maxMemoryEntries: parseInt(process.env.CACHE_MAX_MEMORY) || 500
+    },
+    analysisCache: {
+      maxAgeDays: parseInt(process.env.ANALYSIS_CACHE_MAX_AGE_DAYS) || 0, // 0 = keep forever
+      fallbackRetryHours: parseInt(process.env.ANALYSIS_FALLBACK_RETRY_HOURS) || 24
+    },
+    analysisPregeneration: {
+      enabled: process.env.ANALYSIS_PREGEN_ENABLED === 'true',
+      maxWordsPerRun: parseInt(process.env.ANALYSIS_PREGEN_MAX_WORDS) || 50,
+      delayMs: parseInt(process.env.ANALYSIS_PREGEN_DELAY_MS) || 1000, // pause between LLM calls
+      batchSize: 10, // words analyzed between checkpoints
+      schedule: process.env.ANALYSIS_PREGEN_SCHEDULE || '0 4 * * *' // 4 AM daily
+    },
+    pluralFill: {
+      lexiconPath: process.env.PLURAL_LEXICON_PATH || './vocabulary/plurals.csv',
+      maxWordsPerRun: parseInt(process.env.PLURAL_FILL_MAX_WORDS) || 100,
+      delayMs: parseInt(process.env.PLURAL_FILL_DELAY_MS) || 1000, // pause between LLM calls
+      batchSize: 15 // nouns per LLM prompt
+    },
+    verbForms: {
+      lexiconPath: process.env.VERB_LEXICON_PATH || './vocabulary/verbs.csv'
     }
   },
   app: {
@@ -9,6 +9,15 @@ const fs = require('fs');
 const path = require('path');
 const config = require('./config/config');
 
+const vocabularyFiles = [
+  { file: './vocabulary/levels/a1-words.csv', level: 'A1' },
+  { file: './vocabulary/levels/a2-words.csv', level: 'A2' },
+  { file: './vocabulary/levels/b1-words.csv', level: 'B1' },
+  { file: './vocabulary/topics/food-drinks.csv', level: 'A1' },
+  { file: './vocabulary/topics/family.csv', level: 'A1' },
+  { file: './vocabulary/topics/travel.csv', level: 'A2' }
+];
+
 async function initializeForRailway() {
   console.log('🚂 Railway startup script started...');
   
@@ -39,15 +48,24 @@ async function initializeForRailway() {
     await migration.migrate();
     console.log('✅ Consent migration completed');
 
-    // 4. Check if vocabulary exists, if not, import it
+    // 4. Run schema migration (safe to run multiple times)
+    console.log('🔄 Running schema migration...');
+    const SchemaMigration = require('./src/database/migrate-schema');
+    const schemaMigration = new SchemaMigration();
+    await schemaMigration.migrate();
+    console.log('✅ Schema migration completed');
+
+    // 5. Check if vocabulary exists, if not, import it
     const Database = require('./src/database/models');
     const db = new Database();
     await db.connect();
     
     let vocabularyCount = 0;
+    let articleCount = 0;
     try {
       const row = db.get('SELECT COUNT(*) as count FROM vocabulary_simple');
       vocabularyCount = row.count;
+      articleCount = db.get('SELECT COUNT(*) as count FROM vocabulary_simple WHERE article IS NOT NULL').count;
     } catch (err) {
       // Table might not exist, that's ok
       console.log('📝 vocabulary_simple table not found, will be created during import');
@@ -77,15 +95,6 @@ async function initializeForRailway() {
         const importer = new SimpleVocabularyImporter();
         await importer.initialize();
 
-        const vocabularyFiles = [
-          { file: './vocabulary/levels/a1-words.csv', level: 'A1' },
-          { file: './vocabulary/levels/a2-words.csv', level: 'A2' },
-          { file: './vocabulary/levels/b1-words.csv', level: 'B1' },
-          { file: './vocabulary/topics/food-drinks.csv', level: 'A1' },
-          { file: './vocabulary/topics/family.csv', level: 'A1' },
-          { file: './vocabulary/topics/travel.csv', level: 'A2' }
-        ];
-
         let totalImported = 0;
         let totalUpdated = 0;
 
@@ -116,9 +125,51 @@ async function initializeForRailway() {
         console.error('❌ Auto-import failed:', error);
         console.log('📥 You can manually import later using: npm run import-simple');
       }
+    } else if (articleCount === 0) {
+      // Vocabulary imported before noun articles were stored
+      console.log('🏷️ No noun articles found. Backfilling from CSV files...');
+
+      try {
+        const SimpleVocabularyImporter = require('./src/scripts/importSimpleVocab');
+        const importer = new SimpleVocabularyImporter();
+        await importer.initialize();
+
+        let totalUpdated = 0;
+        for (const vocab of vocabularyFiles) {
+          if (fs.existsSync(vocab.file)) {
+            const result = await importer.importArticlesFromCSV(vocab.file);
+            totalUpdated += result.updated;
+          }
+        }
+
+        console.log(`✅ Article backfill completed: ${totalUpdated} nouns updated`);
+      } catch (error) {
+        console.error('❌ Article backfill failed:', error);
+      }
+    }
+
+    // Link words to their topic decks (safe to run multiple times)
+    try {
+      const SimpleVocabularyImporter = require('./src/scripts/importSimpleVocab');
+      const importer = new SimpleVocabularyImporter();
+      await importer.initialize();
+
+      const topicCount = importer.db.get('SELECT COUNT(*) as count FROM topics').count;
+      if (topicCount === 0) {
+        console.log('🗂️ No topics found. Importing topic decks...');
+        for (const vocab of vocabularyFiles.filter(v => v.file.includes('/topics/'))) {
+          if (fs.existsSync(vocab.file)) {
+            const result = await importer.importTopicFromCSV(vocab.file, null, vocab.level);
+            console.log(`✅ Topic ${result.topic}: ${result.linked} words`);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Topic import failed:', error);
+      console.log('📥 You can import topics later using: npm run import-simple topics');
     }
 
-    // 5. Start the bot
+    // 6. Start the bot
     console.log('🤖 Starting German Vocab Bot...');
     require('./src/bot.js');
 
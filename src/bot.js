@@ -8,7 +8,9 @@ const fs = require('fs');
 const QuizHandler = require('./commands/quiz');
 const SettingsHandler = require('./commands/settings');
 const progressHandler = require('./commands/progress');
+const leaderboardHandler = require('./commands/leaderboard');
 const adminHandler = require('./commands/admin');
+const scheduler = require('./utils/scheduler');
 const utils = require('./utils/helpers');
 
 class GermanVocabBot {
@@ -23,6 +25,7 @@ class GermanVocabBot {
     this.setupCommands();
     this.setupMenu();
     this.setupCallbacks();
+    this.setupTextHandler();
     this.setupErrorHandling();
   }
 
@@ -65,6 +68,11 @@ class GermanVocabBot {
         }
         
         ctx.dbUser = user;
+
+        // Writing to the bot again means reminders can be delivered again
+        if (user.bot_blocked_at) {
+          await this.db.setUserBotBlocked(user.id, false);
+        }
         
         // Check consent before allowing any commands except /start and consent-related callbacks
         const hasConsent = await this.db.hasUserConsent(user.id);
@@ -205,15 +213,23 @@ Use /words to explore vocabulary, /level to choose your level, then /quiz to get
 *Main Commands:*
 /start - Start the bot
 /quiz - Start a quiz (includes AI flashcards)
+/topics - Flashcards for one topic (family, food, travel...)
 /level - Choose your learning level (A1/A2/B1)
 /words - Browse available vocabulary
 /progress - View your progress
+/report - Your weekly report
+/achievements - Your XP, level and badges
+/leaderboard - Weekly leaderboards, if you joined them
 /settings - Bot settings
 
 *Quiz Types:*
 • **Article Quiz** - Learn German articles (der/die/das)
-• **Translation Quiz** - German to English translation
-• **Mixed Quiz** - Combination of both
+• **Plural Drill** - Pick or type the plural of German nouns
+• **Verb Trainer** - Conjugate verbs in Präsens, Präteritum and Perfekt
+• **Cloze** - Fill the missing word into example sentences
+• **Translation Quiz** - Multiple choice, German to English or English to German
+• **Mixed Quiz** - Translation questions in both directions
+• **Blitz** - Timed translation cards with a personal best score
 • **AI Flashcards** - Intelligent spaced repetition with real-time analysis
 
 *Features:*
@@ -237,10 +253,14 @@ Use /support to help keep this bot running!
     });
 
     this.bot.command('quiz', (ctx) => this.quizHandler.startQuiz(ctx, this.db));
+    this.bot.command('topics', (ctx) => this.quizHandler.showTopicPicker(ctx, this.db));
     this.bot.command('level', (ctx) => this.showLevelSelector(ctx));
     this.bot.command('words', (ctx) => this.showVocabularyPreview(ctx));
     this.bot.command('vocabulary', (ctx) => this.showVocabularyPreview(ctx));
-    this.bot.command('progress', progressHandler.showProgress.bind(progressHandler));
+    this.bot.command('progress', (ctx) => progressHandler.showProgress(ctx, this.db));
+    this.bot.command('report', (ctx) => progressHandler.showWeeklyReport(ctx, this.db, false));
+    this.bot.command('achievements', (ctx) => progressHandler.showAchievements(ctx, this.db, false));
+    this.bot.command('leaderboard', (ctx) => leaderboardHandler.showLeaderboard(ctx, this.db, {}, false));
     this.bot.command('settings', (ctx) => this.settingsHandler.showSettings(ctx, this.db));
     this.bot.command('support', (ctx) => this.showSupport(ctx));
     
@@ -257,6 +277,8 @@ Use /support to help keep this bot running!
     this.bot.command('analytics', (ctx) => {
       adminHandler.showUserAnalytics(ctx);
     });
+
+    this.bot.command('plurals', (ctx) => adminHandler.handlePluralsCommand(ctx, this.db));
   }
 
   setupMenu() {
@@ -264,9 +286,13 @@ Use /support to help keep this bot running!
     this.bot.telegram.setMyCommands([
       { command: 'start', description: 'Start the bot' },
       { command: 'quiz', description: 'Start a quiz' },
+      { command: 'topics', description: 'Practice a topic deck' },
       { command: 'level', description: 'Choose learning level' },
       { command: 'words', description: 'Browse vocabulary' },
       { command: 'progress', description: 'View your progress' },
+      { command: 'report', description: 'Weekly report' },
+      { command: 'achievements', description: 'XP, level and badges' },
+      { command: 'leaderboard', description: 'Weekly leaderboards (opt-in)' },
       { command: 'settings', description: 'Bot settings' },
       { command: 'support', description: 'Support the project' },
       { command: 'help', description: 'Show help' }
@@ -409,7 +435,10 @@ Every contribution, no matter how small, makes a huge difference!
       
       if (data.startsWith('consent_')) {
         await this.handleConsentCallback(ctx);
-      } else if (data.startsWith('quiz_') || data.startsWith('flashcard_')) {
+      } else if (data.startsWith('quiz_') || data.startsWith('flashcard_') ||
+                 data.startsWith('article_') || data.startsWith('plural_') ||
+                 data.startsWith('verb_') || data.startsWith('cloze_') ||
+                 data.startsWith('translation_') || data.startsWith('blitz_')) {
         await this.quizHandler.handleQuizCallback(ctx, this.db, this.activeQuizzes);
       } else if (data.startsWith('settings_')) {
         await this.settingsHandler.handleSettingsCallback(ctx, this.db);
@@ -419,14 +448,36 @@ Every contribution, no matter how small, makes a huge difference!
         await this.handleVocabCallback(ctx);
       } else if (data.startsWith('progress_')) {
         await progressHandler.handleProgressCallback(ctx, this.db);
+      } else if (data.startsWith('leaderboard_')) {
+        await leaderboardHandler.handleLeaderboardCallback(ctx, this.db);
       } else if (data.startsWith('support_')) {
         await this.handleSupportCallback(ctx);
+      } else if (data.startsWith('admin_')) {
+        await adminHandler.handleAdminCallback(ctx, this.db);
       }
       
       await ctx.answerCbQuery();
     });
   }
 
+  setupTextHandler() {
+    // Commands are registered first, so only plain text reaches this
+    this.bot.on('text', async (ctx, next) => {
+      if (ctx.message.text.startsWith('/')) {
+        return next();
+      }
+
+      // Settings, leaderboard and admin prompts waiting for a typed value take precedence
+      const handled = await this.settingsHandler.handleTextInput(ctx, this.db) ||
+        await leaderboardHandler.handleTextInput(ctx, this.db) ||
+        await adminHandler.handleTextInput(ctx, this.db) ||
+        await this.quizHandler.handleTextAnswer(ctx, this.db);
+      if (!handled) {
+        return next();
+      }
+    });
+  }
+
   async handleConsentCallback(ctx) {
     const data = ctx.callbackQuery.data;
     
@@ -594,6 +645,9 @@ Here are some words you'll learn at this level:
   async launch() {
     try {
       await this.initialize();
+
+      // Start before polling, which only returns once the bot stops
+      await scheduler.initialize(this.bot.telegram);
       
       if (config.telegram.webhookUrl) {
         await this.bot.telegram.setWebhook(config.telegram.webhookUrl);
@@ -610,6 +664,7 @@ Here are some words you'll learn at this level:
 
   async stop() {
     this.bot.stop();
+    await scheduler.shutdown();
     await this.db.close();
     console.log('Bot stopped');
   }
@@ -1,9 +1,11 @@
 const { Markup } = require('telegraf');
 const vocabularyManager = require('../services/vocabularyManager');
+const pluralService = require('../services/pluralService');
 
 class AdminHandler {
   constructor() {
     this.adminUserIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => parseInt(id.trim())).filter(id => id);
+    this.pendingInputs = new Map(); // userId -> vocabulary id of the plural being edited
   }
 
   isAdmin(userId) {
@@ -43,6 +45,11 @@ Management options for the German Vocab Bot:
       return;
     }
 
+    if (data.startsWith('admin_plural')) {
+      await this.handlePluralCallback(ctx, db);
+      return;
+    }
+
     switch (data) {
       case 'admin_stats':
         await this.showStatistics(ctx, db);
@@ -170,6 +177,165 @@ Management options for the German Vocab Bot:
   }
 
 
+  async handlePluralsCommand(ctx, db) {
+    if (!this.isAdmin(ctx.from.id)) {
+      await ctx.reply('❌ You do not have permission for admin commands.');
+      return;
+    }
+
+    await this.showPluralOverview(ctx, db, false);
+  }
+
+  async handlePluralCallback(ctx, db) {
+    const data = ctx.callbackQuery.data;
+    const [, , action, vocabularyId] = data.split('_');
+    const id = parseInt(vocabularyId);
+
+    if (action === 'menu') {
+      await this.showPluralOverview(ctx, db);
+    } else if (action === 'lexicon') {
+      const report = pluralService.fillFromLexicon(db);
+      await this.showPluralOverview(ctx, db, true,
+        `✅ Lexicon: ${report.approved} approved, ${report.none} without plural, ${report.compounds} compounds to review`);
+    } else if (action === 'llm') {
+      await this.fillPluralsWithLLM(ctx, db);
+    } else if (action === 'review') {
+      await this.showPluralReview(ctx, db);
+    } else if (action === 'ok') {
+      pluralService.approve(db, id);
+      await this.showPluralReview(ctx, db, id);
+    } else if (action === 'none') {
+      pluralService.markNone(db, id);
+      await this.showPluralReview(ctx, db, id);
+    } else if (action === 'skip') {
+      await this.showPluralReview(ctx, db, id);
+    } else if (action === 'edit') {
+      const noun = pluralService.getNoun(db, id);
+      this.pendingInputs.set(ctx.from.id, id);
+      await ctx.reply(`✏️ Type the plural of ${noun.article} ${noun.german_word}, e.g. "Häuser" or "Pizzas/Pizzen". Send "-" if it has none.`);
+    }
+  }
+
+  async showPluralOverview(ctx, db, editMessage = true, notice = null) {
+    const counts = pluralService.getStatusCounts(db);
+
+    const message = `
+🔢 *Noun Plurals*
+${notice ? `\n${notice}\n` : ''}
+• Approved: ${counts.approved}
+• Waiting for review: ${counts.pending}
+• No plural: ${counts.none}
+• Unknown: ${counts.unknown}
+
+📚 *Lexicon*: Approves nouns from the bundled list and guesses compounds
+🤖 *LLM*: Guesses plurals for up to ${pluralService.settings.maxWordsPerRun} unknown nouns
+Only approved plurals show up in the plural drill.
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('📚 Fill from Lexicon', 'admin_plural_lexicon')],
+      [Markup.button.callback('🤖 Fill with LLM', 'admin_plural_llm')],
+      [Markup.button.callback(`✅ Review Pending (${counts.pending})`, 'admin_plural_review')]
+    ]);
+
+    if (editMessage) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+
+  async fillPluralsWithLLM(ctx, db) {
+    if (pluralService.isRunning) {
+      await ctx.answerCbQuery('⏳ Already running');
+      return;
+    }
+
+    await ctx.editMessageText('🤖 Asking the LLM for plurals... I\'ll send a message when it\'s done.');
+
+    // Not awaited: a run can take longer than Telegram waits for a callback
+    pluralService.fillFromLLM(db)
+      .then(report => ctx.reply(
+        `✅ LLM plural fill done: ${report.filled} plurals to review, ${report.failed.length} failed.`,
+        Markup.inlineKeyboard([[Markup.button.callback('✅ Review Pending', 'admin_plural_review')]])
+      ))
+      .catch(error => ctx.reply(`❌ LLM plural fill failed: ${error.message}`));
+  }
+
+  /**
+   * Show the next guessed plural after afterId for approval. Edited in
+   * place for buttons, sent as a new message after a typed correction
+   */
+  async showPluralReview(ctx, db, afterId = 0, editMessage = true) {
+    const noun = pluralService.getNextPending(db, afterId);
+    const backButton = [Markup.button.callback('🔙 Plurals', 'admin_plural_menu')];
+
+    if (!noun) {
+      const message = afterId > 0
+        ? '✅ End of the list. Skipped plurals are still waiting for review.'
+        : '✅ No plurals waiting for review.';
+      const keyboard = Markup.inlineKeyboard([backButton]);
+
+      if (editMessage) {
+        await ctx.editMessageText(message, { reply_markup: keyboard.reply_markup });
+      } else {
+        await ctx.reply(message, keyboard);
+      }
+      return;
+    }
+
+    const sources = { compound: 'compound of a lexicon noun', llm: 'LLM guess' };
+    const message = `
+🔢 *Review Plural* (${noun.level})
+
+${noun.article} ${noun.german_word} (${noun.english_translation})
+→ *${noun.plural ? `die ${noun.plural}` : 'no plural'}*
+
+_Source: ${sources[noun.plural_source] || noun.plural_source}_
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [
+        Markup.button.callback('✅ Approve', `admin_plural_ok_${noun.id}`),
+        Markup.button.callback('✏️ Edit', `admin_plural_edit_${noun.id}`)
+      ],
+      [
+        Markup.button.callback('🚫 No Plural', `admin_plural_none_${noun.id}`),
+        Markup.button.callback('⏭️ Skip', `admin_plural_skip_${noun.id}`)
+      ],
+      backButton
+    ]);
+
+    if (editMessage) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+
+  /**
+   * Take a typed plural correction
+   * Returns true if the message was used
+   */
+  async handleTextInput(ctx, db) {
+    const vocabularyId = this.pendingInputs.get(ctx.from.id);
+    if (!vocabularyId) return false;
+
+    this.pendingInputs.delete(ctx.from.id);
+    const noun = pluralService.getNoun(db, vocabularyId);
+    const plural = pluralService.setPlural(db, vocabularyId, ctx.message.text);
+
+    await ctx.reply(`✅ ${noun.article} ${noun.german_word} → ${plural ? `die ${plural}` : 'no plural'}`);
+    await this.showPluralReview(ctx, db, vocabularyId, false);
+    return true;
+  }
+
   async searchSpecificWord(ctx, word) {
     if (!this.isAdmin(ctx.from.id)) {
       await ctx.reply('❌ You do not have permission for admin commands.');
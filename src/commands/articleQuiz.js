@@ -0,0 +1,226 @@
+const { Markup } = require('telegraf');
+const articleRules = require('../services/articleRules');
+const streakService = require('../services/streakService');
+const goalService = require('../services/goalService');
+const drillService = require('../services/drillService');
+const config = require('../../config/config');
+
+class ArticleQuizHandler {
+  constructor() {
+    this.activeSessions = new Map(); // userId -> session data
+  }
+
+  async startArticleQuiz(ctx, db) {
+    const userId = ctx.from.id;
+    const userSettings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const questionsPerSession = userSettings.questions_per_session || config.quiz.questionsPerSession;
+    const preferredLevel = userSettings.preferred_level || 'A1';
+
+    const nouns = await this.getArticleVocabulary(db, ctx.dbUser.id, questionsPerSession, preferredLevel);
+
+    if (nouns.length === 0) {
+      await ctx.reply(`❌ No ${preferredLevel} nouns found for the article drill. Try changing your level in /settings or check back later.`);
+      return;
+    }
+
+    const sessionId = await db.createQuizSession(ctx.dbUser.id, 'articles');
+
+    const session = {
+      sessionId,
+      userId,
+      nouns,
+      currentQuestion: 0,
+      correctAnswers: 0,
+      mistakes: [],
+      startTime: Date.now(),
+      userLevel: preferredLevel
+    };
+
+    this.activeSessions.set(userId, session);
+
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  async getArticleVocabulary(db, userId, limit, preferredLevel = 'A1') {
+    return db.all(`
+      SELECT v.id, v.german_word, v.english_translation, v.article, v.level,
+             COALESCE(ap.streak, 0) as streak,
+             COALESCE(ap.times_incorrect, 0) as times_incorrect
+      FROM vocabulary_simple v
+      LEFT JOIN article_progress ap ON v.id = ap.vocabulary_id AND ap.user_id = ?
+      WHERE v.level = ? AND v.article IS NOT NULL
+        AND (ap.next_review IS NULL OR ap.next_review <= datetime('now'))
+      ORDER BY
+        ap.streak ASC,
+        ap.times_incorrect DESC,
+        RANDOM()
+      LIMIT ?
+    `, [userId, preferredLevel, limit]);
+  }
+
+  async showCurrentQuestion(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session || session.currentQuestion >= session.nouns.length) {
+      await this.endArticleSession(ctx, db);
+      return;
+    }
+
+    const noun = session.nouns[session.currentQuestion];
+    const questionNumber = session.currentQuestion + 1;
+
+    const message = `
+🏷️ *Article Drill* ${questionNumber}/${session.nouns.length} (${session.userLevel})
+
+**… ${noun.german_word}**
+_${noun.english_translation}_
+
+Which article is it?
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [
+        Markup.button.callback('der', `article_answer_${noun.id}_der`),
+        Markup.button.callback('die', `article_answer_${noun.id}_die`),
+        Markup.button.callback('das', `article_answer_${noun.id}_das`)
+      ],
+      [Markup.button.callback('❌ End Session', 'article_end')]
+    ]);
+
+    if (session.currentQuestion === 0) {
+      await ctx.replyWithMarkdown(message, keyboard);
+    } else {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    }
+  }
+
+  async handleAnswer(ctx, db, vocabularyId, answer) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    const noun = session.nouns[session.currentQuestion];
+
+    if (noun.id !== parseInt(vocabularyId)) {
+      await ctx.answerCbQuery('❌ Card mismatch');
+      return;
+    }
+
+    const isCorrect = answer === noun.article;
+    await drillService.recordAnswer(ctx, db, session, 'article_progress', noun, isCorrect, answer);
+
+    if (isCorrect) {
+      await ctx.answerCbQuery(`✅ Richtig! ${noun.article} ${noun.german_word}`);
+
+      setTimeout(async () => {
+        await this.showCurrentQuestion(ctx, db);
+      }, 1000);
+      return;
+    }
+
+    await ctx.answerCbQuery(`❌ It's ${noun.article} ${noun.german_word}`);
+
+    const { hint } = articleRules.describe(noun.german_word, noun.article);
+    const message = `
+🏷️ *Article Drill* ${session.currentQuestion}/${session.nouns.length} (${session.userLevel})
+
+❌ Not *${answer}* - it's:
+**${noun.article} ${noun.german_word}**
+_${noun.english_translation}_
+
+💡 ${hint}
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('➡️ Next', 'article_next')],
+      [Markup.button.callback('❌ End Session', 'article_end')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  }
+
+  async endArticleSession(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session) {
+      await ctx.editMessageText('❌ No active session found.');
+      return;
+    }
+
+    const totalQuestions = session.currentQuestion;
+    const accuracy = totalQuestions > 0 ? Math.round((session.correctAnswers / totalQuestions) * 100) : 0;
+    const duration = Math.round((Date.now() - session.startTime) / 1000);
+
+    await db.updateQuizSession(session.sessionId, totalQuestions, session.correctAnswers);
+
+    let message = `
+🎉 *Article Drill Complete!*
+
+📊 *Results:*
+• Nouns answered: ${totalQuestions}
+• Correct articles: ${session.correctAnswers}
+• Accuracy: ${accuracy}%
+• Duration: ${duration} seconds
+`;
+
+    if (session.mistakes.length > 0) {
+      message += `\n🔍 *Patterns to review:*\n${this.formatPatternSummary(session.mistakes)}\n`;
+    }
+
+    message += `\n${goalService.formatSummaryLine(db, ctx.dbUser.id)}`;
+    message += `\n${streakService.formatSummaryLine(db, ctx.dbUser.id)}`;
+    if (session.freezeEarned) {
+      message += '\n🧊 You earned a streak freeze!';
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🔄 New Drill', 'article_start')],
+      [Markup.button.callback('🏷️ Article Patterns', 'progress_articles')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+
+    this.activeSessions.delete(userId);
+  }
+
+  formatPatternSummary(mistakes) {
+    return articleRules.groupMistakes(mistakes)
+      .map(group => {
+        const rule = group.article ? `${group.key} → ${group.article}` : group.key;
+        return `• ${rule}: ${group.words.join(', ')}`;
+      })
+      .join('\n');
+  }
+
+  async handleArticleCallback(ctx, db) {
+    const data = ctx.callbackQuery.data;
+
+    if (data.startsWith('article_answer_')) {
+      const [, , vocabularyId, answer] = data.split('_');
+      await this.handleAnswer(ctx, db, vocabularyId, answer);
+    } else if (data === 'article_next') {
+      await this.showCurrentQuestion(ctx, db);
+    } else if (data === 'article_start') {
+      await this.startArticleQuiz(ctx, db);
+    } else if (data === 'article_end') {
+      await this.endArticleSession(ctx, db);
+    }
+  }
+}
+
+module.exports = ArticleQuizHandler;
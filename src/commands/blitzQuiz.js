@@ -0,0 +1,337 @@
+const { Markup } = require('telegraf');
+const distractorService = require('../services/distractorService');
+const streakService = require('../services/streakService');
+const goalService = require('../services/goalService');
+const xpService = require('../services/xpService');
+const utils = require('../utils/helpers');
+const config = require('../../config/config');
+
+// Seconds between countdown edits; Telegram throttles frequent edits of a message
+const TICK_SECONDS = 5;
+
+/**
+ * Blitz: translation cards against the clock.
+ *
+ * Each card has config.quiz.timeoutSeconds to answer, counted down by
+ * editing the message. A card left unanswered counts as wrong in the
+ * session, but not as an answer for goals and streaks. A correct
+ * answer scores the seconds left on its clock and earns XP; every correct
+ * answer after the first in a row adds config.quiz.streakReward bonus XP.
+ * The score is stored in quiz_sessions.score.
+ */
+class BlitzQuizHandler {
+  constructor() {
+    this.activeSessions = new Map(); // userId -> session data
+  }
+
+  async startBlitz(ctx, db) {
+    const userId = ctx.from.id;
+    const userSettings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const questionsPerSession = userSettings.questions_per_session || config.quiz.questionsPerSession;
+    const preferredLevel = userSettings.preferred_level || 'A1';
+
+    const words = db.all(`
+      SELECT id, german_word, english_translation, article, level
+      FROM vocabulary_simple
+      WHERE level = ?
+      ORDER BY RANDOM()
+      LIMIT ?
+    `, [preferredLevel, questionsPerSession]);
+
+    if (words.length === 0) {
+      await ctx.reply(`❌ No ${preferredLevel} vocabulary found for Blitz. Try changing your level in /settings or check back later.`);
+      return;
+    }
+
+    // A new Blitz replaces one still running
+    this.stopTimer(this.activeSessions.get(userId));
+
+    const sessionId = await db.createQuizSession(ctx.dbUser.id, 'blitz');
+
+    const session = {
+      sessionId,
+      userId,
+      questions: words.map(word => this.buildQuestion(db, word)),
+      currentQuestion: 0,
+      correctAnswers: 0,
+      score: 0,
+      run: 0,
+      bestRun: 0,
+      bonusXp: 0,
+      feedback: '',
+      timer: null,
+      timeout: null,
+      deadline: null,
+      chatId: ctx.chat.id,
+      messageId: null,
+      startTime: Date.now(),
+      userLevel: preferredLevel
+    };
+
+    this.activeSessions.set(userId, session);
+
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  // Four translations to pick from, asked in a random direction
+  buildQuestion(db, word) {
+    const direction = utils.getRandomElement(['de_en', 'en_de']);
+    const showAnswer = direction === 'de_en'
+      ? w => w.english_translation
+      : w => this.formatGermanWord(w);
+
+    const options = utils.shuffleArray([word, ...distractorService.pickDistractors(db, word, 3)]).map(showAnswer);
+
+    return {
+      word,
+      direction,
+      prompt: direction === 'de_en' ? this.formatGermanWord(word) : word.english_translation,
+      options,
+      correctIndex: options.indexOf(showAnswer(word))
+    };
+  }
+
+  formatGermanWord(word) {
+    return word.article ? `${word.article} ${word.german_word}` : word.german_word;
+  }
+
+  async showCurrentQuestion(ctx, db) {
+    const session = this.activeSessions.get(ctx.from.id);
+
+    if (!session || session.currentQuestion >= session.questions.length) {
+      await this.endBlitz(ctx, db);
+      return;
+    }
+
+    session.deadline = Date.now() + config.quiz.timeoutSeconds * 1000;
+    const message = this.formatQuestion(session);
+    const keyboard = this.getQuestionKeyboard(session);
+
+    if (session.messageId === null) {
+      const sent = await ctx.replyWithMarkdown(message, keyboard);
+      session.messageId = sent.message_id;
+    } else {
+      await this.editBlitzMessage(ctx, session, message, keyboard);
+    }
+
+    session.timer = setInterval(() => {
+      this.tick(ctx, session).catch(error => console.error('Blitz countdown failed:', error));
+    }, TICK_SECONDS * 1000);
+    session.timeout = setTimeout(() => {
+      this.handleTimeout(ctx, db, session).catch(error => console.error('Blitz timeout failed:', error));
+    }, config.quiz.timeoutSeconds * 1000);
+  }
+
+  formatQuestion(session) {
+    const question = session.questions[session.currentQuestion];
+    const secondsLeft = this.getSecondsLeft(session);
+    const flag = question.direction === 'de_en' ? '🇩🇪 *German:*' : '🇺🇸 *English:*';
+    const target = question.direction === 'de_en' ? 'English' : 'German';
+
+    return `
+⚡ *Blitz* ${session.currentQuestion + 1}/${session.questions.length} (${session.userLevel}) • ${session.score} pts${session.run > 1 ? ` • 🔥 ${session.run}` : ''}
+${session.feedback ? `\n${session.feedback}\n` : ''}
+${flag}
+**${question.prompt}**
+
+⏱️ ${utils.generateProgressBar(secondsLeft, config.quiz.timeoutSeconds)} ${secondsLeft}s
+Choose the ${target} translation:
+    `;
+  }
+
+  getQuestionKeyboard(session) {
+    const question = session.questions[session.currentQuestion];
+
+    return Markup.inlineKeyboard([
+      ...question.options.map((option, index) => [
+        Markup.button.callback(option, `blitz_answer_${session.currentQuestion}_${index}`)
+      ]),
+      [Markup.button.callback('❌ End Blitz', 'blitz_end')]
+    ]);
+  }
+
+  getSecondsLeft(session) {
+    return Math.max(0, Math.ceil((session.deadline - Date.now()) / 1000));
+  }
+
+  // The quiz message is edited by id: the countdown runs without a callback to edit from
+  async editBlitzMessage(ctx, session, message, keyboard) {
+    await ctx.telegram.editMessageText(session.chatId, session.messageId, undefined, message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard && keyboard.reply_markup
+    });
+  }
+
+  async tick(ctx, session) {
+    // The session was ended or dropped for another quiz
+    if (this.activeSessions.get(session.userId) !== session) {
+      this.stopTimer(session);
+      return;
+    }
+
+    if (this.getSecondsLeft(session) > 0) {
+      await this.editBlitzMessage(ctx, session, this.formatQuestion(session), this.getQuestionKeyboard(session));
+    }
+  }
+
+  // A card left unanswered counts as wrong; nobody answered, so the
+  // activity ledger doesn't hear of it
+  async handleTimeout(ctx, db, session) {
+    this.stopTimer(session);
+    if (this.activeSessions.get(session.userId) !== session) return;
+
+    const question = session.questions[session.currentQuestion];
+    session.currentQuestion++;
+    session.run = 0;
+    session.feedback = `⏰ Time's up! ${this.formatGermanWord(question.word)} = ${question.word.english_translation}`;
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  async handleAnswer(ctx, db, questionIndex, optionIndex) {
+    const session = this.activeSessions.get(ctx.from.id);
+
+    if (!session) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    // Ignore taps on a card that was already answered or timed out
+    if (session.currentQuestion !== parseInt(questionIndex)) {
+      await ctx.answerCbQuery('⏰ Too late for that one');
+      return;
+    }
+
+    const question = session.questions[session.currentQuestion];
+    const isCorrect = parseInt(optionIndex) === question.correctIndex;
+    const secondsLeft = this.getSecondsLeft(session);
+    this.stopTimer(session);
+    session.currentQuestion++;
+
+    await this.recordAnswer(ctx, db, session, question, isCorrect, secondsLeft);
+
+    if (isCorrect) {
+      session.feedback = `✅ ${this.formatGermanWord(question.word)} = ${question.word.english_translation} (+${secondsLeft} pts)`;
+      await ctx.answerCbQuery(`✅ Richtig! +${secondsLeft} pts`);
+    } else {
+      session.feedback = `❌ ${this.formatGermanWord(question.word)} = ${question.word.english_translation}`;
+      await ctx.answerCbQuery(`❌ It's: ${question.options[question.correctIndex]}`);
+    }
+
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  async recordAnswer(ctx, db, session, question, isCorrect, secondsLeft = 0) {
+    const activity = streakService.recordAnswer(db, ctx.dbUser.id, isCorrect);
+    if (activity.freezeEarned) {
+      session.freezeEarned = true;
+    }
+    await goalService.congratulate(ctx, db, activity);
+
+    if (!isCorrect) {
+      session.run = 0;
+      return;
+    }
+
+    session.correctAnswers++;
+    session.score += secondsLeft;
+    session.run++;
+    session.bestRun = Math.max(session.bestRun, session.run);
+
+    const bonus = session.run > 1 ? config.quiz.streakReward : 0;
+    session.bonusXp += bonus;
+    xpService.award(db, ctx.dbUser.id, xpService.forAnswer('good', question.word.level) + bonus, 'blitz', session.sessionId);
+  }
+
+  stopTimer(session) {
+    if (session) {
+      clearInterval(session.timer);
+      clearTimeout(session.timeout);
+      session.timer = null;
+      session.timeout = null;
+    }
+  }
+
+  /**
+   * Best score of finished Blitz sessions, or null before the first one
+   */
+  getBestScore(db, userId) {
+    return db.get(`
+      SELECT MAX(score) as best FROM quiz_sessions
+      WHERE user_id = ? AND session_type = 'blitz' AND completed_at IS NOT NULL
+    `, [userId]).best;
+  }
+
+  async endBlitz(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session) {
+      await ctx.editMessageText('❌ No active session found.');
+      return;
+    }
+
+    this.stopTimer(session);
+    this.activeSessions.delete(userId);
+
+    const totalQuestions = session.currentQuestion;
+    const accuracy = utils.calculateAccuracy(session.correctAnswers, totalQuestions);
+    const duration = Math.round((Date.now() - session.startTime) / 1000);
+    const previousBest = this.getBestScore(db, ctx.dbUser.id);
+
+    await db.updateQuizSession(session.sessionId, totalQuestions, session.correctAnswers);
+    db.run('UPDATE quiz_sessions SET score = ? WHERE id = ?', [session.score, session.sessionId]);
+
+    const sessionXp = xpService.getSessionXp(db, ctx.dbUser.id, 'blitz', session.sessionId);
+    let bestLine = `🏅 Personal best: ${previousBest} pts`;
+    if (previousBest === null) {
+      bestLine = '🏅 Your first Blitz score!';
+    } else if (session.score > previousBest) {
+      bestLine = `🏅 *New personal best!* (was ${previousBest} pts)`;
+    }
+
+    let message = `
+⚡ *Blitz Complete!*
+${session.feedback ? `\n${session.feedback}\n` : ''}
+🏆 *Score: ${session.score} pts*
+${bestLine}
+
+📊 *Results:*
+• Cards answered: ${totalQuestions}
+• Correct answers: ${session.correctAnswers}
+• Accuracy: ${accuracy}%
+• Longest run: ${session.bestRun}
+• Duration: ${duration} seconds
+
+✨ +${sessionXp} XP${session.bonusXp > 0 ? ` (${session.bonusXp} streak bonus)` : ''}
+${xpService.formatLevel(xpService.getTotal(db, ctx.dbUser.id))}
+
+${goalService.formatSummaryLine(db, ctx.dbUser.id)}
+${streakService.formatSummaryLine(db, ctx.dbUser.id)}`;
+
+    if (session.freezeEarned) {
+      message += '\n🧊 You earned a streak freeze!';
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('⚡ New Blitz', 'blitz_start')],
+      [Markup.button.callback('🏆 Best Scores', 'progress_best')]
+    ]);
+
+    await this.editBlitzMessage(ctx, session, message, keyboard);
+  }
+
+  async handleBlitzCallback(ctx, db) {
+    const data = ctx.callbackQuery.data;
+
+    if (data.startsWith('blitz_answer_')) {
+      const [, , questionIndex, optionIndex] = data.split('_');
+      await this.handleAnswer(ctx, db, questionIndex, optionIndex);
+    } else if (data === 'blitz_start') {
+      await this.startBlitz(ctx, db);
+    } else if (data === 'blitz_end') {
+      await this.endBlitz(ctx, db);
+    }
+  }
+}
+
+module.exports = BlitzQuizHandler;
@@ -0,0 +1,261 @@
+const { Markup } = require('telegraf');
+const clozeService = require('../services/clozeService');
+const streakService = require('../services/streakService');
+const goalService = require('../services/goalService');
+const drillService = require('../services/drillService');
+const config = require('../../config/config');
+
+class ClozeQuizHandler {
+  constructor() {
+    this.activeSessions = new Map(); // userId -> session data
+  }
+
+  /**
+   * mode is 'pick' (choose from four forms) or 'typed'
+   */
+  async startClozeQuiz(ctx, db, mode = 'pick') {
+    const userId = ctx.from.id;
+    const userSettings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const questionsPerSession = userSettings.questions_per_session || config.quiz.questionsPerSession;
+    const preferredLevel = userSettings.preferred_level || 'A1';
+
+    const cards = clozeService.getClozeCards(db, ctx.dbUser.id, questionsPerSession, preferredLevel);
+
+    if (cards.length === 0) {
+      await ctx.reply(`❌ No ${preferredLevel} example sentences to practice yet. They are collected as you study flashcards - try again later or change your level in /settings.`);
+      return;
+    }
+
+    const sessionId = await db.createQuizSession(ctx.dbUser.id, 'cloze');
+
+    const session = {
+      sessionId,
+      userId,
+      mode,
+      cards,
+      currentQuestion: 0,
+      correctAnswers: 0,
+      mistakes: [],
+      choices: [],
+      startTime: Date.now(),
+      userLevel: preferredLevel
+    };
+
+    this.activeSessions.set(userId, session);
+
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  async showCurrentQuestion(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session || session.currentQuestion >= session.cards.length) {
+      await this.endClozeSession(ctx, db);
+      return;
+    }
+
+    const card = session.cards[session.currentQuestion];
+    const questionNumber = session.currentQuestion + 1;
+    const typed = session.mode === 'typed';
+
+    const message = `
+🧩 *Cloze* ${questionNumber}/${session.cards.length} (${session.userLevel})
+
+${card.cloze}
+
+👉 ${card.article ? `${card.article} ` : ''}${card.german_word} - _${card.english_translation}_
+
+${typed ? 'Type the missing word in the right form:' : 'Which form fits?'}
+    `;
+
+    let buttons;
+    if (typed) {
+      buttons = [[Markup.button.callback('🤷 Don\'t Know', `cloze_skip_${card.id}`)]];
+    } else {
+      const others = session.cards.filter(other => other.id !== card.id);
+      session.choices = clozeService.makeChoices(card, others);
+      buttons = session.choices.map((choice, index) =>
+        [Markup.button.callback(choice, `cloze_answer_${card.id}_${index}`)]
+      );
+    }
+    buttons.push([Markup.button.callback('❌ End Session', 'cloze_end')]);
+    const keyboard = Markup.inlineKeyboard(buttons);
+
+    // Typed sessions run as a chat: the answers are text messages, so each
+    // question goes below the last feedback
+    if (session.currentQuestion === 0 || typed) {
+      await ctx.replyWithMarkdown(message, keyboard);
+    } else {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    }
+  }
+
+  async handleChoice(ctx, db, vocabularyId, choiceIndex) {
+    const session = this.activeSessions.get(ctx.from.id);
+
+    if (!session) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    const card = session.cards[session.currentQuestion];
+
+    if (!card || card.id !== parseInt(vocabularyId)) {
+      await ctx.answerCbQuery('❌ Card mismatch');
+      return;
+    }
+
+    const answer = session.choices[parseInt(choiceIndex)];
+    const isCorrect = clozeService.grade(answer, card);
+    await drillService.recordAnswer(ctx, db, session, 'cloze_progress', card, isCorrect, answer);
+
+    if (isCorrect) {
+      await ctx.answerCbQuery(`✅ Richtig! ${card.answer}`);
+
+      setTimeout(async () => {
+        await this.showCurrentQuestion(ctx, db);
+      }, 1000);
+      return;
+    }
+
+    await ctx.answerCbQuery(`❌ It's ${card.answer}`);
+    await ctx.editMessageText(this.formatSolution(session, card, answer), {
+      parse_mode: 'Markdown',
+      reply_markup: this.getMistakeKeyboard().reply_markup
+    });
+  }
+
+  /**
+   * Grade a text message in a typed session
+   * Returns true if the message was used as an answer
+   */
+  async handleTypedAnswer(ctx, db) {
+    const session = this.activeSessions.get(ctx.from.id);
+
+    if (!session || session.mode !== 'typed') {
+      return false;
+    }
+
+    const card = session.cards[session.currentQuestion];
+    if (!card) {
+      return false;
+    }
+
+    const input = ctx.message.text.trim();
+    const isCorrect = clozeService.grade(input, card);
+    await drillService.recordAnswer(ctx, db, session, 'cloze_progress', card, isCorrect, input);
+
+    const feedback = isCorrect
+      ? `✅ Richtig! ${clozeService.formatSolution(card)}`
+      : this.formatSolution(session, card, input);
+    await ctx.replyWithMarkdown(feedback);
+    await this.showCurrentQuestion(ctx, db);
+    return true;
+  }
+
+  // "Don't know" in a typed session counts as a wrong answer
+  async handleSkip(ctx, db, vocabularyId) {
+    const session = this.activeSessions.get(ctx.from.id);
+    const card = session && session.cards[session.currentQuestion];
+
+    if (!card || card.id !== parseInt(vocabularyId)) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    await drillService.recordAnswer(ctx, db, session, 'cloze_progress', card, false, null);
+    await ctx.editMessageText(this.formatSolution(session, card, null), { parse_mode: 'Markdown' });
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  formatSolution(session, card, answer) {
+    const typed = drillService.formatTypedAnswer(answer);
+    const given = typed ? `❌ Not *${typed}* - it's:` : '💡 It\'s:';
+
+    return `
+🧩 *Cloze* ${session.currentQuestion}/${session.cards.length} (${session.userLevel})
+
+${given}
+${clozeService.formatSolution(card)}
+${card.translation ? `_${card.translation}_\n` : ''}
+👉 ${card.article ? `${card.article} ` : ''}${card.german_word} → ${card.answer}
+    `;
+  }
+
+  getMistakeKeyboard() {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback('➡️ Next', 'cloze_next')],
+      [Markup.button.callback('❌ End Session', 'cloze_end')]
+    ]);
+  }
+
+  async endClozeSession(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session) {
+      await ctx.editMessageText('❌ No active session found.');
+      return;
+    }
+
+    const totalQuestions = session.currentQuestion;
+    const accuracy = totalQuestions > 0 ? Math.round((session.correctAnswers / totalQuestions) * 100) : 0;
+    const duration = Math.round((Date.now() - session.startTime) / 1000);
+
+    await db.updateQuizSession(session.sessionId, totalQuestions, session.correctAnswers);
+
+    let message = `
+🎉 *Cloze Complete!*
+
+📊 *Results:*
+• Sentences answered: ${totalQuestions}
+• Correct words: ${session.correctAnswers}
+• Accuracy: ${accuracy}%
+• Duration: ${duration} seconds
+`;
+
+    if (session.mistakes.length > 0) {
+      const words = session.mistakes.map(card => `${card.german_word} → ${card.answer}`);
+      message += `\n🔍 *Forms to review:*\n${words.join(', ')}\n`;
+    }
+
+    message += `\n${goalService.formatSummaryLine(db, ctx.dbUser.id)}`;
+    message += `\n${streakService.formatSummaryLine(db, ctx.dbUser.id)}`;
+    if (session.freezeEarned) {
+      message += '\n🧊 You earned a streak freeze!';
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🔄 New Cloze', `cloze_start_${session.mode}`)]
+    ]);
+
+    await drillService.showSummary(ctx, message, keyboard);
+
+    this.activeSessions.delete(userId);
+  }
+
+  async handleClozeCallback(ctx, db) {
+    const data = ctx.callbackQuery.data;
+
+    if (data.startsWith('cloze_answer_')) {
+      const [, , vocabularyId, choiceIndex] = data.split('_');
+      await this.handleChoice(ctx, db, vocabularyId, choiceIndex);
+    } else if (data.startsWith('cloze_skip_')) {
+      await this.handleSkip(ctx, db, data.split('_')[2]);
+    } else if (data === 'cloze_next') {
+      await this.showCurrentQuestion(ctx, db);
+    } else if (data === 'cloze_start_pick') {
+      await this.startClozeQuiz(ctx, db, 'pick');
+    } else if (data === 'cloze_start_typed') {
+      await this.startClozeQuiz(ctx, db, 'typed');
+    } else if (data === 'cloze_end') {
+      await this.endClozeSession(ctx, db);
+    }
+  }
+}
+
+module.exports = ClozeQuizHandler;
@@ -1,27 +1,104 @@
 const { Markup } = require('telegraf');
-const wordAnalyzer = require('../services/wordAnalyzer');
+const analysisCache = require('../services/analysisCache');
+const answerGrader = require('../services/answerGrader');
+const srsScheduler = require('../services/srs');
+const streakService = require('../services/streakService');
+const goalService = require('../services/goalService');
+const xpService = require('../services/xpService');
+const pluralService = require('../services/pluralService');
+const verbService = require('../services/verbService');
+const verbRules = require('../services/verbRules');
+const achievementService = require('../services/achievementService');
+const leechService = require('../services/leechService');
+const utils = require('../utils/helpers');
+const timezones = require('../utils/timezones');
+
+const GRADES = {
+  again: { label: '🔁 Again', feedback: '🔁 We\'ll show it again soon', masteryChange: -1 },
+  hard: { label: '😓 Hard', feedback: '😓 Got it, with effort', masteryChange: 0 },
+  good: { label: '🙂 Good', feedback: '✅ Great!', masteryChange: 1 },
+  easy: { label: '😎 Easy', feedback: '😎 Too easy!', masteryChange: 2 }
+};
+
+// Each direction is its own card in flashcard_progress; a 'both' session
+// mixes the two
+const DIRECTIONS = {
+  en_de: { label: '🇺🇸 → 🇩🇪' },
+  de_en: { label: '🇩🇪 → 🇺🇸' },
+  both: { label: '🔁 Both' }
+};
 
 class FlashcardQuizHandler {
   constructor() {
-    this.activeSessions = new Map(); // userId -> session data
+    // userId -> session data; a cache of the unfinished rows in
+    // flashcard_sessions, which survive restarts
+    this.activeSessions = new Map();
+    this.sessionExpiryHours = 24;
   }
 
-  async startFlashcardQuiz(ctx, db) {
+  /**
+   * Start a session from the user's level, or from a topic deck when
+   * topicId is given; topic decks use all levels unless level is set.
+   * deck 'leeches' practices the user's trouble words, due or not, each in
+   * the direction it's troublesome in. direction defaults to the user's
+   * setting; typed cards always ask for the German
+   */
+  async startFlashcardQuiz(ctx, db, mode = 'reveal', { topicId = null, level = null, deck = null, direction = null } = {}) {
     const userId = ctx.from.id;
     const userSettings = await db.getUserSettings(ctx.dbUser.id) || {};
     const cardsPerSession = userSettings.cards_per_session || 20;
+    const gradeButtons = userSettings.grade_buttons === 2 ? 2 : 4;
     const preferredLevel = userSettings.preferred_level || 'A1';
+
+    const topic = topicId ? await db.getTopic(topicId) : null;
+    if (topicId && !topic) {
+      await ctx.reply('❌ Topic not found. Pick one with /topics.');
+      return;
+    }
+
+    const deckLevel = topic || deck ? level : preferredLevel;
+    const deckLabel = deck === 'leeches' ? leechService.deckLabel : this.getDeckLabel(topic, deckLevel);
+    let sessionDirection = null;
+    if (mode === 'typed') {
+      sessionDirection = 'en_de';
+    } else if (deck !== 'leeches') {
+      sessionDirection = [direction, userSettings.card_direction].find(value => DIRECTIONS[value]) || 'en_de';
+    }
     
-    // Get vocabulary for flashcards from selected level
-    const vocabulary = await this.getFlashcardVocabulary(db, userId, cardsPerSession, preferredLevel);
+    // Get vocabulary for flashcards from selected level, topic or deck;
+    // trouble words are extra practice outside the daily limits
+    const allowance = this.getDailyAllowance(db, ctx.dbUser.id, userSettings);
+    const vocabulary = deck === 'leeches'
+      ? leechService.getLeeches(db, ctx.dbUser.id, cardsPerSession)
+      : await this.getFlashcardVocabulary(db, ctx.dbUser.id, cardsPerSession, deckLevel, topicId, allowance, sessionDirection);
     
     if (vocabulary.length === 0) {
-      await ctx.reply(`❌ No ${preferredLevel} vocabulary found for review. Try changing your level in /settings or check back later.`);
+      if (deck === 'leeches') {
+        await ctx.reply('🎉 No trouble words right now! Words you keep missing will show up here.');
+      } else if (allowance.newLeft === 0 && allowance.reviewsLeft === 0) {
+        await ctx.reply(
+          `✅ You've reached today's limits: ${allowance.newLimit} new ${allowance.newLimit === 1 ? 'card' : 'cards'} and ${allowance.reviewLimit} ${allowance.reviewLimit === 1 ? 'review' : 'reviews'}. See you tomorrow! Change the limits in /settings → Quiz Settings.`
+        );
+      } else if (topic) {
+        await ctx.reply(`❌ No ${deckLabel} cards are due for review. Try another deck with /topics or check back later.`);
+      } else {
+        await ctx.reply(`❌ No ${preferredLevel} vocabulary found for review. Try changing your level in /settings or check back later.`);
+      }
       return;
     }
 
+    // Only one unfinished session per user
+    this.closeUnfinishedSessions(db, ctx.dbUser.id);
+
     // Create session
-    const sessionId = await db.createFlashcardSession(ctx.dbUser.id, vocabulary.length);
+    const sessionId = await db.createFlashcardSession(ctx.dbUser.id, vocabulary.length, {
+      cardQueue: vocabulary.map(word => [word.id, word.direction]),
+      mode,
+      level: deckLevel,
+      topicId,
+      deck,
+      direction: sessionDirection
+    });
     
     const session = {
       sessionId,
@@ -30,8 +107,16 @@ class FlashcardQuizHandler {
       currentCard: 0,
       cardsKnown: 0,
       cardsLearning: 0,
+      grades: { again: 0, hard: 0, good: 0, easy: 0 },
+      gradeButtons,
       startTime: Date.now(),
-      userLevel: preferredLevel
+      userLevel: deckLevel || preferredLevel,
+      topicId,
+      deck,
+      deckLevel,
+      deckLabel,
+      direction: sessionDirection,
+      mode // 'reveal' (self-graded) or 'typed'
     };
 
     this.activeSessions.set(userId, session);
@@ -39,28 +124,206 @@ class FlashcardQuizHandler {
     await this.showCurrentCard(ctx, db);
   }
 
-  async getFlashcardVocabulary(db, userId, limit, preferredLevel = 'A1') {
-    const result = db.all(`
-      SELECT v.id, v.german_word, v.english_translation, v.level,
+  /**
+   * Get the user's active session, restoring it from the database if the
+   * bot restarted since it was started
+   */
+  async getSession(ctx, db) {
+    const userId = ctx.from.id;
+    if (this.activeSessions.has(userId)) {
+      return this.activeSessions.get(userId);
+    }
+
+    const row = this.getUnfinishedSession(db, ctx.dbUser.id);
+    if (!row) return null;
+
+    const session = await this.restoreSession(db, row, userId);
+    this.activeSessions.set(userId, session);
+    return session;
+  }
+
+  getUnfinishedSession(db, dbUserId) {
+    return db.get(`
+      SELECT * FROM flashcard_sessions
+      WHERE user_id = ? AND completed_at IS NULL AND card_queue IS NOT NULL
+        AND COALESCE(last_activity, started_at) > datetime('now', ?)
+        AND cards_reviewed < total_cards
+      ORDER BY started_at DESC
+      LIMIT 1
+    `, [dbUserId, `-${this.sessionExpiryHours} hours`]);
+  }
+
+  async restoreSession(db, row, userId) {
+    // [vocabularyId, direction] pairs; sessions saved before card
+    // directions existed hold plain ids
+    const cardQueue = JSON.parse(row.card_queue).map(card => Array.isArray(card) ? card : [card, 'en_de']);
+    const userSettings = await db.getUserSettings(row.user_id) || {};
+
+    const placeholders = cardQueue.map(() => '?').join(', ');
+    const words = db.all(`
+      SELECT id, german_word, english_translation, article, level
+      FROM vocabulary_simple
+      WHERE id IN (${placeholders})
+    `, cardQueue.map(([id]) => id));
+    const wordsById = new Map(words.map(word => [word.id, word]));
+    const topic = row.topic_id ? await db.getTopic(row.topic_id) : null;
+    const userLevel = row.level || userSettings.preferred_level || 'A1';
+
+    return {
+      sessionId: row.id,
+      userId,
+      // Words deleted since the session started are dropped from the queue
+      vocabulary: cardQueue
+        .filter(([id]) => wordsById.has(id))
+        .map(([id, direction]) => ({ ...wordsById.get(id), direction })),
+      currentCard: row.cards_reviewed,
+      cardsKnown: row.cards_known,
+      cardsLearning: row.cards_learning,
+      grades: row.grade_counts ? JSON.parse(row.grade_counts) : { again: 0, hard: 0, good: 0, easy: 0 },
+      gradeButtons: userSettings.grade_buttons === 2 ? 2 : 4,
+      startTime: new Date(`${row.started_at.replace(' ', 'T')}Z`).getTime(),
+      userLevel,
+      topicId: row.topic_id,
+      deck: row.deck,
+      deckLevel: row.level,
+      deckLabel: row.deck === 'leeches'
+        ? leechService.deckLabel
+        : (topic ? this.getDeckLabel(topic, row.level) : userLevel),
+      direction: row.direction,
+      mode: row.session_mode || 'reveal'
+    };
+  }
+
+  saveSession(db, session) {
+    return db.run(`
+      UPDATE flashcard_sessions SET
+        cards_reviewed = ?,
+        cards_known = ?,
+        cards_learning = ?,
+        grade_counts = ?,
+        last_activity = datetime('now')
+      WHERE id = ?
+    `, [session.currentCard, session.cardsKnown, session.cardsLearning, JSON.stringify(session.grades), session.sessionId]);
+  }
+
+  /**
+   * Close sessions the user walked away from; their reviewed cards still
+   * count in the statistics
+   */
+  closeUnfinishedSessions(db, dbUserId) {
+    db.run(`
+      DELETE FROM flashcard_sessions
+      WHERE user_id = ? AND completed_at IS NULL AND cards_reviewed = 0
+    `, [dbUserId]);
+
+    return db.run(`
+      UPDATE flashcard_sessions SET completed_at = COALESCE(last_activity, datetime('now'))
+      WHERE user_id = ? AND completed_at IS NULL
+    `, [dbUserId]);
+  }
+
+  async resumeSession(ctx, db) {
+    const session = await this.getSession(ctx, db);
+
+    if (!session) {
+      await ctx.editMessageText('❌ This session has expired. Start a new one with /quiz.');
+      return;
+    }
+
+    await ctx.answerCbQuery('▶️ Resuming...');
+    await this.showCurrentCard(ctx, db);
+  }
+
+  async discardSession(ctx, db) {
+    this.closeUnfinishedSessions(db, ctx.dbUser.id);
+    this.activeSessions.delete(ctx.from.id);
+  }
+
+  /**
+   * Due reviews first, most overdue first, then never-seen words up to
+   * the new cards left for today. For 'both', a word's two directions are
+   * separate cards, but a session only asks each word one way
+   */
+  async getFlashcardVocabulary(db, userId, limit, level = 'A1', topicId = null, allowance = null, direction = 'en_de') {
+    const directions = direction === 'both' ? ['en_de', 'de_en'] : [direction];
+    const conditions = [];
+    const params = [...directions, userId];
+
+    if (topicId) {
+      conditions.push('v.id IN (SELECT vocabulary_id FROM vocabulary_topics WHERE topic_id = ?)');
+      params.push(topicId);
+    }
+    if (level) {
+      conditions.push('v.level = ?');
+      params.push(level);
+    }
+
+    const seen = new Set();
+    const selectCards = (condition, order, cardLimit) => cardLimit > 0 ? db.all(`
+      SELECT v.id, v.german_word, v.english_translation, v.article, v.level, d.direction,
              COALESCE(fp.mastery_level, 0) as mastery_level,
              COALESCE(fp.times_shown, 0) as times_shown,
              COALESCE(fp.next_review, datetime('now')) as next_review
       FROM vocabulary_simple v
-      LEFT JOIN flashcard_progress fp ON v.id = fp.vocabulary_id AND fp.user_id = ?
-      WHERE v.level = ? AND (fp.next_review IS NULL OR fp.next_review <= datetime('now'))
-      ORDER BY 
-        fp.mastery_level ASC,
-        fp.times_shown ASC,
-        RANDOM()
+      CROSS JOIN (${directions.map(() => 'SELECT ? AS direction').join(' UNION ALL ')}) d
+      LEFT JOIN flashcard_progress fp ON v.id = fp.vocabulary_id AND fp.user_id = ? AND fp.direction = d.direction
+      WHERE ${[condition, ...conditions].join(' AND ')}
+      ORDER BY ${order}
       LIMIT ?
-    `, [userId, preferredLevel, limit]);
-    
-    return result;
+    `, [...params, cardLimit * directions.length]).filter(card => {
+      if (seen.has(card.id)) return false;
+      seen.add(card.id);
+      return true;
+    }).slice(0, cardLimit) : [];
+
+    const reviews = selectCards(
+      "fp.id IS NOT NULL AND (fp.next_review IS NULL OR fp.next_review <= datetime('now'))",
+      'fp.next_review ASC, fp.mastery_level ASC',
+      Math.min(limit, allowance ? allowance.reviewsLeft : limit)
+    );
+    const newCards = selectCards(
+      'fp.id IS NULL',
+      'RANDOM()',
+      Math.min(limit - reviews.length, allowance ? allowance.newLeft : limit)
+    );
+
+    return [...reviews, ...newCards];
+  }
+
+  /**
+   * New cards and reviews still allowed today, from today's answers in
+   * the user's time zone. A card's first answer counts as a new card,
+   * every later one as a review
+   */
+  getDailyAllowance(db, userId, userSettings) {
+    const newLimit = userSettings.new_cards_per_day || 10;
+    const reviewLimit = userSettings.max_reviews_per_day || 100;
+    const timeZone = streakService.getTimezone(streakService.getUser(db, userId));
+
+    const today = db.get(`
+      SELECT
+        COALESCE(SUM(interval_before IS NULL), 0) as new_cards,
+        COALESCE(SUM(interval_before IS NOT NULL), 0) as reviews
+      FROM flashcard_reviews
+      WHERE user_id = ? AND reviewed_at >= datetime('now', '-2 days')
+        AND date(reviewed_at, ?) = ?
+    `, [userId, timezones.getSqlOffset(timeZone), timezones.getLocalDate(timeZone)]);
+
+    return {
+      newLimit,
+      reviewLimit,
+      newLeft: Math.max(0, newLimit - today.new_cards),
+      reviewsLeft: Math.max(0, reviewLimit - today.reviews)
+    };
+  }
+
+  getDeckLabel(topic, level) {
+    if (!topic) return level;
+    return level ? `${topic.name} · ${level}` : topic.name;
   }
 
   async showCurrentCard(ctx, db) {
-    const userId = ctx.from.id;
-    const session = this.activeSessions.get(userId);
+    const session = await this.getSession(ctx, db);
     
     if (!session || session.currentCard >= session.vocabulary.length) {
       await this.endFlashcardSession(ctx, db);
@@ -70,14 +333,22 @@ class FlashcardQuizHandler {
     const currentWord = session.vocabulary[session.currentCard];
     const cardNumber = session.currentCard + 1;
     const totalCards = session.vocabulary.length;
+    session.cardShownAt = Date.now();
 
-    const message = `
-🎴 *Flashcard* ${cardNumber}/${totalCards} (${session.userLevel})
+    if (session.mode === 'typed') {
+      await this.showTypedCard(ctx, db, session, currentWord, cardNumber, totalCards);
+      return;
+    }
 
-🇺🇸 *English:*
-**${currentWord.english_translation}**
+    const prompt = currentWord.direction === 'de_en'
+      ? `🇩🇪 *German:*\n**${this.formatGermanWord(currentWord)}**\n\nThink of the English word...`
+      : `🇺🇸 *English:*\n**${currentWord.english_translation}**\n\nThink of the German word...`;
 
-Think of the German word...
+    const message = `
+🎴 *Flashcard* ${cardNumber}/${totalCards} (${session.deckLabel}) ${this.getDirectionLabel(currentWord)}
+${goalService.formatHeader(db, ctx.dbUser.id)}
+
+${prompt}
     `;
 
     const keyboard = Markup.inlineKeyboard([
@@ -95,9 +366,173 @@ Think of the German word...
     }
   }
 
+  async showTypedCard(ctx, db, session, currentWord, cardNumber, totalCards) {
+    const articleHint = currentWord.article ? ' (with its article)' : '';
+
+    const message = `
+⌨️ *Flashcard* ${cardNumber}/${totalCards} (${session.deckLabel})
+${goalService.formatHeader(db, ctx.dbUser.id)}
+
+🇺🇸 *English:*
+**${currentWord.english_translation}**
+
+Type the German word${articleHint}...
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🤷 I don\'t know', `flashcard_giveup_${currentWord.id}`)],
+      [Markup.button.callback('❌ End Session', 'flashcard_end')]
+    ]);
+
+    // Typed cards are always sent as new messages so the chat reads
+    // prompt, answer, feedback, next prompt
+    await ctx.replyWithMarkdown(message, keyboard);
+  }
+
+  /**
+   * Grade a typed answer for the user's active typed session
+   * Returns false when there is no typed session, so the message can be
+   * handled elsewhere
+   */
+  async handleTypedAnswer(ctx, db) {
+    const session = await this.getSession(ctx, db);
+
+    if (!session || session.mode !== 'typed') {
+      return false;
+    }
+
+    const currentWord = session.vocabulary[session.currentCard];
+    if (!currentWord) {
+      return false;
+    }
+
+    const input = ctx.message.text;
+    const grade = answerGrader.grade(input, currentWord.german_word, currentWord.article);
+
+    await this.recordAnswer(ctx, db, session, currentWord.id, this.getTypedGrade(grade));
+    session.currentCard++;
+    this.saveSession(db, session);
+
+    await ctx.replyWithMarkdown(this.formatTypedFeedback(input, currentWord, grade));
+    await this.showCurrentCard(ctx, db);
+    return true;
+  }
+
+  getTypedGrade(grade) {
+    if (!grade.isCorrect) return 'again';
+    // Typos and a forgotten article still count, but as a harder recall
+    if (grade.wordResult === 'typo' || grade.articleResult === 'missing') return 'hard';
+    return 'good';
+  }
+
+  /**
+   * Apply a grade to the current card: schedule it, log the review and
+   * update the session counters
+   */
+  async recordAnswer(ctx, db, session, vocabularyId, grade) {
+    const direction = this.getDirection(session.vocabulary[session.currentCard]);
+    const { intervalBefore, intervalAfter, masteryBefore, masteryAfter, leech } = await this.updateCardProgress(db, ctx.dbUser.id, vocabularyId, grade, direction);
+
+    // Unknown when the card was shown before a restart
+    const responseTimeMs = session.cardShownAt ? Date.now() - session.cardShownAt : null;
+    await db.recordFlashcardResponse(
+      ctx.dbUser.id, session.sessionId, vocabularyId, grade, responseTimeMs, intervalBefore, intervalAfter,
+      masteryBefore, masteryAfter, direction
+    );
+
+    const activity = streakService.recordAnswer(db, ctx.dbUser.id, grade !== 'again');
+    if (activity.freezeEarned) {
+      session.freezeEarned = true;
+    }
+    await goalService.congratulate(ctx, db, activity);
+
+    const word = session.vocabulary[session.currentCard];
+    xpService.award(db, ctx.dbUser.id, xpService.forAnswer(grade, word && word.level), 'flashcard', session.sessionId);
+
+    if (leech === 'new' && word) {
+      const cached = analysisCache.get(db, word.german_word, word.english_translation);
+      await ctx.replyWithMarkdown(leechService.formatNotice(word, cached && cached.analysis));
+    }
+
+    session.grades[grade]++;
+    if (grade === 'again') {
+      session.cardsLearning++;
+    } else {
+      session.cardsKnown++;
+    }
+  }
+
+  formatTypedFeedback(input, currentWord, grade) {
+    const answer = this.formatGermanWord(currentWord);
+    // User input is echoed back, so keep it from breaking Markdown
+    const typed = input.trim().replace(/[_*`[\]]/g, '');
+    const lines = [];
+
+    if (grade.wordResult === 'wrong') {
+      lines.push(`❌ *Not quite.* You typed: ${typed}`);
+      lines.push(`✅ Correct answer: *${answer}*`);
+    } else if (grade.articleResult === 'wrong') {
+      lines.push(`❌ *Wrong article.* It's *${answer}*`);
+    } else if (grade.wordResult === 'typo') {
+      lines.push(`✅ *Almost!* Watch the spelling: *${answer}*`);
+      lines.push(`✏️ You typed: ${typed}`);
+    } else {
+      lines.push(`✅ *Richtig!* ${answer}`);
+    }
+
+    if (grade.articleResult === 'missing' && grade.wordResult !== 'wrong') {
+      lines.push(`⚠️ Don't forget the article: *${currentWord.article}* ${currentWord.german_word}`);
+    }
+
+    if (grade.usedSubstitutes) {
+      lines.push(`🔤 Spelled with umlauts: *${currentWord.german_word}*`);
+    }
+
+    return lines.join('\n');
+  }
+
+  formatGermanWord(word) {
+    return word.article ? `${word.article} ${word.german_word}` : word.german_word;
+  }
+
+  getDirection(word) {
+    return word && word.direction === 'de_en' ? 'de_en' : 'en_de';
+  }
+
+  getDirectionLabel(word) {
+    return DIRECTIONS[this.getDirection(word)].label;
+  }
+
+  async giveUpTypedCard(ctx, db, vocabularyId) {
+    const session = await this.getSession(ctx, db);
+
+    if (!session) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    const currentWord = session.vocabulary[session.currentCard];
+
+    if (currentWord.id !== parseInt(vocabularyId)) {
+      await ctx.answerCbQuery('❌ Card mismatch');
+      return;
+    }
+
+    await this.recordAnswer(ctx, db, session, currentWord.id, 'again');
+    session.currentCard++;
+    this.saveSession(db, session);
+
+    await ctx.answerCbQuery('📚 Keep practicing!');
+    await ctx.editMessageText(`
+🇺🇸 ${currentWord.english_translation}
+🇩🇪 *${this.formatGermanWord(currentWord)}*
+    `, { parse_mode: 'Markdown' });
+
+    await this.showCurrentCard(ctx, db);
+  }
+
   async revealAnswer(ctx, db, vocabularyId) {
-    const userId = ctx.from.id;
-    const session = this.activeSessions.get(userId);
+    const session = await this.getSession(ctx, db);
     
     if (!session) {
       await ctx.answerCbQuery('❌ Session expired');
@@ -115,8 +550,9 @@ Think of the German word...
     await ctx.answerCbQuery('🤖 Analyzing word...');
     
     try {
-      // Get LLM analysis
-      const analysis = await wordAnalyzer.analyzeWord(
+      // Get LLM analysis (cached across users)
+      const analysis = await analysisCache.getAnalysis(
+        db,
         currentWord.german_word,
         currentWord.english_translation,
         session.userLevel
@@ -125,14 +561,16 @@ Think of the German word...
       const cardNumber = session.currentCard + 1;
       const totalCards = session.vocabulary.length;
 
-      let message = `
-🎴 *Flashcard* ${cardNumber}/${totalCards} (${session.userLevel})
+      const english = `🇺🇸 *English:*\n${currentWord.english_translation}`;
+      const german = `🇩🇪 *German:*\n**${analysis.german_display}**`;
+      // The prompt stays on top, the answer goes below it
+      const sides = currentWord.direction === 'de_en' ? [german, english] : [english, german];
 
-🇺🇸 *English:*
-${currentWord.english_translation}
+      let message = `
+🎴 *Flashcard* ${cardNumber}/${totalCards} (${session.deckLabel}) ${this.getDirectionLabel(currentWord)}
+${goalService.formatHeader(db, ctx.dbUser.id)}
 
-🇩🇪 *German:*
-**${analysis.german_display}**
+${sides.join('\n\n')}
 `;
 
       // Add pronunciation if available
@@ -140,6 +578,16 @@ ${currentWord.english_translation}
         message += `\n🔊 *Pronunciation:* /${analysis.pronunciation}/`;
       }
 
+      const plural = pluralService.getApprovedPlural(db, currentWord.id);
+      if (plural) {
+        message += `\n🔢 *Plural:* die ${plural}`;
+      }
+
+      const verb = verbService.getVerb(db, currentWord.id);
+      if (verb) {
+        message += `\n🏃 *Forms:* ${verbRules.formatPrincipalParts(verb)}`;
+      }
+
       // Add example sentence
       if (analysis.example_sentence) {
         message += `\n\n📝 *Example:*\n"${analysis.example_sentence}"`;
@@ -157,13 +605,7 @@ ${currentWord.english_translation}
       const typeEmoji = this.getWordTypeEmoji(analysis.word_type);
       message += `\n\n${typeEmoji} *Type:* ${analysis.word_type}`;
 
-      const keyboard = Markup.inlineKeyboard([
-        [
-          Markup.button.callback('✅ I knew it', `flashcard_known_${currentWord.id}`),
-          Markup.button.callback('❓ I\'m learning', `flashcard_learning_${currentWord.id}`)
-        ],
-        [Markup.button.callback('❌ End Session', 'flashcard_end')]
-      ]);
+      const keyboard = this.getGradeKeyboard(session, currentWord.id);
 
       await ctx.editMessageText(message, {
         parse_mode: 'Markdown',
@@ -174,22 +616,19 @@ ${currentWord.english_translation}
       console.error('Word analysis failed:', error);
       
       // Fallback to simple display
+      const english = `🇺🇸 *English:* ${currentWord.english_translation}`;
+      const german = `🇩🇪 *German:* **${currentWord.german_word}**`;
+      const sides = currentWord.direction === 'de_en' ? [german, english] : [english, german];
+
       const message = `
 🎴 *Flashcard* ${session.currentCard + 1}/${session.vocabulary.length}
 
-🇺🇸 *English:* ${currentWord.english_translation}
-🇩🇪 *German:* **${currentWord.german_word}**
+${sides.join('\n')}
 
 _Analysis temporarily unavailable_
       `;
 
-      const keyboard = Markup.inlineKeyboard([
-        [
-          Markup.button.callback('✅ I knew it', `flashcard_known_${currentWord.id}`),
-          Markup.button.callback('❓ I\'m learning', `flashcard_learning_${currentWord.id}`)
-        ],
-        [Markup.button.callback('❌ End Session', 'flashcard_end')]
-      ]);
+      const keyboard = this.getGradeKeyboard(session, currentWord.id);
 
       await ctx.editMessageText(message, {
         parse_mode: 'Markdown',
@@ -198,6 +637,22 @@ _Analysis temporarily unavailable_
     }
   }
 
+  getGradeKeyboard(session, vocabularyId) {
+    const gradeRow = session.gradeButtons === 2
+      ? [
+        Markup.button.callback('✅ I knew it', `flashcard_known_${vocabularyId}`),
+        Markup.button.callback('❓ I\'m learning', `flashcard_learning_${vocabularyId}`)
+      ]
+      : Object.entries(GRADES).map(([grade, { label }]) =>
+        Markup.button.callback(label, `flashcard_grade_${grade}_${vocabularyId}`)
+      );
+
+    return Markup.inlineKeyboard([
+      gradeRow,
+      [Markup.button.callback('❌ End Session', 'flashcard_end')]
+    ]);
+  }
+
   getWordTypeEmoji(wordType) {
     const emojis = {
       'noun': '🏷️',
@@ -209,9 +664,8 @@ _Analysis temporarily unavailable_
     return emojis[wordType] || '📝';
   }
 
-  async handleCardResponse(ctx, db, vocabularyId, response) {
-    const userId = ctx.from.id;
-    const session = this.activeSessions.get(userId);
+  async handleCardResponse(ctx, db, vocabularyId, grade) {
+    const session = await this.getSession(ctx, db);
     
     if (!session) {
       await ctx.answerCbQuery('❌ Session expired');
@@ -225,20 +679,13 @@ _Analysis temporarily unavailable_
       return;
     }
 
-    // Update progress
-    await this.updateCardProgress(db, ctx.dbUser.id, vocabularyId, response);
-    
-    // Update session stats
-    if (response === 'known') {
-      session.cardsKnown++;
-      await ctx.answerCbQuery('✅ Great!');
-    } else {
-      session.cardsLearning++;
-      await ctx.answerCbQuery('📚 Keep practicing!');
-    }
+    // Update progress and session stats
+    await this.recordAnswer(ctx, db, session, currentWord.id, grade);
+    await ctx.answerCbQuery(GRADES[grade].feedback);
 
     // Move to next card
     session.currentCard++;
+    this.saveSession(db, session);
     
     // Small delay for better UX
     setTimeout(async () => {
@@ -246,46 +693,74 @@ _Analysis temporarily unavailable_
     }, 1000);
   }
 
-  async updateCardProgress(db, userId, vocabularyId, response) {
-    const isCorrect = response === 'known';
-    const masteryChange = isCorrect ? 1 : 0;
-    const nextReview = this.calculateNextReview(isCorrect);
+  /**
+   * Record a review. grade is 'again', 'hard', 'good' or 'easy'; everything
+   * except 'again' counts as a correct answer
+   */
+  async updateCardProgress(db, userId, vocabularyId, grade, direction = 'en_de') {
+    const isCorrect = grade !== 'again';
+    const masteryChange = GRADES[grade].masteryChange;
+
+    const card = db.get(`
+      SELECT ease_factor, interval_days, repetitions, lapses, stability, difficulty, last_shown, mastery_level,
+        times_incorrect, leech_at
+      FROM flashcard_progress
+      WHERE user_id = ? AND vocabulary_id = ? AND direction = ?
+    `, [userId, vocabularyId, direction]);
+    const next = srsScheduler.schedule(card, grade);
 
     // Use UPSERT for better-sqlite3
-    const result = db.run(`
+    db.run(`
       INSERT INTO flashcard_progress (
-        user_id, vocabulary_id, times_shown, times_correct, times_incorrect,
-        last_shown, mastery_level, next_review
-      ) VALUES (?, ?, 1, ?, ?, datetime('now'), ?, datetime('now', ?))
-      ON CONFLICT(user_id, vocabulary_id) DO UPDATE SET
+        user_id, vocabulary_id, direction, times_shown, times_correct, times_incorrect,
+        last_shown, mastery_level, next_review,
+        ease_factor, interval_days, repetitions, lapses, stability, difficulty
+      ) VALUES (?, ?, ?, 1, ?, ?, datetime('now'), ?, datetime('now', ?), ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, vocabulary_id, direction) DO UPDATE SET
         times_shown = times_shown + 1,
         times_correct = times_correct + ?,
         times_incorrect = times_incorrect + ?,
         last_shown = datetime('now'),
         mastery_level = MAX(0, MIN(5, mastery_level + ?)),
-        next_review = datetime('now', ?)
+        next_review = datetime('now', ?),
+        ease_factor = ?,
+        interval_days = ?,
+        repetitions = ?,
+        lapses = ?,
+        stability = ?,
+        difficulty = ?
     `, [
-      userId, vocabularyId,
-      isCorrect ? 1 : 0, isCorrect ? 0 : 1, masteryChange, nextReview,
-      isCorrect ? 1 : 0, isCorrect ? 0 : 1, masteryChange, nextReview
+      userId, vocabularyId, direction,
+      isCorrect ? 1 : 0, isCorrect ? 0 : 1, Math.max(0, masteryChange), next.nextReview,
+      next.ease_factor, next.interval_days, next.repetitions, next.lapses, next.stability, next.difficulty,
+      isCorrect ? 1 : 0, isCorrect ? 0 : 1, masteryChange, next.nextReview,
+      next.ease_factor, next.interval_days, next.repetitions, next.lapses, next.stability, next.difficulty
     ]);
     
-    return result;
-  }
-
-  calculateNextReview(isCorrect) {
-    if (isCorrect) {
-      // Spaced repetition: 1 day, 3 days, 1 week, 2 weeks, 1 month
-      return '+1 day';
-    } else {
-      // Review again soon
-      return '+1 hour';
-    }
+    // Mirrors the mastery_level update above
+    const masteryBefore = card ? card.mastery_level : 0;
+    const masteryAfter = card
+      ? Math.max(0, Math.min(5, masteryBefore + masteryChange))
+      : Math.max(0, masteryChange);
+
+    const leech = leechService.update(db, userId, vocabularyId, {
+      lapses: next.lapses,
+      repetitions: next.repetitions,
+      times_incorrect: (card ? card.times_incorrect : 0) + (isCorrect ? 0 : 1),
+      leech_at: card ? card.leech_at : null
+    }, direction);
+
+    return {
+      intervalBefore: card ? card.interval_days : null,
+      intervalAfter: next.interval_days,
+      masteryBefore,
+      masteryAfter,
+      leech
+    };
   }
 
   async endFlashcardSession(ctx, db) {
-    const userId = ctx.from.id;
-    const session = this.activeSessions.get(userId);
+    const session = await this.getSession(ctx, db);
     
     if (!session) {
       await ctx.editMessageText('❌ No active session found.');
@@ -299,6 +774,12 @@ _Analysis temporarily unavailable_
     // Update session in database
     await this.updateFlashcardSession(db, session.sessionId, totalCards, session.cardsKnown);
 
+    const sessionXp = xpService.getSessionXp(db, ctx.dbUser.id, 'flashcard', session.sessionId);
+    const totalXp = xpService.getTotal(db, ctx.dbUser.id);
+    const newLevel = xpService.getLevel(totalXp).level;
+    const levelUp = newLevel > xpService.getLevel(totalXp - sessionXp).level;
+    const unlocked = achievementService.check(db, ctx.dbUser.id);
+
     const message = `
 🎉 *Flashcard Session Complete!*
 
@@ -306,24 +787,54 @@ _Analysis temporarily unavailable_
 • Cards reviewed: ${totalCards}
 • Cards you knew: ${session.cardsKnown}
 • Cards you're learning: ${session.cardsLearning}
-• Accuracy: ${accuracy}%
+• Accuracy: ${accuracy}% (grade ${utils.getGrade(accuracy)})
 • Duration: ${duration} seconds
+${this.formatGradeDistribution(session)}
+✨ +${sessionXp} XP${levelUp ? ` • 🆙 *Level ${newLevel} reached!*` : ''}
+${xpService.formatLevel(totalXp)}
+${goalService.formatSummaryLine(db, ctx.dbUser.id)}
+${streakService.formatSummaryLine(db, ctx.dbUser.id)}${session.freezeEarned ? '\n🧊 You earned a streak freeze!' : ''}${unlocked.length > 0 ? `\n\n${achievementService.formatUnlocked(unlocked)}` : ''}
 
 ${this.getSessionMotivation(accuracy)}
     `;
 
+    let restartAction = session.mode === 'typed' ? 'flashcard_start_typed' : 'flashcard_start';
+    if (session.mode !== 'typed' && DIRECTIONS[session.direction]) {
+      restartAction = `flashcard_dir_${session.direction}`;
+    }
+    if (session.deck === 'leeches') {
+      restartAction = 'flashcard_start_leeches';
+    } else if (session.topicId) {
+      restartAction = `quiz_topic_${session.topicId}_${session.deckLevel || 'all'}`;
+    }
     const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('🔄 New Session', 'flashcard_start')],
-      [Markup.button.callback('📊 Progress', 'progress_show')]
+      [Markup.button.callback('🔄 New Session', restartAction)],
+      [Markup.button.callback('📊 Progress', 'progress_show')],
+      [Markup.button.callback('🏅 Achievements', 'progress_achievements')]
     ]);
 
-    await ctx.editMessageText(message, {
-      parse_mode: 'Markdown',
-      reply_markup: keyboard.reply_markup
-    });
+    // Typed sessions finish on a text message, which can't be edited
+    if (ctx.callbackQuery) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
 
     // Clean up session
-    this.activeSessions.delete(userId);
+    this.activeSessions.delete(ctx.from.id);
+  }
+
+  formatGradeDistribution(session) {
+    // Two-button sessions are already summed up by known/learning
+    if (session.gradeButtons === 2 && session.mode !== 'typed') return '';
+
+    const lines = Object.entries(GRADES)
+      .map(([grade, { label }]) => `• ${label}: ${session.grades[grade]}`)
+      .join('\n');
+    return `\n🎚️ *Grades:*\n${lines}\n`;
   }
 
   getSessionMotivation(accuracy) {
@@ -356,12 +867,32 @@ ${this.getSessionMotivation(accuracy)}
       await this.revealAnswer(ctx, db, vocabularyId);
     } else if (data.startsWith('flashcard_known_')) {
       const vocabularyId = data.split('_')[2];
-      await this.handleCardResponse(ctx, db, vocabularyId, 'known');
+      await this.handleCardResponse(ctx, db, vocabularyId, 'good');
     } else if (data.startsWith('flashcard_learning_')) {
       const vocabularyId = data.split('_')[2];
-      await this.handleCardResponse(ctx, db, vocabularyId, 'learning');
+      await this.handleCardResponse(ctx, db, vocabularyId, 'again');
+    } else if (data.startsWith('flashcard_grade_')) {
+      const [, , grade, vocabularyId] = data.split('_');
+      if (GRADES[grade]) {
+        await this.handleCardResponse(ctx, db, vocabularyId, grade);
+      }
+    } else if (data.startsWith('flashcard_giveup_')) {
+      const vocabularyId = data.split('_')[2];
+      await this.giveUpTypedCard(ctx, db, vocabularyId);
+    } else if (data === 'flashcard_resume') {
+      await this.resumeSession(ctx, db);
     } else if (data === 'flashcard_start') {
       await this.startFlashcardQuiz(ctx, db);
+    } else if (data === 'flashcard_start_typed') {
+      await this.startFlashcardQuiz(ctx, db, 'typed');
+    } else if (data.startsWith('flashcard_dir_')) {
+      // Directions contain an underscore themselves
+      const direction = data.replace('flashcard_dir_', '');
+      if (DIRECTIONS[direction]) {
+        await this.startFlashcardQuiz(ctx, db, 'reveal', { direction });
+      }
+    } else if (data === 'flashcard_start_leeches') {
+      await this.startFlashcardQuiz(ctx, db, 'reveal', { deck: 'leeches' });
     } else if (data === 'flashcard_end') {
       await this.endFlashcardSession(ctx, db);
     }
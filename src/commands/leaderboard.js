@@ -0,0 +1,216 @@
+const { Markup } = require('telegraf');
+const leaderboardService = require('../services/leaderboardService');
+
+class LeaderboardHandler {
+  constructor() {
+    this.pendingInputs = new Map(); // userId -> 'create' | 'join'
+  }
+
+  /**
+   * Callback data: leaderboard_show_<global|level|group>[_<groupId>]_<metric>,
+   * leaderboard_groups, leaderboard_create, leaderboard_join and
+   * leaderboard_leave_<groupId>
+   */
+  async handleLeaderboardCallback(ctx, db) {
+    const data = ctx.callbackQuery.data;
+
+    if (!await this.hasOptedIn(db, ctx.dbUser.id)) {
+      await this.showOptIn(ctx);
+      return;
+    }
+
+    if (data.startsWith('leaderboard_show_')) {
+      const [scope, ...rest] = data.replace('leaderboard_show_', '').split('_');
+      const metric = rest.pop();
+      await this.showLeaderboard(ctx, db, { scope, metric, groupId: rest[0] ? parseInt(rest[0]) : null });
+    } else if (data === 'leaderboard_groups') {
+      await this.showGroups(ctx, db);
+    } else if (data === 'leaderboard_create' || data === 'leaderboard_join') {
+      await this.askForInput(ctx, data.replace('leaderboard_', ''));
+    } else if (data.startsWith('leaderboard_leave_')) {
+      leaderboardService.leaveGroup(db, ctx.dbUser.id, parseInt(data.replace('leaderboard_leave_', '')));
+      await ctx.answerCbQuery('👋 You left the group');
+      await this.showGroups(ctx, db);
+    }
+  }
+
+  async hasOptedIn(db, userId) {
+    const consentInfo = await db.getUserConsentInfo(userId);
+    return !!consentInfo && consentInfo.leaderboard_opt_in === 1;
+  }
+
+  /**
+   * Leaderboards are off until the user opts in under Data & Privacy
+   */
+  async showOptIn(ctx, editMessage = true) {
+    const message = `
+🏆 *Leaderboards*
+
+Compete with other learners on weekly XP and cards reviewed - worldwide, at your level, or in a private group with friends.
+
+Leaderboards are opt-in. Only your alias (or first name) and your weekly scores are shown, and you can leave at any time in /settings → Data & Privacy.
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🏆 Join leaderboards', 'settings_leaderboard_on')],
+      [Markup.button.callback('📊 Data & Privacy', 'settings_privacy')]
+    ]);
+
+    if (editMessage) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+
+  /**
+   * The /leaderboard command sends a new message; buttons edit it
+   */
+  async showLeaderboard(ctx, db, { scope = 'global', metric = 'xp', groupId = null } = {}, editMessage = true) {
+    if (!await this.hasOptedIn(db, ctx.dbUser.id)) {
+      await this.showOptIn(ctx, editMessage);
+      return;
+    }
+    if (!leaderboardService.metrics[metric]) metric = 'xp';
+
+    const settings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const level = settings.preferred_level || 'A1';
+    let title = 'Global';
+    let filter = {};
+
+    if (scope === 'level') {
+      title = `${level} learners`;
+      filter = { level };
+    } else if (scope === 'group') {
+      const group = leaderboardService.getGroupForUser(db, ctx.dbUser.id, groupId);
+      if (!group) {
+        await this.showGroups(ctx, db);
+        return;
+      }
+      title = leaderboardService.escapeName(group.name);
+      filter = { groupId: group.id };
+    }
+
+    const ranking = leaderboardService.getRanking(db, metric, filter);
+    const message = leaderboardService.format(ranking, ctx.dbUser.id, title, metric);
+
+    const scopeKey = scope === 'group' ? `group_${groupId}` : scope;
+    const mark = (label, active) => active ? `✅ ${label}` : label;
+    const keyboard = Markup.inlineKeyboard([
+      [
+        Markup.button.callback(mark('🌍 Global', scope === 'global'), `leaderboard_show_global_${metric}`),
+        Markup.button.callback(mark(`🎓 ${level}`, scope === 'level'), `leaderboard_show_level_${metric}`),
+        Markup.button.callback(mark('👥 Groups', scope === 'group'), 'leaderboard_groups')
+      ],
+      Object.entries(leaderboardService.metrics).map(([key, { label }]) =>
+        Markup.button.callback(mark(label, key === metric), `leaderboard_show_${scopeKey}_${key}`)
+      )
+    ]);
+
+    if (editMessage) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+
+  async showGroups(ctx, db) {
+    const groups = leaderboardService.getUserGroups(db, ctx.dbUser.id);
+
+    const list = groups.length > 0
+      ? groups.map(group =>
+        `👥 *${leaderboardService.escapeName(group.name)}* - ${group.members} ${group.members === 1 ? 'member' : 'members'}\nInvite code: \`${group.invite_code}\``
+      ).join('\n\n')
+      : 'You\'re not in any group yet.';
+
+    const message = `
+👥 *Leaderboard Groups*
+
+${list}
+
+Create a group and share its invite code with your study group, or join one with a code you got.
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      ...groups.map(group => [
+        Markup.button.callback(`🏆 ${group.name}`, `leaderboard_show_group_${group.id}_xp`),
+        Markup.button.callback('🚪 Leave', `leaderboard_leave_${group.id}`)
+      ]),
+      [
+        Markup.button.callback('➕ Create group', 'leaderboard_create'),
+        Markup.button.callback('🔑 Join with code', 'leaderboard_join')
+      ],
+      [Markup.button.callback('🔙 Leaderboard', 'leaderboard_show_global_xp')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  }
+
+  async askForInput(ctx, type) {
+    const prompts = {
+      create: '➕ *New Group*\n\nType a name for your group, e.g. `Deutschkurs Montag`.',
+      join: '🔑 *Join a Group*\n\nType the invite code you were given, e.g. `K7P2QX`.'
+    };
+
+    this.pendingInputs.set(ctx.from.id, type);
+
+    await ctx.editMessageText(prompts[type], {
+      parse_mode: 'Markdown',
+      reply_markup: Markup.inlineKeyboard([
+        [Markup.button.callback('❌ Cancel', 'leaderboard_groups')]
+      ]).reply_markup
+    });
+  }
+
+  /**
+   * Handle a typed group name or invite code. Returns true if the text was
+   * meant for the leaderboard
+   */
+  async handleTextInput(ctx, db) {
+    const type = this.pendingInputs.get(ctx.from.id);
+    if (!type) return false;
+
+    this.pendingInputs.delete(ctx.from.id);
+    const text = ctx.message.text.trim();
+    let group = null;
+
+    if (type === 'create' && text.length >= 2) {
+      group = leaderboardService.createGroup(db, ctx.dbUser.id, text);
+    } else if (type === 'join') {
+      group = leaderboardService.joinGroup(db, ctx.dbUser.id, text);
+    }
+
+    if (!group) {
+      const error = type === 'join'
+        ? `❌ No group has the invite code "${text}".`
+        : '❌ Group names need at least 2 characters.';
+      await ctx.reply(error, Markup.inlineKeyboard([
+        [Markup.button.callback('🔄 Try again', `leaderboard_${type}`)],
+        [Markup.button.callback('🔙 Groups', 'leaderboard_groups')]
+      ]));
+      return true;
+    }
+
+    const name = leaderboardService.escapeName(group.name);
+    const message = type === 'create'
+      ? `✅ Group *${name}* created!\n\nShare this invite code so others can join:\n\`${group.invite_code}\``
+      : `✅ You joined *${name}*!`;
+
+    await ctx.replyWithMarkdown(message, Markup.inlineKeyboard([
+      [Markup.button.callback('🏆 Group leaderboard', `leaderboard_show_group_${group.id}_xp`)],
+      [Markup.button.callback('👥 Groups', 'leaderboard_groups')]
+    ]));
+    return true;
+  }
+}
+
+module.exports = new LeaderboardHandler();
@@ -0,0 +1,284 @@
+const { Markup } = require('telegraf');
+const pluralRules = require('../services/pluralRules');
+const streakService = require('../services/streakService');
+const goalService = require('../services/goalService');
+const drillService = require('../services/drillService');
+const config = require('../../config/config');
+
+class PluralQuizHandler {
+  constructor() {
+    this.activeSessions = new Map(); // userId -> session data
+  }
+
+  /**
+   * mode is 'pick' (choose from four plurals) or 'typed'
+   */
+  async startPluralQuiz(ctx, db, mode = 'pick') {
+    const userId = ctx.from.id;
+    const userSettings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const questionsPerSession = userSettings.questions_per_session || config.quiz.questionsPerSession;
+    const preferredLevel = userSettings.preferred_level || 'A1';
+
+    const nouns = await this.getPluralVocabulary(db, ctx.dbUser.id, questionsPerSession, preferredLevel);
+
+    if (nouns.length === 0) {
+      await ctx.reply(`❌ No ${preferredLevel} nouns with a checked plural yet. Try changing your level in /settings or check back later.`);
+      return;
+    }
+
+    const sessionId = await db.createQuizSession(ctx.dbUser.id, 'plurals');
+
+    const session = {
+      sessionId,
+      userId,
+      mode,
+      nouns,
+      currentQuestion: 0,
+      correctAnswers: 0,
+      mistakes: [],
+      choices: [],
+      startTime: Date.now(),
+      userLevel: preferredLevel
+    };
+
+    this.activeSessions.set(userId, session);
+
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  async getPluralVocabulary(db, userId, limit, preferredLevel = 'A1') {
+    return db.all(`
+      SELECT v.id, v.german_word, v.english_translation, v.article, v.plural, v.level,
+             COALESCE(pp.streak, 0) as streak,
+             COALESCE(pp.times_incorrect, 0) as times_incorrect
+      FROM vocabulary_simple v
+      LEFT JOIN plural_progress pp ON v.id = pp.vocabulary_id AND pp.user_id = ?
+      WHERE v.level = ? AND v.plural_status = 'approved' AND v.plural IS NOT NULL
+        AND (pp.next_review IS NULL OR pp.next_review <= datetime('now'))
+      ORDER BY
+        pp.streak ASC,
+        pp.times_incorrect DESC,
+        RANDOM()
+      LIMIT ?
+    `, [userId, preferredLevel, limit]);
+  }
+
+  async showCurrentQuestion(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session || session.currentQuestion >= session.nouns.length) {
+      await this.endPluralSession(ctx, db);
+      return;
+    }
+
+    const noun = session.nouns[session.currentQuestion];
+    const questionNumber = session.currentQuestion + 1;
+    const typed = session.mode === 'typed';
+
+    const message = `
+🔢 *Plural Drill* ${questionNumber}/${session.nouns.length} (${session.userLevel})
+
+**${noun.article} ${noun.german_word}**
+_${noun.english_translation}_
+
+${typed ? 'Type the plural (die ...):' : 'What is the plural?'}
+    `;
+
+    let buttons;
+    if (typed) {
+      buttons = [[Markup.button.callback('🤷 Don\'t Know', `plural_skip_${noun.id}`)]];
+    } else {
+      session.choices = pluralRules.makeChoices(noun.german_word, noun.plural);
+      buttons = session.choices.map((choice, index) =>
+        [Markup.button.callback(`die ${choice}`, `plural_answer_${noun.id}_${index}`)]
+      );
+    }
+    buttons.push([Markup.button.callback('❌ End Session', 'plural_end')]);
+    const keyboard = Markup.inlineKeyboard(buttons);
+
+    // Typed sessions run as a chat: the answers are text messages, so each
+    // question goes below the last feedback
+    if (session.currentQuestion === 0 || typed) {
+      await ctx.replyWithMarkdown(message, keyboard);
+    } else {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    }
+  }
+
+  async handleChoice(ctx, db, vocabularyId, choiceIndex) {
+    const session = this.activeSessions.get(ctx.from.id);
+
+    if (!session) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    const noun = session.nouns[session.currentQuestion];
+
+    if (!noun || noun.id !== parseInt(vocabularyId)) {
+      await ctx.answerCbQuery('❌ Card mismatch');
+      return;
+    }
+
+    const answer = session.choices[parseInt(choiceIndex)];
+    const { isCorrect } = pluralRules.grade(answer, noun.plural);
+    await drillService.recordAnswer(ctx, db, session, 'plural_progress', noun, isCorrect, answer);
+
+    if (isCorrect) {
+      await ctx.answerCbQuery(`✅ Richtig! die ${noun.plural}`);
+
+      setTimeout(async () => {
+        await this.showCurrentQuestion(ctx, db);
+      }, 1000);
+      return;
+    }
+
+    await ctx.answerCbQuery(`❌ It's die ${noun.plural}`);
+    await ctx.editMessageText(this.formatMistake(session, noun, answer), {
+      parse_mode: 'Markdown',
+      reply_markup: this.getMistakeKeyboard().reply_markup
+    });
+  }
+
+  /**
+   * Grade a text message in a typed session
+   * Returns true if the message was used as an answer
+   */
+  async handleTypedAnswer(ctx, db) {
+    const session = this.activeSessions.get(ctx.from.id);
+
+    if (!session || session.mode !== 'typed') {
+      return false;
+    }
+
+    const noun = session.nouns[session.currentQuestion];
+    if (!noun) {
+      return false;
+    }
+
+    const input = ctx.message.text.trim();
+    const { isCorrect } = pluralRules.grade(input, noun.plural);
+    await drillService.recordAnswer(ctx, db, session, 'plural_progress', noun, isCorrect, input);
+
+    const feedback = isCorrect
+      ? `✅ Richtig! *die ${noun.plural}*`
+      : this.formatMistake(session, noun, input);
+    await ctx.replyWithMarkdown(feedback);
+    await this.showCurrentQuestion(ctx, db);
+    return true;
+  }
+
+  // "Don't know" in a typed session counts as a wrong answer
+  async handleSkip(ctx, db, vocabularyId) {
+    const session = this.activeSessions.get(ctx.from.id);
+    const noun = session && session.nouns[session.currentQuestion];
+
+    if (!noun || noun.id !== parseInt(vocabularyId)) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    await drillService.recordAnswer(ctx, db, session, 'plural_progress', noun, false, null);
+    await ctx.editMessageText(this.formatMistake(session, noun, null), { parse_mode: 'Markdown' });
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  formatMistake(session, noun, answer) {
+    const { pattern, hint } = pluralRules.describe(noun.german_word, noun.plural);
+    const typed = drillService.formatTypedAnswer(answer && answer.replace(/^die\s+/i, ''));
+    const given = typed ? `❌ Not *die ${typed}* - it's:` : '💡 It\'s:';
+
+    return `
+🔢 *Plural Drill* ${session.currentQuestion}/${session.nouns.length} (${session.userLevel})
+
+${given}
+**${noun.article} ${noun.german_word} → die ${noun.plural}** (${pattern})
+_${noun.english_translation}_
+
+💡 ${hint}
+    `;
+  }
+
+  getMistakeKeyboard() {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback('➡️ Next', 'plural_next')],
+      [Markup.button.callback('❌ End Session', 'plural_end')]
+    ]);
+  }
+
+  async endPluralSession(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session) {
+      await ctx.editMessageText('❌ No active session found.');
+      return;
+    }
+
+    const totalQuestions = session.currentQuestion;
+    const accuracy = totalQuestions > 0 ? Math.round((session.correctAnswers / totalQuestions) * 100) : 0;
+    const duration = Math.round((Date.now() - session.startTime) / 1000);
+
+    await db.updateQuizSession(session.sessionId, totalQuestions, session.correctAnswers);
+
+    let message = `
+🎉 *Plural Drill Complete!*
+
+📊 *Results:*
+• Nouns answered: ${totalQuestions}
+• Correct plurals: ${session.correctAnswers}
+• Accuracy: ${accuracy}%
+• Duration: ${duration} seconds
+`;
+
+    if (session.mistakes.length > 0) {
+      message += `\n🔍 *Plural classes to review:*\n${this.formatPatternSummary(session.mistakes)}\n`;
+    }
+
+    message += `\n${goalService.formatSummaryLine(db, ctx.dbUser.id)}`;
+    message += `\n${streakService.formatSummaryLine(db, ctx.dbUser.id)}`;
+    if (session.freezeEarned) {
+      message += '\n🧊 You earned a streak freeze!';
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🔄 New Drill', `plural_start_${session.mode}`)],
+      [Markup.button.callback('🔢 Plural Patterns', 'progress_plurals')]
+    ]);
+
+    await drillService.showSummary(ctx, message, keyboard);
+
+    this.activeSessions.delete(userId);
+  }
+
+  formatPatternSummary(mistakes) {
+    return pluralRules.groupMistakes(mistakes)
+      .map(group => `• ${group.key} (${group.pattern}): ${group.words.join(', ')}`)
+      .join('\n');
+  }
+
+  async handlePluralCallback(ctx, db) {
+    const data = ctx.callbackQuery.data;
+
+    if (data.startsWith('plural_answer_')) {
+      const [, , vocabularyId, choiceIndex] = data.split('_');
+      await this.handleChoice(ctx, db, vocabularyId, choiceIndex);
+    } else if (data.startsWith('plural_skip_')) {
+      await this.handleSkip(ctx, db, data.split('_')[2]);
+    } else if (data === 'plural_next') {
+      await this.showCurrentQuestion(ctx, db);
+    } else if (data === 'plural_start_pick') {
+      await this.startPluralQuiz(ctx, db, 'pick');
+    } else if (data === 'plural_start_typed') {
+      await this.startPluralQuiz(ctx, db, 'typed');
+    } else if (data === 'plural_end') {
+      await this.endPluralSession(ctx, db);
+    }
+  }
+}
+
+module.exports = PluralQuizHandler;
@@ -1,23 +1,52 @@
 const { Markup } = require('telegraf');
+const articleRules = require('../services/articleRules');
+const pluralRules = require('../services/pluralRules');
+const verbRules = require('../services/verbRules');
+const weeklyReport = require('../services/weeklyReport');
+const streakService = require('../services/streakService');
+const goalService = require('../services/goalService');
+const xpService = require('../services/xpService');
+const achievementService = require('../services/achievementService');
+const leechService = require('../services/leechService');
+const analysisCache = require('../services/analysisCache');
+const timezones = require('../utils/timezones');
 
 class ProgressHandler {
-  async showProgress(ctx) {
+  async showProgress(ctx, db) {
+    const streak = streakService.getStreak(db, ctx.dbUser.id);
+
     const keyboard = Markup.inlineKeyboard([
       [Markup.button.callback('📊 Overall Progress', 'progress_overall')],
       [Markup.button.callback('📈 Recent Activity', 'progress_recent')],
       [Markup.button.callback('🏆 Best Scores', 'progress_best')],
-      [Markup.button.callback('📅 Weekly Report', 'progress_weekly')]
+      [Markup.button.callback('📅 Weekly Report', 'progress_weekly')],
+      [Markup.button.callback('🎯 Goal History', 'progress_goals')],
+      [Markup.button.callback('🏅 Achievements', 'progress_achievements')],
+      [Markup.button.callback('🩹 Trouble Words', 'progress_leeches')],
+      [Markup.button.callback('🏷️ Article Patterns', 'progress_articles')],
+      [Markup.button.callback('🔢 Plural Patterns', 'progress_plurals')],
+      [Markup.button.callback('🏃 Verb Forms', 'progress_verbs')]
     ]);
 
     const message = `
 📊 *Progress & Statistics*
 
+${streakService.formatStreak(streak)}
+${goalService.formatSummaryLine(db, ctx.dbUser.id)}
+${xpService.formatLevel(xpService.getTotal(db, ctx.dbUser.id))}
+
 Choose an option to view your learning progress:
 
 📊 *Overall Progress*: All statistics
 📈 *Recent Activity*: Latest quiz results
 🏆 *Best Scores*: Your records
 📅 *Weekly Report*: This week's progress
+🎯 *Goal History*: Daily and weekly goals met
+🏅 *Achievements*: Badges earned and still to get
+🩹 *Trouble Words*: Words you keep missing, with tips
+🏷️ *Article Patterns*: Endings you mix up most
+🔢 *Plural Patterns*: Plural classes you mix up most
+🏃 *Verb Forms*: Accuracy by tense and most missed verbs
     `;
 
     await ctx.replyWithMarkdown(message, keyboard);
@@ -35,8 +64,20 @@ Choose an option to view your learning progress:
       await this.showBestScores(ctx, db);
     } else if (data === 'progress_weekly') {
       await this.showWeeklyReport(ctx, db);
+    } else if (data === 'progress_goals') {
+      await this.showGoalHistory(ctx, db);
+    } else if (data === 'progress_achievements') {
+      await this.showAchievements(ctx, db);
+    } else if (data === 'progress_leeches') {
+      await this.showLeeches(ctx, db);
+    } else if (data === 'progress_articles') {
+      await this.showArticlePatterns(ctx, db);
+    } else if (data === 'progress_plurals') {
+      await this.showPluralPatterns(ctx, db);
+    } else if (data === 'progress_verbs') {
+      await this.showVerbForms(ctx, db);
     } else if (data === 'progress_show') {
-      await this.showProgress(ctx);
+      await this.showProgress(ctx, db);
     }
   }
 
@@ -58,8 +99,9 @@ Choose an option to view your learning progress:
       return;
     }
 
-    const totalWords = flashcardProgress.length;
-    const masteredWords = flashcardProgress.filter(p => p.mastery_level >= 4).length;
+    // A word practiced in both directions has a progress row for each
+    const totalWords = new Set(flashcardProgress.map(p => p.vocabulary_id)).size;
+    const masteredWords = new Set(flashcardProgress.filter(p => p.mastery_level >= 4).map(p => p.vocabulary_id)).size;
     const totalQuestions = flashcardProgress.reduce((sum, p) => sum + p.times_shown, 0);
     const totalCorrect = flashcardProgress.reduce((sum, p) => sum + p.times_correct, 0);
     const accuracy = totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0;
@@ -106,9 +148,13 @@ ${this.getProgressMotivation(accuracy)}`;
         completed_at
       FROM flashcard_sessions 
       WHERE user_id = ? AND completed_at IS NOT NULL 
+      UNION ALL
+      SELECT id, total_questions, correct_answers, session_type, started_at, completed_at
+      FROM quiz_sessions
+      WHERE user_id = ? AND completed_at IS NOT NULL AND total_questions > 0
       ORDER BY completed_at DESC 
       LIMIT 10
-    `, [ctx.dbUser.id]);
+    `, [ctx.dbUser.id, ctx.dbUser.id]);
 
     if (recentSessions.length === 0) {
       await ctx.editMessageText('📈 Recent Activity\n\nNo quiz sessions found. Start with /quiz!');
@@ -123,7 +169,7 @@ ${this.getProgressMotivation(accuracy)}`;
       const accuracy = session.total_questions > 0 ? 
         Math.round((session.correct_answers / session.total_questions) * 100) : 0;
       
-      message += `${index + 1}. ${session.session_type} (${date} ${time})\n`;
+      message += `${index + 1}. ${this.getSessionTypeLabel(session.session_type)} (${date} ${time})\n`;
       message += `   ${session.correct_answers}/${session.total_questions} (${accuracy}%)\n\n`;
     });
 
@@ -145,11 +191,23 @@ ${this.getProgressMotivation(accuracy)}`;
         'flashcards' as session_type,
         MAX(cards_known) as best_correct,
         MAX(total_cards) as total_questions,
-        MAX(ROUND((cards_known * 100.0) / NULLIF(total_cards, 0))) as best_accuracy
+        MAX(ROUND((cards_known * 100.0) / NULLIF(total_cards, 0))) as best_accuracy,
+        NULL as best_points
       FROM flashcard_sessions 
       WHERE user_id = ? AND completed_at IS NOT NULL 
+      HAVING COUNT(*) > 0
+      UNION ALL
+      SELECT 
+        session_type,
+        MAX(correct_answers) as best_correct,
+        MAX(total_questions) as total_questions,
+        MAX(ROUND((correct_answers * 100.0) / NULLIF(total_questions, 0))) as best_accuracy,
+        MAX(score) as best_points
+      FROM quiz_sessions 
+      WHERE user_id = ? AND completed_at IS NOT NULL AND total_questions > 0
+      GROUP BY session_type
       ORDER BY best_accuracy DESC
-    `, [ctx.dbUser.id]);
+    `, [ctx.dbUser.id, ctx.dbUser.id]);
 
     if (bestScores.length === 0) {
       await ctx.editMessageText('🏆 Best Scores\n\nNo quiz sessions found. Start with /quiz!');
@@ -160,9 +218,14 @@ ${this.getProgressMotivation(accuracy)}`;
     
     bestScores.forEach((score, index) => {
       const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : '🥉';
-      message += `${medal} ${score.session_type}\n`;
+      message += `${medal} ${this.getSessionTypeLabel(score.session_type)}\n`;
       message += `   Best Accuracy: ${score.best_accuracy}%\n`;
-      message += `   Best Score: ${score.best_correct}/${score.total_questions}\n\n`;
+      message += `   Best Score: ${score.best_correct}/${score.total_questions}\n`;
+      // Only timed (Blitz) sessions keep points
+      if (score.best_points !== null) {
+        message += `   Personal Best: ${score.best_points} pts\n`;
+      }
+      message += '\n';
     });
 
     const keyboard = Markup.inlineKeyboard([
@@ -175,51 +238,287 @@ ${this.getProgressMotivation(accuracy)}`;
     });
   }
 
-  async showWeeklyReport(ctx, db) {
-    const userId = ctx.from.id;
-    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-    
-    const weeklyData = db.all(`
-      SELECT 
-        COUNT(*) as sessions_count,
-        SUM(total_cards) as total_questions,
-        SUM(cards_known) as correct_answers,
-        'flashcards' as session_type
-      FROM flashcard_sessions 
-      WHERE user_id = ? AND completed_at > ? 
-    `, [ctx.dbUser.id, weekAgo]);
+  /**
+   * Weekly report from flashcard reviews; sent as a new message for the
+   * /report command, otherwise edited into the progress menu
+   */
+  async showWeeklyReport(ctx, db, editMessage = true) {
+    const settings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const timeZone = timezones.getUserTimezone(settings, ctx.from.language_code);
+    const report = weeklyReport.build(db, ctx.dbUser.id, timeZone);
+
+    const message = report.hasActivity
+      ? weeklyReport.format(report)
+      : '📅 *Weekly Report*\n\nNo activity in the last 7 days. Start with /quiz!';
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('▶️ Start review', 'flashcard_start')],
+      [Markup.button.callback('🔙 Back', 'progress_show')]
+    ]);
 
-    if (weeklyData.length === 0) {
-      await ctx.editMessageText('📅 Weekly Report\n\nNo activity in the last 7 days. Start with /quiz!');
+    if (editMessage) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+
+  async showGoalHistory(ctx, db) {
+    const history = goalService.getHistory(db, ctx.dbUser.id);
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('⚙️ Change Goals', 'settings_goals')],
+      [Markup.button.callback('🔙 Back', 'progress_show')]
+    ]);
+
+    await ctx.editMessageText(goalService.formatHistory(history), {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  }
+
+  /**
+   * Earned and locked achievements; sent as a new message for the
+   * /achievements command, otherwise edited into the progress menu
+   */
+  async showAchievements(ctx, db, editMessage = true) {
+    // Badges reached outside a flashcard session, e.g. a streak kept up
+    // with quizzes, are picked up here
+    achievementService.check(db, ctx.dbUser.id);
+    const catalogue = achievementService.getCatalogue(db, ctx.dbUser.id);
+    const message = achievementService.formatCatalogue(catalogue, xpService.getTotal(db, ctx.dbUser.id));
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('▶️ Start review', 'flashcard_start')],
+      [Markup.button.callback('🔙 Back', 'progress_show')]
+    ]);
+
+    if (editMessage) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+
+  /**
+   * Top leeches with the grammar note from their cached analysis; words
+   * that were never analyzed are listed without one
+   */
+  async showLeeches(ctx, db) {
+    const leeches = leechService.getLeeches(db, ctx.dbUser.id, 10);
+    const total = leechService.count(db, ctx.dbUser.id);
+
+    let message;
+    if (leeches.length === 0) {
+      message = '🩹 *Trouble Words*\n\nNo trouble words - nothing keeps slipping away. 🎉';
+    } else {
+      const entries = leeches.map((word, index) => {
+        const cached = analysisCache.get(db, word.german_word, word.english_translation);
+        const note = cached && !cached.is_fallback && cached.analysis.grammar_note;
+        return `${index + 1}. *${leechService.formatWord(word)}* (${word.english_translation})${leechService.formatDirection(word)} - missed ${word.times_incorrect}×` +
+          (note ? `\n   💡 ${note}` : '');
+      });
+
+      message = `🩹 *Trouble Words* (${total})
+
+Words you keep missing, most troublesome first:
+
+${entries.join('\n\n')}
+
+A word leaves this list after ${leechService.settings.recoveryRepetitions} correct reviews in a row.`;
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      ...(leeches.length > 0 ? [[Markup.button.callback('▶️ Practice trouble words', 'flashcard_start_leeches')]] : []),
+      [Markup.button.callback('🔙 Back', 'progress_show')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  }
+
+  async showArticlePatterns(ctx, db) {
+    const articleProgress = db.all(`
+      SELECT
+        ap.times_shown,
+        ap.times_correct,
+        ap.times_incorrect,
+        v.german_word,
+        v.article
+      FROM article_progress ap
+      JOIN vocabulary_simple v ON ap.vocabulary_id = v.id
+      WHERE ap.user_id = ? AND ap.times_shown > 0
+    `, [ctx.dbUser.id]);
+
+    if (articleProgress.length === 0) {
+      await ctx.editMessageText('🏷️ Article Patterns\n\nNo article drills yet. Start one with /quiz!');
       return;
     }
 
-    const totalSessions = weeklyData.reduce((sum, d) => sum + d.sessions_count, 0);
-    const totalQuestions = weeklyData.reduce((sum, d) => sum + d.total_questions, 0);
-    const totalCorrect = weeklyData.reduce((sum, d) => sum + d.correct_answers, 0);
-    const weeklyAccuracy = totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0;
+    const totalShown = articleProgress.reduce((sum, p) => sum + p.times_shown, 0);
+    const totalCorrect = articleProgress.reduce((sum, p) => sum + p.times_correct, 0);
+    const accuracy = totalShown > 0 ? Math.round((totalCorrect / totalShown) * 100) : 0;
 
-    let message = `📅 Weekly Report
+    const mistakes = articleProgress
+      .filter(p => p.times_incorrect > 0)
+      .map(p => ({ german_word: p.german_word, article: p.article, count: p.times_incorrect }));
 
-📊 Last 7 Days:
-• Quiz Sessions: ${totalSessions}
-• Total Questions: ${totalQuestions}
-• Correct Answers: ${totalCorrect}
-• Accuracy: ${weeklyAccuracy}%
+    let message = `🏷️ Article Patterns
+
+🎯 Overview:
+• Nouns practiced: ${articleProgress.length}
+• Article accuracy: ${accuracy}%
 
-📈 By Quiz Type:
 `;
 
-    weeklyData.forEach(data => {
-      const accuracy = data.total_questions > 0 ? 
-        Math.round((data.correct_answers / data.total_questions) * 100) : 0;
-      message += `• ${data.session_type}: ${data.sessions_count} Sessions, ${accuracy}% Accuracy\n`;
+    if (mistakes.length === 0) {
+      message += '🌟 No mistakes so far - perfect articles!';
+    } else {
+      message += '❌ Most mixed-up endings:\n';
+      articleRules.groupMistakes(mistakes).slice(0, 6).forEach(group => {
+        const rule = group.article ? `${group.key} → ${group.article}` : group.key;
+        message += `• ${rule}: ${group.count} mistakes\n`;
+        message += `   ${group.words.slice(0, 4).join(', ')}\n`;
+      });
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🏷️ Article Drill', 'quiz_start_articles')],
+      [Markup.button.callback('🔙 Back', 'progress_show')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      reply_markup: keyboard.reply_markup
     });
+  }
+
+  async showPluralPatterns(ctx, db) {
+    const pluralProgress = db.all(`
+      SELECT
+        pp.times_shown,
+        pp.times_correct,
+        pp.times_incorrect,
+        v.german_word,
+        v.plural
+      FROM plural_progress pp
+      JOIN vocabulary_simple v ON pp.vocabulary_id = v.id
+      WHERE pp.user_id = ? AND pp.times_shown > 0 AND v.plural IS NOT NULL
+    `, [ctx.dbUser.id]);
+
+    if (pluralProgress.length === 0) {
+      await ctx.editMessageText('🔢 Plural Patterns\n\nNo plural drills yet. Start one with /quiz!');
+      return;
+    }
 
-    message += `\n${this.getWeeklyMotivation(totalSessions, weeklyAccuracy)}`;
+    const totalShown = pluralProgress.reduce((sum, p) => sum + p.times_shown, 0);
+    const totalCorrect = pluralProgress.reduce((sum, p) => sum + p.times_correct, 0);
+    const accuracy = totalShown > 0 ? Math.round((totalCorrect / totalShown) * 100) : 0;
+
+    const mistakes = pluralProgress
+      .filter(p => p.times_incorrect > 0)
+      .map(p => ({ german_word: p.german_word, plural: p.plural, count: p.times_incorrect }));
+
+    let message = `🔢 Plural Patterns
+
+🎯 Overview:
+• Nouns practiced: ${pluralProgress.length}
+• Plural accuracy: ${accuracy}%
+
+`;
+
+    if (mistakes.length === 0) {
+      message += '🌟 No mistakes so far - perfect plurals!';
+    } else {
+      message += '❌ Most mixed-up plural classes:\n';
+      pluralRules.groupMistakes(mistakes).slice(0, 6).forEach(group => {
+        message += `• ${group.key} (${group.pattern}): ${group.count} mistakes\n`;
+        message += `   ${group.words.slice(0, 4).join(', ')}\n`;
+      });
+    }
 
     const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('🔄 New Quiz', 'quiz_start_articles')],
+      [Markup.button.callback('🔢 Plural Drill', 'plural_start_pick')],
+      [Markup.button.callback('🔙 Back', 'progress_show')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      reply_markup: keyboard.reply_markup
+    });
+  }
+
+  async showVerbForms(ctx, db) {
+    const verbProgress = db.all(`
+      SELECT
+        vp.vocabulary_id,
+        vp.form,
+        vp.times_shown,
+        vp.times_correct,
+        vp.times_incorrect,
+        v.german_word,
+        vf.present_er,
+        vf.praeteritum,
+        vf.partizip,
+        vf.auxiliary
+      FROM verb_progress vp
+      JOIN vocabulary_simple v ON vp.vocabulary_id = v.id
+      JOIN verb_forms vf ON vp.vocabulary_id = vf.vocabulary_id
+      WHERE vp.user_id = ? AND vp.times_shown > 0
+    `, [ctx.dbUser.id]);
+
+    if (verbProgress.length === 0) {
+      await ctx.editMessageText('🏃 Verb Forms\n\nNo verb drills yet. Start one with /quiz!');
+      return;
+    }
+
+    const tenseStats = {};
+    const verbMistakes = {};
+
+    verbProgress.forEach(p => {
+      const tense = p.form.split('_')[0];
+      const stats = tenseStats[tense] = tenseStats[tense] || { shown: 0, correct: 0 };
+      stats.shown += p.times_shown;
+      stats.correct += p.times_correct;
+
+      if (p.times_incorrect > 0) {
+        const verb = verbMistakes[p.vocabulary_id] = verbMistakes[p.vocabulary_id] || { ...p, count: 0 };
+        verb.count += p.times_incorrect;
+      }
+    });
+
+    let message = `🏃 Verb Forms
+
+🎯 Overview:
+• Verbs practiced: ${new Set(verbProgress.map(p => p.vocabulary_id)).size}
+• Forms practiced: ${verbProgress.length}
+
+📚 By Tense:
+`;
+
+    Object.keys(verbRules.tenses).filter(tense => tenseStats[tense]).forEach(tense => {
+      const { shown, correct } = tenseStats[tense];
+      message += `• ${verbRules.tenses[tense]}: ${Math.round((correct / shown) * 100)}% (${shown} answers)\n`;
+    });
+
+    const mistakes = Object.values(verbMistakes).sort((a, b) => b.count - a.count);
+    if (mistakes.length === 0) {
+      message += '\n🌟 No mistakes so far - perfect forms!';
+    } else {
+      message += '\n❌ Most missed verbs:\n';
+      mistakes.slice(0, 6).forEach(verb => {
+        message += `• ${verb.german_word} (${verbRules.formatPrincipalParts(verb)}): ${verb.count} mistakes\n`;
+      });
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🏃 Verb Trainer', 'verb_start_all')],
       [Markup.button.callback('🔙 Back', 'progress_show')]
     ]);
 
@@ -283,6 +582,21 @@ ${this.getProgressMotivation(accuracy)}`;
     return result || '• No levels found\n';
   }
 
+  getSessionTypeLabel(sessionType) {
+    const labels = {
+      'flashcards': 'Flashcards',
+      'articles': 'Article Drill',
+      'plurals': 'Plural Drill',
+      'verbs': 'Verb Trainer',
+      'cloze': 'Cloze',
+      'translation_de_en': 'Translation DE→EN',
+      'translation_en_de': 'Translation EN→DE',
+      'translation_mixed': 'Mixed Quiz',
+      'blitz': 'Blitz'
+    };
+    return labels[sessionType] || sessionType;
+  }
+
   getMasteryLevelName(level) {
     switch(level) {
       case 0: return 'New';
@@ -302,14 +616,6 @@ ${this.getProgressMotivation(accuracy)}`;
     if (accuracy >= 60) return '💪 Keep going! You will get better with practice!';
     return '🚀 Every beginning is hard. Keep it up!';
   }
-
-  getWeeklyMotivation(sessions, accuracy) {
-    if (sessions >= 10 && accuracy >= 80) return '🏆 Incredible! You were very active and successful this week!';
-    if (sessions >= 5 && accuracy >= 70) return '🎯 Great! You had a productive week!';
-    if (sessions >= 3) return '👍 Good! You are staying consistent!';
-    if (sessions >= 1) return '🌱 A good start! Try a few more quizzes this week!';
-    return '💭 This week was quiet. How about a new quiz?';
-  }
 }
 
 module.exports = new ProgressHandler();
\ No newline at end of file
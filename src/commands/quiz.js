@@ -1,20 +1,261 @@
 const { Markup } = require('telegraf');
 const FlashcardQuizHandler = require('./flashcardQuiz');
+const ArticleQuizHandler = require('./articleQuiz');
+const PluralQuizHandler = require('./pluralQuiz');
+const VerbQuizHandler = require('./verbQuiz');
+const ClozeQuizHandler = require('./clozeQuiz');
+const TranslationQuizHandler = require('./translationQuiz');
+const BlitzQuizHandler = require('./blitzQuiz');
 
 class QuizHandler {
   constructor() {
     this.flashcardHandler = new FlashcardQuizHandler();
+    this.articleHandler = new ArticleQuizHandler();
+    this.pluralHandler = new PluralQuizHandler();
+    this.verbHandler = new VerbQuizHandler();
+    this.clozeHandler = new ClozeQuizHandler();
+    this.translationHandler = new TranslationQuizHandler();
+    this.blitzHandler = new BlitzQuizHandler();
   }
 
   async startQuiz(ctx, db) {
-    // Redirect to flashcard system
-    await this.flashcardHandler.startFlashcardQuiz(ctx, db);
+    const unfinished = this.flashcardHandler.getUnfinishedSession(db, ctx.dbUser.id);
+    if (unfinished) {
+      await this.showResumePrompt(ctx, unfinished);
+      return;
+    }
+
+    await this.showQuizPicker(ctx);
+  }
+
+  async showResumePrompt(ctx, unfinished) {
+    const modeName = unfinished.session_mode === 'typed' ? 'typed flashcard' : 'flashcard';
+
+    const message = `
+⏸️ *Unfinished Session*
+
+You have an unfinished ${modeName} session: ${unfinished.cards_reviewed}/${unfinished.total_cards} cards done.
+
+Resume where you left off?
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('▶️ Resume', 'flashcard_resume')],
+      [Markup.button.callback('🆕 Start Something New', 'quiz_discard_session')]
+    ]);
+
+    await ctx.replyWithMarkdown(message, keyboard);
+  }
+
+  async showQuizPicker(ctx, editMessage = false) {
+    const message = `
+🎯 *Choose a Quiz*
+
+🎴 *AI Flashcards*: Recall words in your usual direction (/settings), or pick one for this session: 🇺🇸 → 🇩🇪, 🇩🇪 → 🇺🇸 or both
+⌨️ *Typed Flashcards*: Type the German word and get it graded
+🏷️ *Article Drill*: Pick der, die or das for each noun
+🔢 *Plural Drill*: Pick or type the plural of each noun
+🏃 *Verb Trainer*: Type verb forms by person and tense
+🧩 *Cloze*: Fill the missing word into an example sentence, in the right form
+🔤 *Translation Quiz*: Pick the right translation out of four
+🔀 *Mixed Quiz*: Translation questions in both directions
+⚡ *Blitz*: Translation cards against the clock - beat your best score
+🗂️ *Topic Decks*: Flashcards for one topic, like food or travel
+🩹 *Trouble Words*: The words you keep missing
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🎴 AI Flashcards', 'quiz_start_flashcards')],
+      [
+        Markup.button.callback('🎴 🇺🇸 → 🇩🇪', 'flashcard_dir_en_de'),
+        Markup.button.callback('🎴 🇩🇪 → 🇺🇸', 'flashcard_dir_de_en'),
+        Markup.button.callback('🎴 🔁 Both', 'flashcard_dir_both')
+      ],
+      [Markup.button.callback('⌨️ Typed Flashcards', 'quiz_start_typed')],
+      [Markup.button.callback('🏷️ Article Drill', 'quiz_start_articles')],
+      [
+        Markup.button.callback('🔢 Plural Drill', 'plural_start_pick'),
+        Markup.button.callback('⌨️ Typed Plurals', 'plural_start_typed')
+      ],
+      [Markup.button.callback('🏃 Verb Trainer', 'verb_menu')],
+      [
+        Markup.button.callback('🧩 Cloze', 'cloze_start_pick'),
+        Markup.button.callback('⌨️ Typed Cloze', 'cloze_start_typed')
+      ],
+      [
+        Markup.button.callback('🇩🇪 → 🇺🇸', 'translation_start_de_en'),
+        Markup.button.callback('🇺🇸 → 🇩🇪', 'translation_start_en_de')
+      ],
+      [Markup.button.callback('🔀 Mixed Quiz', 'translation_start_mixed')],
+      [Markup.button.callback('⚡ Blitz', 'blitz_start')],
+      [Markup.button.callback('🗂️ Topic Decks', 'quiz_topics')],
+      [Markup.button.callback('🩹 Trouble Words', 'flashcard_start_leeches')]
+    ]);
+
+    if (editMessage) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+
+  async showTopicPicker(ctx, db, editMessage = false) {
+    const topics = await db.getTopics();
+
+    if (topics.length === 0) {
+      await ctx.reply('❌ No topic decks available yet. Check back later!');
+      return;
+    }
+
+    const message = `
+🗂️ *Topic Decks*
+
+Practice flashcards for one topic. Pick a deck:
+    `;
+
+    const keyboard = Markup.inlineKeyboard(
+      topics.map(topic => [
+        Markup.button.callback(`🗂️ ${topic.name} (${topic.word_count})`, `quiz_topic_${topic.id}`)
+      ])
+    );
+
+    if (editMessage) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+
+  async showTopicLevels(ctx, db, topicId) {
+    const topic = await db.getTopic(topicId);
+
+    if (!topic) {
+      await ctx.editMessageText('❌ Topic not found. Pick one with /topics.');
+      return;
+    }
+
+    const levels = await db.getTopicLevelCounts(topicId);
+    const total = levels.reduce((sum, level) => sum + level.word_count, 0);
+
+    const message = `
+🗂️ *${topic.name}*
+
+${total} words. Practice all of them or just one level:
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback(`📚 All levels (${total})`, `quiz_topic_${topicId}_all`)],
+      levels.map(level =>
+        Markup.button.callback(`${level.level} (${level.word_count})`, `quiz_topic_${topicId}_${level.level}`)
+      ),
+      [Markup.button.callback('⬅️ Back to Topics', 'quiz_topics')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
   }
 
   async handleQuizCallback(ctx, db, activeQuizzes) {
-    // Redirect all quiz callbacks to flashcard system
-    await this.flashcardHandler.handleFlashcardCallback(ctx, db);
+    const userId = ctx.from.id;
+    const handlers = [this.flashcardHandler, ...this.getDrillHandlers()];
+    const before = handlers.map(handler => handler.activeSessions.get(userId));
+
+    await this.routeQuizCallback(ctx, db, activeQuizzes);
+
+    // A new session object means the callback started (or resumed) a quiz
+    const started = handlers.find((handler, index) => {
+      const session = handler.activeSessions.get(userId);
+      return session && session !== before[index];
+    });
+    if (started) {
+      this.dropOtherSessions(userId, started);
+    }
+  }
+
+  /**
+   * Handlers that keep their sessions in memory only. Flashcard sessions
+   * are stored and resumable, so they aren't in this list
+   */
+  getDrillHandlers() {
+    return [
+      this.articleHandler,
+      this.pluralHandler,
+      this.verbHandler,
+      this.clozeHandler,
+      this.translationHandler,
+      this.blitzHandler
+    ];
+  }
+
+  /**
+   * One quiz at a time: when a quiz starts, the drills the user walked
+   * away from are dropped so they don't grab the new quiz's typed answers
+   */
+  dropOtherSessions(userId, keep) {
+    this.getDrillHandlers()
+      .filter(handler => handler !== keep)
+      .forEach(handler => handler.activeSessions.delete(userId));
+  }
+
+  async routeQuizCallback(ctx, db, activeQuizzes) {
+    const data = ctx.callbackQuery.data;
+
+    if (data === 'quiz_discard_session') {
+      await this.flashcardHandler.discardSession(ctx, db);
+      await this.showQuizPicker(ctx, true);
+    } else if (data === 'quiz_start_flashcards') {
+      await this.flashcardHandler.startFlashcardQuiz(ctx, db);
+    } else if (data === 'quiz_start_typed') {
+      await this.flashcardHandler.startFlashcardQuiz(ctx, db, 'typed');
+    } else if (data === 'quiz_topics') {
+      await this.showTopicPicker(ctx, db, true);
+    } else if (data.startsWith('quiz_topic_')) {
+      const [, , topicId, level] = data.split('_');
+      if (level) {
+        await this.flashcardHandler.startFlashcardQuiz(ctx, db, 'reveal', {
+          topicId: parseInt(topicId),
+          level: level === 'all' ? null : level
+        });
+      } else {
+        await this.showTopicLevels(ctx, db, parseInt(topicId));
+      }
+    } else if (data === 'quiz_start_articles') {
+      await this.articleHandler.startArticleQuiz(ctx, db);
+    } else if (data.startsWith('article_')) {
+      await this.articleHandler.handleArticleCallback(ctx, db);
+    } else if (data.startsWith('plural_')) {
+      await this.pluralHandler.handlePluralCallback(ctx, db);
+    } else if (data.startsWith('verb_')) {
+      await this.verbHandler.handleVerbCallback(ctx, db);
+    } else if (data.startsWith('cloze_')) {
+      await this.clozeHandler.handleClozeCallback(ctx, db);
+    } else if (data.startsWith('translation_')) {
+      await this.translationHandler.handleTranslationCallback(ctx, db);
+    } else if (data.startsWith('blitz_')) {
+      await this.blitzHandler.handleBlitzCallback(ctx, db);
+    } else {
+      await this.flashcardHandler.handleFlashcardCallback(ctx, db);
+    }
+  }
+
+  /**
+   * Route a plain text message to a quiz waiting for a typed answer
+   * Returns true if the message was used as an answer
+   */
+  async handleTextAnswer(ctx, db) {
+    return await this.pluralHandler.handleTypedAnswer(ctx, db) ||
+      await this.verbHandler.handleTypedAnswer(ctx, db) ||
+      await this.clozeHandler.handleTypedAnswer(ctx, db) ||
+      this.flashcardHandler.handleTypedAnswer(ctx, db);
   }
 }
 
-module.exports = QuizHandler;
\ No newline at end of file
+module.exports = QuizHandler;
@@ -1,6 +1,15 @@
 const { Markup } = require('telegraf');
+const timezones = require('../utils/timezones');
+const config = require('../../config/config');
+const leaderboardService = require('../services/leaderboardService');
+
+const QUIET_HOUR_PRESETS = ['22:00-08:00', '23:00-07:00'];
 
 class SettingsHandler {
+  constructor() {
+    this.pendingInputs = new Map(); // userId -> 'timezone' | 'time' | 'quiet' | 'alias'
+  }
+
   async showSettings(ctx, db) {
     const settings = await db.getUserSettings(ctx.dbUser.id) || {};
     const currentLevel = settings.preferred_level || 'A1';
@@ -22,11 +31,11 @@ class SettingsHandler {
 Personalize your learning experience:
 
 📚 *Learning Level*: Choose A1, A2, or B1
-📝 *Quiz Settings*: Difficulty, questions per session
+📝 *Quiz Settings*: Difficulty, questions per session, flashcard grades and daily limits
 🔔 *Notifications*: Reminders and schedules
 🎯 *Learning Goals*: Daily goals and progress targets
 🌐 *Language*: Change interface language
-📊 *Data & Privacy*: Export or delete your data
+📊 *Data & Privacy*: Leaderboards, export or delete your data
     `;
 
     await ctx.replyWithMarkdown(message, keyboard);
@@ -48,6 +57,8 @@ Personalize your learning experience:
       await this.showLanguageSettings(ctx, db);
     } else if (data === 'settings_privacy') {
       await this.showPrivacySettings(ctx, db);
+    } else if (data === 'settings_leaderboard_on' || data === 'settings_leaderboard_off') {
+      await this.setLeaderboardConsent(ctx, db, data === 'settings_leaderboard_on');
     } else if (data === 'settings_export') {
       await this.exportUserData(ctx, db);
     } else if (data === 'settings_delete_data') {
@@ -56,6 +67,8 @@ Personalize your learning experience:
       await this.deleteUserData(ctx, db);
     } else if (data === 'settings_back') {
       await this.showSettings(ctx, db);
+    } else if (data.startsWith('settings_input_')) {
+      await this.askForInput(ctx, data.replace('settings_input_', ''));
     } else if (data.startsWith('settings_set_')) {
       await this.handleSettingChange(ctx, db, data);
     }
@@ -131,6 +144,12 @@ Your flashcards will show words from the selected level.
 • Questions per session: ${settings.questions_per_session || 10}
 • Difficulty: ${settings.quiz_difficulty || 'medium'}
 • Timeout: ${settings.timeout_seconds || 30}s
+• Flashcard grades: ${settings.grade_buttons === 2 ? '2 (knew it / learning)' : '4 (Again / Hard / Good / Easy)'}
+• New flashcards per day: ${settings.new_cards_per_day || 10}
+• Flashcard reviews per day: ${settings.max_reviews_per_day || 100}
+• Flashcard direction: ${this.getDirectionName(settings.card_direction)}
+
+Due reviews come first in every session; new words fill the rest until today's new card limit is used up. Each direction is scheduled as its own card; /quiz lets you pick another direction for one session.
 
 Choose an option to change:
     `;
@@ -146,6 +165,25 @@ Choose an option to change:
         Markup.button.callback('Medium', 'settings_set_difficulty_medium'),
         Markup.button.callback('Hard', 'settings_set_difficulty_hard')
       ],
+      [
+        Markup.button.callback('4 Grades', 'settings_set_grades_4'),
+        Markup.button.callback('2 Grades', 'settings_set_grades_2')
+      ],
+      [
+        Markup.button.callback('🆕 5/day', 'settings_set_newcards_5'),
+        Markup.button.callback('🆕 10/day', 'settings_set_newcards_10'),
+        Markup.button.callback('🆕 20/day', 'settings_set_newcards_20')
+      ],
+      [
+        Markup.button.callback('🔁 50/day', 'settings_set_reviewcap_50'),
+        Markup.button.callback('🔁 100/day', 'settings_set_reviewcap_100'),
+        Markup.button.callback('🔁 200/day', 'settings_set_reviewcap_200')
+      ],
+      [
+        Markup.button.callback('🇺🇸 → 🇩🇪', 'settings_set_direction_en-de'),
+        Markup.button.callback('🇩🇪 → 🇺🇸', 'settings_set_direction_de-en'),
+        Markup.button.callback('🔁 Both', 'settings_set_direction_both')
+      ],
       [Markup.button.callback('🔙 Back', 'settings_back')]
     ]);
 
@@ -156,25 +194,31 @@ Choose an option to change:
   }
 
   async showNotificationSettings(ctx, db) {
-    const userId = ctx.from.id;
     const settings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const timeZone = timezones.getUserTimezone(settings, ctx.from.language_code);
+    const preferredTime = settings.preferred_time || '18:00';
+    const quietHours = settings.quiet_hours_start
+      ? `${settings.quiet_hours_start}-${settings.quiet_hours_end}`
+      : 'Off';
+    const reminderIsQuiet = timezones.isInRange(preferredTime, settings.quiet_hours_start, settings.quiet_hours_end);
     
     const message = `
 🔔 *Notifications*
 
 *Current Settings:*
-• Notifications: ${settings.notifications_enabled ? '✅ Enabled' : '❌ Disabled'}
-• Preferred time: ${settings.preferred_time || '18:00'}
-• Daily reminders: ${settings.daily_reminders ? '✅ Enabled' : '❌ Disabled'}
-
-Choose an option:
+• Notifications: ${settings.notifications_enabled === 0 ? '❌ Disabled' : '✅ Enabled'}
+• Reminder time: ${preferredTime}
+• Time zone: \`${timeZone}\` (${timezones.formatOffset(timeZone)})${settings.timezone ? '' : ' - guessed'}
+• Quiet hours: ${quietHours}
+${reminderIsQuiet ? '\n⚠️ Your reminder time is in quiet hours, so it will arrive when they end.\n' : ''}
+All times are in your local time. Choose an option:
     `;
 
     const keyboard = Markup.inlineKeyboard([
       [
         Markup.button.callback(
-          settings.notifications_enabled ? '❌ Disable' : '✅ Enable',
-          `settings_set_notifications_${!settings.notifications_enabled}`
+          settings.notifications_enabled === 0 ? '✅ Enable' : '❌ Disable',
+          `settings_set_notifications_${settings.notifications_enabled === 0}`
         )
       ],
       [
@@ -182,6 +226,13 @@ Choose an option:
         Markup.button.callback('🕕 18:00', 'settings_set_time_18:00'),
         Markup.button.callback('🕘 21:00', 'settings_set_time_21:00')
       ],
+      [Markup.button.callback('⌨️ Other time...', 'settings_input_time')],
+      [Markup.button.callback('🌍 Time Zone', 'settings_input_timezone')],
+      [
+        ...QUIET_HOUR_PRESETS.map(range => Markup.button.callback(`🌙 ${range}`, `settings_set_quiet_${range}`)),
+        Markup.button.callback('🔕 Off', 'settings_set_quiet_off')
+      ],
+      [Markup.button.callback('⌨️ Custom quiet hours...', 'settings_input_quiet')],
       [Markup.button.callback('🔙 Back', 'settings_back')]
     ]);
 
@@ -191,6 +242,110 @@ Choose an option:
     });
   }
 
+  /**
+   * Ask the user to type a value; their next text message is handled by
+   * handleTextInput
+   */
+  async askForInput(ctx, type) {
+    const prompts = {
+      time: '⌨️ *Reminder Time*\n\nType the time you want your daily reminder, e.g. `07:30`, `19:45` or `8pm`.',
+      timezone: '🌍 *Time Zone*\n\nType your city (e.g. `Tokyo`, `New York`), a time zone (e.g. `America/Sao_Paulo`) or a UTC offset (e.g. `+5:30`, `UTC-3`).',
+      quiet: '🌙 *Quiet Hours*\n\nType a range without notifications, e.g. `22:00-07:00` or `11pm-6am`.',
+      alias: '✏️ *Leaderboard Alias*\n\nType the name to show on leaderboards (2-20 letters, digits or spaces).'
+    };
+
+    if (!prompts[type]) return;
+
+    this.pendingInputs.set(ctx.from.id, type);
+
+    await ctx.editMessageText(prompts[type], {
+      parse_mode: 'Markdown',
+      reply_markup: Markup.inlineKeyboard([
+        [Markup.button.callback('❌ Cancel', this.getInputMenu(type))]
+      ]).reply_markup
+    });
+  }
+
+  // The settings screen each typed value belongs to
+  getInputMenu(type) {
+    return type === 'alias' ? 'settings_privacy' : 'settings_notifications';
+  }
+
+  /**
+   * Handle a typed settings value. Returns true if the text was meant for
+   * settings, so it isn't treated as anything else
+   */
+  async handleTextInput(ctx, db) {
+    const type = this.pendingInputs.get(ctx.from.id);
+    if (!type) return false;
+
+    this.pendingInputs.delete(ctx.from.id);
+    const text = ctx.message.text;
+
+    if (type === 'alias') {
+      return this.handleAliasInput(ctx, db, text);
+    }
+
+    const currentSettings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const newSettings = { ...currentSettings };
+    let description;
+
+    if (type === 'time') {
+      const time = timezones.parseTime(text);
+      if (time) {
+        newSettings.preferred_time = time;
+        description = this.getSettingDescription('time', time);
+      }
+    } else if (type === 'timezone') {
+      const timeZone = timezones.parse(text);
+      if (timeZone) {
+        newSettings.timezone = timeZone;
+        description = this.getSettingDescription('timezone', timeZone);
+      }
+    } else if (type === 'quiet') {
+      const range = timezones.parseTimeRange(text);
+      if (range) {
+        [newSettings.quiet_hours_start, newSettings.quiet_hours_end] = range;
+        description = this.getSettingDescription('quiet', range.join('-'));
+      }
+    }
+
+    if (!description) {
+      await ctx.reply(`❌ Couldn't understand "${text}".`, Markup.inlineKeyboard([
+        [Markup.button.callback('🔄 Try again', `settings_input_${type}`)],
+        [Markup.button.callback('🔙 Back', this.getInputMenu(type))]
+      ]));
+      return true;
+    }
+
+    await db.updateUserSettings(ctx.dbUser.id, newSettings);
+
+    await ctx.replyWithMarkdown(`✅ Setting successfully changed!\n\n${description}`, Markup.inlineKeyboard([
+      [Markup.button.callback('🔔 Notifications', 'settings_notifications')],
+      [Markup.button.callback('🔙 Back to Settings', 'settings_back')]
+    ]));
+    return true;
+  }
+
+  async handleAliasInput(ctx, db, text) {
+    const alias = leaderboardService.parseAlias(text);
+
+    if (!alias) {
+      await ctx.reply('❌ Aliases need 2-20 letters, digits, spaces, dots or dashes.', Markup.inlineKeyboard([
+        [Markup.button.callback('🔄 Try again', 'settings_input_alias')],
+        [Markup.button.callback('🔙 Back', 'settings_privacy')]
+      ]));
+      return true;
+    }
+
+    await db.updateLeaderboardAlias(ctx.dbUser.id, alias);
+
+    await ctx.replyWithMarkdown(`✅ Leaderboard alias set to *${leaderboardService.escapeName(alias)}*`, Markup.inlineKeyboard([
+      [Markup.button.callback('📊 Data & Privacy', 'settings_privacy')]
+    ]));
+    return true;
+  }
+
   async showGoalSettings(ctx, db) {
     const userId = ctx.from.id;
     const settings = await db.getUserSettings(ctx.dbUser.id) || {};
@@ -202,6 +357,9 @@ Choose an option:
 • Daily goal: ${settings.daily_goal || 20} questions
 • Weekly goal: ${settings.weekly_goal || 100} questions  
 • Streak goal: ${settings.streak_goal || 7} days
+• Streak freezes: ${settings.streak_freezes_enabled === 0 ? '❌ Off' : '✅ On'}
+
+🧊 A streak freeze covers a missed day. Earn one by answering ${config.streaks.freezeGoalMultiplier}x your daily goal in a day (max ${config.streaks.maxFreezes}).
 
 Choose your new goal:
     `;
@@ -217,6 +375,17 @@ Choose your new goal:
         Markup.button.callback('100/Woche', 'settings_set_weekly_100'),
         Markup.button.callback('150/Woche', 'settings_set_weekly_150')
       ],
+      [
+        Markup.button.callback('🔥 7 days', 'settings_set_streak_7'),
+        Markup.button.callback('🔥 14 days', 'settings_set_streak_14'),
+        Markup.button.callback('🔥 30 days', 'settings_set_streak_30')
+      ],
+      [
+        Markup.button.callback(
+          settings.streak_freezes_enabled === 0 ? '🧊 Enable streak freezes' : '🧊 Disable streak freezes',
+          `settings_set_freezes_${settings.streak_freezes_enabled === 0}`
+        )
+      ],
       [Markup.button.callback('🔙 Back', 'settings_back')]
     ]);
 
@@ -256,6 +425,8 @@ Interface language for the bot.
     const consentInfo = await db.getUserConsentInfo(ctx.dbUser.id);
     const consentDate = consentInfo?.data_consent_date ? 
       new Date(consentInfo.data_consent_date).toLocaleDateString() : 'Not recorded';
+    const optedIn = consentInfo?.leaderboard_opt_in === 1;
+    const displayName = consentInfo?.leaderboard_alias || ctx.dbUser.first_name || 'Learner';
     
     const message = `
 📊 *Data & Privacy*
@@ -265,6 +436,11 @@ Interface language for the bot.
 • Consent date: ${consentDate}
 • Privacy policy: ${consentInfo?.privacy_policy_accepted ? '✅ Accepted' : '❌ Not accepted'}
 
+*Leaderboards:* ${optedIn ? `✅ Visible as *${leaderboardService.escapeName(displayName)}*` : '❌ Hidden'}
+${optedIn
+    ? 'Other users see your name and weekly XP and cards reviewed on /leaderboard.'
+    : 'You don\'t appear on any leaderboard. Joining shows only your alias (or first name) and weekly scores.'}
+
 *Available Actions:*
 • Export your data (GDPR compliant)
 • Delete all your data permanently
@@ -275,6 +451,15 @@ Interface language for the bot.
     `;
 
     const keyboard = Markup.inlineKeyboard([
+      ...(optedIn
+        ? [
+          [
+            Markup.button.callback('🙈 Leave leaderboards', 'settings_leaderboard_off'),
+            Markup.button.callback('✏️ Set alias', 'settings_input_alias')
+          ],
+          [Markup.button.callback('🏆 Leaderboard', 'leaderboard_show_global_xp')]
+        ]
+        : [[Markup.button.callback('🏆 Join leaderboards', 'settings_leaderboard_on')]]),
       [Markup.button.callback('📎 Export Data', 'settings_export')],
       [Markup.button.callback('🗑️ Delete My Data', 'settings_delete_data')],
       [Markup.button.callback('📋 Privacy Policy', 'consent_privacy_policy')],
@@ -287,6 +472,15 @@ Interface language for the bot.
     });
   }
 
+  /**
+   * Opting out hides the user from every board, group boards included
+   */
+  async setLeaderboardConsent(ctx, db, optIn) {
+    await db.updateLeaderboardConsent(ctx.dbUser.id, optIn);
+    await ctx.answerCbQuery(optIn ? '🏆 You joined the leaderboards' : '🙈 You\'re hidden from leaderboards');
+    await this.showPrivacySettings(ctx, db);
+  }
+
   async showDataDeletionConfirm(ctx, db) {
     const message = `
 🗑️ *Delete All Data*
@@ -323,13 +517,28 @@ Are you absolutely sure?
     try {
       const userId = ctx.dbUser.id;
       
-      // Delete all user data from all tables
-      db.run('DELETE FROM flashcard_progress WHERE user_id = ?', [userId]);
-      db.run('DELETE FROM user_progress WHERE user_id = ?', [userId]);
-      db.run('DELETE FROM quiz_sessions WHERE user_id = ?', [userId]);
-      db.run('DELETE FROM flashcard_sessions WHERE user_id = ?', [userId]);
-      db.run('DELETE FROM user_settings WHERE user_id = ?', [userId]);
-      db.run('DELETE FROM users WHERE id = ?', [userId]);
+      // Delete all user data from all tables, all or nothing
+      db.transaction(() => {
+        db.run('DELETE FROM flashcard_progress WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM flashcard_reviews WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM article_progress WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM plural_progress WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM verb_progress WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM cloze_progress WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM user_progress WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM quiz_sessions WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM flashcard_sessions WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM notification_deliveries WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM daily_activity WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM xp_events WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM user_achievements WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM leaderboard_group_members WHERE user_id = ?', [userId]);
+        leaderboardService.deleteEmptyGroups(db);
+        // Groups the user created live on for their other members
+        db.run('UPDATE leaderboard_groups SET created_by = NULL WHERE created_by = ?', [userId]);
+        db.run('DELETE FROM user_settings WHERE user_id = ?', [userId]);
+        db.run('DELETE FROM users WHERE id = ?', [userId]);
+      });
 
       await ctx.editMessageText(
         `✅ *Data Deleted Successfully*\n\nAll your data has been permanently deleted from our system.\n\nTo use the bot again, you'll need to give consent by typing /start.\n\nThank you for using German Vocab Bot!`,
@@ -409,15 +618,39 @@ Data will be provided as a JSON file.
         case 'time':
           newSettings.preferred_time = value;
           break;
+        case 'quiet':
+          [newSettings.quiet_hours_start, newSettings.quiet_hours_end] = value === 'off'
+            ? [null, null]
+            : value.split('-');
+          break;
         case 'daily':
           newSettings.daily_goal = parseInt(value);
           break;
         case 'weekly':
           newSettings.weekly_goal = parseInt(value);
           break;
+        case 'streak':
+          newSettings.streak_goal = parseInt(value);
+          break;
+        case 'freezes':
+          newSettings.streak_freezes_enabled = value === 'true';
+          break;
         case 'lang':
           newSettings.interface_language = value;
           break;
+        case 'grades':
+          newSettings.grade_buttons = parseInt(value) === 2 ? 2 : 4;
+          break;
+        case 'newcards':
+          newSettings.new_cards_per_day = parseInt(value);
+          break;
+        case 'reviewcap':
+          newSettings.max_reviews_per_day = parseInt(value);
+          break;
+        case 'direction':
+          // Callback data is split on underscores, so en_de travels as en-de
+          newSettings.card_direction = value.replace('-', '_');
+          break;
       }
       
       await db.updateUserSettings(ctx.dbUser.id, newSettings);
@@ -447,12 +680,18 @@ Data will be provided as a JSON file.
     );
 
     const settings = await db.getUserSettings(userId);
+    const consentInfo = await db.getUserConsentInfo(userId);
     
     return {
       exportDate: new Date().toISOString(),
       progress,
       sessions,
       settings,
+      leaderboard: {
+        optedIn: consentInfo?.leaderboard_opt_in === 1,
+        alias: consentInfo?.leaderboard_alias || null,
+        groups: leaderboardService.getUserGroups(db, userId).map(group => group.name)
+      },
       statistics: {
         totalSessions: sessions.length,
         totalQuestions: sessions.reduce((sum, s) => sum + (s.total_questions || 0), 0),
@@ -472,6 +711,15 @@ Data will be provided as a JSON file.
     return totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0;
   }
 
+  getDirectionName(direction) {
+    const names = {
+      en_de: 'English → German',
+      de_en: 'German → English',
+      both: 'Both directions'
+    };
+    return names[direction] || names.en_de;
+  }
+
   getSettingDescription(setting, value) {
     switch (setting) {
       case 'level':
@@ -483,13 +731,31 @@ Data will be provided as a JSON file.
       case 'notifications':
         return `Notifications: ${value === 'true' ? 'Enabled' : 'Disabled'}`;
       case 'time':
-        return `Preferred time: ${value}`;
+        return `Reminder time: ${value} (local time)`;
+      case 'timezone':
+        return `Time zone: \`${value}\` (${timezones.formatOffset(value)})`;
+      case 'quiet':
+        return value === 'off' ? 'Quiet hours: Off' : `Quiet hours: ${value}`;
       case 'daily':
         return `Daily goal: ${value} questions`;
       case 'weekly':
         return `Weekly goal: ${value} questions`;
+      case 'streak':
+        return `Streak goal: ${value} days`;
+      case 'freezes':
+        return `Streak freezes: ${value === 'true' ? 'Enabled' : 'Disabled'}`;
       case 'lang':
         return `Language: ${value}`;
+      case 'newcards':
+        return `New flashcards per day: ${value}`;
+      case 'reviewcap':
+        return `Flashcard reviews per day: ${value}`;
+      case 'direction':
+        return `Flashcard direction: ${this.getDirectionName(value.replace('-', '_'))}`;
+      case 'grades':
+        return value === '2'
+          ? 'Flashcard grades: I knew it / I\'m learning'
+          : 'Flashcard grades: Again / Hard / Good / Easy';
       default:
         return 'Setting changed';
     }
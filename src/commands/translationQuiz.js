@@ -0,0 +1,252 @@
+const { Markup } = require('telegraf');
+const distractorService = require('../services/distractorService');
+const streakService = require('../services/streakService');
+const goalService = require('../services/goalService');
+const utils = require('../utils/helpers');
+const config = require('../../config/config');
+
+const DIRECTIONS = {
+  de_en: { title: 'Translation Quiz', sessionType: 'translation_de_en', label: '🇩🇪 → 🇺🇸' },
+  en_de: { title: 'Translation Quiz', sessionType: 'translation_en_de', label: '🇺🇸 → 🇩🇪' },
+  mixed: { title: 'Mixed Quiz', sessionType: 'translation_mixed', label: '🔀 Both ways' }
+};
+
+class TranslationQuizHandler {
+  constructor() {
+    this.activeSessions = new Map(); // userId -> session data
+  }
+
+  async startTranslationQuiz(ctx, db, direction = 'de_en') {
+    const userId = ctx.from.id;
+    const userSettings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const questionsPerSession = userSettings.questions_per_session || config.quiz.questionsPerSession;
+    const preferredLevel = userSettings.preferred_level || 'A1';
+
+    const words = await this.getQuizVocabulary(db, questionsPerSession, preferredLevel);
+
+    if (words.length === 0) {
+      await ctx.reply(`❌ No ${preferredLevel} vocabulary found for the translation quiz. Try changing your level in /settings or check back later.`);
+      return;
+    }
+
+    const sessionId = await db.createQuizSession(ctx.dbUser.id, DIRECTIONS[direction].sessionType);
+
+    const questions = words.map(word => this.buildQuestion(db, word, direction));
+
+    const session = {
+      sessionId,
+      userId,
+      direction,
+      questions,
+      currentQuestion: 0,
+      correctAnswers: 0,
+      startTime: Date.now(),
+      userLevel: preferredLevel
+    };
+
+    this.activeSessions.set(userId, session);
+
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  async getQuizVocabulary(db, limit, preferredLevel = 'A1') {
+    return db.all(`
+      SELECT id, german_word, english_translation, article, level
+      FROM vocabulary_simple
+      WHERE level = ?
+      ORDER BY RANDOM()
+      LIMIT ?
+    `, [preferredLevel, limit]);
+  }
+
+  buildQuestion(db, word, direction) {
+    // Mixed sessions pick a direction per question
+    const questionDirection = direction === 'mixed'
+      ? utils.getRandomElement(['de_en', 'en_de'])
+      : direction;
+
+    const distractors = distractorService.pickDistractors(db, word, 3);
+    const showAnswer = questionDirection === 'de_en'
+      ? w => w.english_translation
+      : w => this.formatGermanWord(w);
+
+    const options = utils.shuffleArray([word, ...distractors]).map(showAnswer);
+
+    return {
+      word,
+      direction: questionDirection,
+      prompt: questionDirection === 'de_en' ? this.formatGermanWord(word) : word.english_translation,
+      options,
+      correctIndex: options.indexOf(showAnswer(word))
+    };
+  }
+
+  formatGermanWord(word) {
+    return word.article ? `${word.article} ${word.german_word}` : word.german_word;
+  }
+
+  async showCurrentQuestion(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session || session.currentQuestion >= session.questions.length) {
+      await this.endTranslationSession(ctx, db);
+      return;
+    }
+
+    const question = session.questions[session.currentQuestion];
+    const questionNumber = session.currentQuestion + 1;
+    const { title } = DIRECTIONS[session.direction];
+    const flag = question.direction === 'de_en' ? '🇩🇪 *German:*' : '🇺🇸 *English:*';
+    const target = question.direction === 'de_en' ? 'English' : 'German';
+
+    const message = `
+🔤 *${title}* ${questionNumber}/${session.questions.length} (${session.userLevel})
+
+${flag}
+**${question.prompt}**
+
+Choose the ${target} translation:
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      ...question.options.map((option, index) => [
+        Markup.button.callback(option, `translation_answer_${session.currentQuestion}_${index}`)
+      ]),
+      [Markup.button.callback('❌ End Session', 'translation_end')]
+    ]);
+
+    if (session.currentQuestion === 0) {
+      await ctx.replyWithMarkdown(message, keyboard);
+    } else {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    }
+  }
+
+  async handleAnswer(ctx, db, questionIndex, optionIndex) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    // Ignore taps on buttons of a question that was already answered
+    if (session.currentQuestion !== parseInt(questionIndex)) {
+      await ctx.answerCbQuery('❌ Question mismatch');
+      return;
+    }
+
+    const question = session.questions[session.currentQuestion];
+    const chosen = parseInt(optionIndex);
+    const isCorrect = chosen === question.correctIndex;
+    const correctOption = question.options[question.correctIndex];
+
+    session.currentQuestion++;
+    const activity = streakService.recordAnswer(db, ctx.dbUser.id, isCorrect);
+    if (activity.freezeEarned) {
+      session.freezeEarned = true;
+    }
+    await goalService.congratulate(ctx, db, activity);
+
+    if (isCorrect) {
+      session.correctAnswers++;
+      await ctx.answerCbQuery(`✅ Richtig! ${correctOption}`);
+
+      setTimeout(async () => {
+        await this.showCurrentQuestion(ctx, db);
+      }, 1000);
+      return;
+    }
+
+    await ctx.answerCbQuery(`❌ It's: ${correctOption}`);
+
+    const { title } = DIRECTIONS[session.direction];
+    const message = `
+🔤 *${title}* ${session.currentQuestion}/${session.questions.length} (${session.userLevel})
+
+❌ Not *${question.options[chosen]}*
+
+🇩🇪 ${this.formatGermanWord(question.word)}
+🇺🇸 ${question.word.english_translation}
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('➡️ Next', 'translation_next')],
+      [Markup.button.callback('❌ End Session', 'translation_end')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  }
+
+  async endTranslationSession(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session) {
+      await ctx.editMessageText('❌ No active session found.');
+      return;
+    }
+
+    const totalQuestions = session.currentQuestion;
+    const accuracy = utils.calculateAccuracy(session.correctAnswers, totalQuestions);
+    const duration = Math.round((Date.now() - session.startTime) / 1000);
+    const { title, label } = DIRECTIONS[session.direction];
+
+    await db.updateQuizSession(session.sessionId, totalQuestions, session.correctAnswers);
+
+    const message = `
+🎉 *${title} Complete!* (${label})
+
+📊 *Results:*
+• Questions answered: ${totalQuestions}
+• Correct answers: ${session.correctAnswers}
+• Accuracy: ${accuracy}%
+• Duration: ${duration} seconds
+
+${goalService.formatSummaryLine(db, ctx.dbUser.id)}
+${streakService.formatSummaryLine(db, ctx.dbUser.id)}${session.freezeEarned ? '\n🧊 You earned a streak freeze!' : ''}
+
+${utils.generateMotivationalMessage(accuracy)}
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🔄 New Quiz', `translation_start_${session.direction}`)],
+      [Markup.button.callback('📊 Progress', 'progress_show')]
+    ]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+
+    this.activeSessions.delete(userId);
+  }
+
+  async handleTranslationCallback(ctx, db) {
+    const data = ctx.callbackQuery.data;
+
+    if (data.startsWith('translation_answer_')) {
+      const [, , questionIndex, optionIndex] = data.split('_');
+      await this.handleAnswer(ctx, db, questionIndex, optionIndex);
+    } else if (data.startsWith('translation_start_')) {
+      const direction = data.replace('translation_start_', '');
+      if (DIRECTIONS[direction]) {
+        await this.startTranslationQuiz(ctx, db, direction);
+      }
+    } else if (data === 'translation_next') {
+      await this.showCurrentQuestion(ctx, db);
+    } else if (data === 'translation_end') {
+      await this.endTranslationSession(ctx, db);
+    }
+  }
+}
+
+module.exports = TranslationQuizHandler;
@@ -0,0 +1,273 @@
+const { Markup } = require('telegraf');
+const verbRules = require('../services/verbRules');
+const streakService = require('../services/streakService');
+const goalService = require('../services/goalService');
+const drillService = require('../services/drillService');
+const config = require('../../config/config');
+
+class VerbQuizHandler {
+  constructor() {
+    this.activeSessions = new Map(); // userId -> session data
+  }
+
+  async showTenseMenu(ctx) {
+    const message = `
+🏃 *Verb Trainer*
+
+Type the right form of a verb, like *du / Präsens / fahren* → fährst.
+Practice all tenses or pick one:
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🏃 All Tenses', 'verb_start_all')],
+      [
+        Markup.button.callback('Präsens', 'verb_start_praesens'),
+        Markup.button.callback('Präteritum', 'verb_start_praeteritum'),
+        Markup.button.callback('Perfekt', 'verb_start_perfekt')
+      ]
+    ]);
+
+    await ctx.editMessageText(message, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  }
+
+  /**
+   * tense is 'praesens', 'praeteritum', 'perfekt' or 'all'
+   */
+  async startVerbQuiz(ctx, db, tense = 'all') {
+    const userId = ctx.from.id;
+    const userSettings = await db.getUserSettings(ctx.dbUser.id) || {};
+    const questionsPerSession = userSettings.questions_per_session || config.quiz.questionsPerSession;
+    const preferredLevel = userSettings.preferred_level || 'A1';
+
+    const forms = verbRules.getForms(tense === 'all' ? null : tense);
+    const questions = await this.getVerbQuestions(db, ctx.dbUser.id, forms, questionsPerSession, preferredLevel);
+
+    if (questions.length === 0) {
+      await ctx.reply(`❌ No ${preferredLevel} verbs to practice right now. Try changing your level in /settings or check back later.`);
+      return;
+    }
+
+    const sessionId = await db.createQuizSession(ctx.dbUser.id, 'verbs');
+
+    const session = {
+      sessionId,
+      userId,
+      tense,
+      questions,
+      currentQuestion: 0,
+      correctAnswers: 0,
+      mistakes: [],
+      startTime: Date.now(),
+      userLevel: preferredLevel
+    };
+
+    this.activeSessions.set(userId, session);
+
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  /**
+   * One due form per verb, weakest forms first
+   */
+  async getVerbQuestions(db, userId, forms, limit, preferredLevel = 'A1') {
+    const rows = db.all(`
+      SELECT v.id, v.german_word, v.english_translation, v.level,
+             vf.present_du, vf.present_er, vf.praeteritum, vf.partizip,
+             vf.auxiliary, vf.separable_prefix, vf.is_irregular,
+             f.form,
+             COALESCE(vp.streak, 0) as streak,
+             COALESCE(vp.times_incorrect, 0) as times_incorrect
+      FROM vocabulary_simple v
+      JOIN verb_forms vf ON v.id = vf.vocabulary_id
+      JOIN (${forms.map(() => 'SELECT ? as form').join(' UNION ALL ')}) f
+      LEFT JOIN verb_progress vp ON v.id = vp.vocabulary_id AND vp.user_id = ? AND vp.form = f.form
+      WHERE v.level = ?
+        AND (vp.next_review IS NULL OR vp.next_review <= datetime('now'))
+      ORDER BY
+        COALESCE(vp.streak, 0) ASC,
+        COALESCE(vp.times_incorrect, 0) DESC,
+        RANDOM()
+    `, [...forms, userId, preferredLevel]);
+
+    const seen = new Set();
+    return rows.filter(row => {
+      if (seen.has(row.id)) return false;
+      seen.add(row.id);
+      return true;
+    }).slice(0, limit);
+  }
+
+  async showCurrentQuestion(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session || session.currentQuestion >= session.questions.length) {
+      await this.endVerbSession(ctx, db);
+      return;
+    }
+
+    const question = session.questions[session.currentQuestion];
+    const questionNumber = session.currentQuestion + 1;
+
+    const message = `
+🏃 *Verb Trainer* ${questionNumber}/${session.questions.length} (${session.userLevel})
+
+**${verbRules.describeForm(question.form)} / ${question.german_word}**
+_${question.english_translation}_
+
+Type the verb form (the pronoun is optional):
+    `;
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🤷 Don\'t Know', `verb_skip_${question.id}`)],
+      [Markup.button.callback('❌ End Session', 'verb_end')]
+    ]);
+
+    // Answers are text messages, so each question goes below the last feedback
+    await ctx.replyWithMarkdown(message, keyboard);
+  }
+
+  /**
+   * Grade a text message in a verb session
+   * Returns true if the message was used as an answer
+   */
+  async handleTypedAnswer(ctx, db) {
+    const session = this.activeSessions.get(ctx.from.id);
+    const question = session && session.questions[session.currentQuestion];
+
+    if (!question) {
+      return false;
+    }
+
+    const input = ctx.message.text.trim();
+    const [tense, person] = question.form.split('_');
+    const { isCorrect, expected } = verbRules.grade(input, question, tense, person);
+    await drillService.recordAnswer(ctx, db, session, 'verb_progress', question, isCorrect, input, { form: question.form });
+
+    const feedback = isCorrect
+      ? `✅ Richtig! *${verbRules.persons[person].pronouns[0]} ${expected}*`
+      : this.formatMistake(session, question, input);
+    await ctx.replyWithMarkdown(feedback);
+    await this.showCurrentQuestion(ctx, db);
+    return true;
+  }
+
+  // "Don't know" counts as a wrong answer
+  async handleSkip(ctx, db, vocabularyId) {
+    const session = this.activeSessions.get(ctx.from.id);
+    const question = session && session.questions[session.currentQuestion];
+
+    if (!question || question.id !== parseInt(vocabularyId)) {
+      await ctx.answerCbQuery('❌ Session expired');
+      return;
+    }
+
+    await drillService.recordAnswer(ctx, db, session, 'verb_progress', question, false, null, { form: question.form });
+    await ctx.editMessageText(this.formatMistake(session, question, null), { parse_mode: 'Markdown' });
+    await this.showCurrentQuestion(ctx, db);
+  }
+
+  formatMistake(session, question, answer) {
+    const [tense, person] = question.form.split('_');
+    const expected = verbRules.conjugate(question, tense, person).join(' / ');
+    const typed = drillService.formatTypedAnswer(answer);
+    const given = typed ? `❌ Not *${typed}* - it's:` : '💡 It\'s:';
+
+    let message = `
+🏃 *Verb Trainer* ${session.currentQuestion}/${session.questions.length} (${session.userLevel})
+
+${given}
+**${verbRules.persons[person].pronouns[0]} ${expected}** (${verbRules.describeForm(question.form)})
+_${question.german_word}: ${verbRules.formatPrincipalParts(question)}_
+`;
+
+    if (question.separable_prefix && tense !== 'perfekt') {
+      message += `\n💡 Separable verb: *${question.separable_prefix}* goes to the end`;
+    } else if (question.is_irregular) {
+      message += '\n💡 Irregular verb - learn its principal parts';
+    }
+
+    return message;
+  }
+
+  async endVerbSession(ctx, db) {
+    const userId = ctx.from.id;
+    const session = this.activeSessions.get(userId);
+
+    if (!session) {
+      await ctx.editMessageText('❌ No active session found.');
+      return;
+    }
+
+    const totalQuestions = session.currentQuestion;
+    const accuracy = totalQuestions > 0 ? Math.round((session.correctAnswers / totalQuestions) * 100) : 0;
+    const duration = Math.round((Date.now() - session.startTime) / 1000);
+
+    await db.updateQuizSession(session.sessionId, totalQuestions, session.correctAnswers);
+
+    let message = `
+🎉 *Verb Trainer Complete!*
+
+📊 *Results:*
+• Forms answered: ${totalQuestions}
+• Correct forms: ${session.correctAnswers}
+• Accuracy: ${accuracy}%
+• Duration: ${duration} seconds
+`;
+
+    if (session.mistakes.length > 0) {
+      message += `\n🔍 *Forms to review:*\n${this.formatMistakeSummary(session.mistakes)}\n`;
+    }
+
+    message += `\n${goalService.formatSummaryLine(db, ctx.dbUser.id)}`;
+    message += `\n${streakService.formatSummaryLine(db, ctx.dbUser.id)}`;
+    if (session.freezeEarned) {
+      message += '\n🧊 You earned a streak freeze!';
+    }
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('🔄 New Drill', `verb_start_${session.tense}`)],
+      [Markup.button.callback('🏃 Verb Forms', 'progress_verbs')]
+    ]);
+
+    await drillService.showSummary(ctx, message, keyboard);
+
+    this.activeSessions.delete(userId);
+  }
+
+  // Mistakes grouped by tense: "• Präsens: du fährst (fahren), ..."
+  formatMistakeSummary(mistakes) {
+    const groups = {};
+
+    mistakes.forEach(question => {
+      const [tense, person] = question.form.split('_');
+      const form = verbRules.conjugate(question, tense, person)[0];
+      (groups[tense] = groups[tense] || [])
+        .push(`${verbRules.persons[person].pronouns[0]} ${form} (${question.german_word})`);
+    });
+
+    return Object.keys(verbRules.tenses)
+      .filter(tense => groups[tense])
+      .map(tense => `• ${verbRules.tenses[tense]}: ${groups[tense].join(', ')}`)
+      .join('\n');
+  }
+
+  async handleVerbCallback(ctx, db) {
+    const data = ctx.callbackQuery.data;
+
+    if (data === 'verb_menu') {
+      await this.showTenseMenu(ctx);
+    } else if (data.startsWith('verb_start_')) {
+      await this.startVerbQuiz(ctx, db, data.replace('verb_start_', ''));
+    } else if (data.startsWith('verb_skip_')) {
+      await this.handleSkip(ctx, db, data.split('_')[2]);
+    } else if (data === 'verb_end') {
+      await this.endVerbSession(ctx, db);
+    }
+  }
+}
+
+module.exports = VerbQuizHandler;
@@ -34,6 +34,11 @@ class DatabaseInitializer {
         data_consent_date DATETIME,
         data_consent_version TEXT DEFAULT '1.0',
         privacy_policy_accepted BOOLEAN DEFAULT 0,
+        bot_blocked_at DATETIME,
+        streak_freezes INTEGER DEFAULT 0,
+        leaderboard_opt_in INTEGER DEFAULT 0,
+        leaderboard_consent_date DATETIME,
+        leaderboard_alias TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`);
@@ -62,6 +67,10 @@ class DatabaseInitializer {
         german_word TEXT NOT NULL UNIQUE,
         english_translation TEXT NOT NULL,
         level TEXT DEFAULT 'A1',
+        article TEXT,
+        plural TEXT,
+        plural_status TEXT,
+        plural_source TEXT,
         added_date DATETIME DEFAULT CURRENT_TIMESTAMP,
         difficulty_score REAL DEFAULT 1.0
       )`);
@@ -86,16 +95,24 @@ class DatabaseInitializer {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_id INTEGER NOT NULL,
         vocabulary_id INTEGER NOT NULL,
+        direction TEXT NOT NULL DEFAULT 'en_de',
         times_shown INTEGER DEFAULT 0,
         times_correct INTEGER DEFAULT 0,
         times_incorrect INTEGER DEFAULT 0,
         mastery_level INTEGER DEFAULT 0,
+        ease_factor REAL,
+        interval_days REAL,
+        repetitions INTEGER,
+        lapses INTEGER,
+        stability REAL,
+        difficulty REAL,
+        leech_at DATETIME,
         last_shown DATETIME,
         next_review DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (id),
         FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
-        UNIQUE(user_id, vocabulary_id)
+        UNIQUE(user_id, vocabulary_id, direction)
       )`);
 
       db.exec(`CREATE TABLE IF NOT EXISTS flashcard_sessions (
@@ -105,17 +122,225 @@ class DatabaseInitializer {
         cards_reviewed INTEGER DEFAULT 0,
         cards_known INTEGER DEFAULT 0,
         cards_learning INTEGER DEFAULT 0,
+        card_queue TEXT,
+        session_mode TEXT DEFAULT 'reveal',
+        level TEXT,
+        topic_id INTEGER,
+        deck TEXT,
+        direction TEXT,
+        grade_counts TEXT,
+        last_activity DATETIME,
         started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         completed_at DATETIME,
         FOREIGN KEY (user_id) REFERENCES users (id)
       )`);
 
+      db.exec(`CREATE TABLE IF NOT EXISTS flashcard_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        session_id INTEGER,
+        grade TEXT NOT NULL,
+        response_time_ms INTEGER,
+        interval_before REAL,
+        interval_after REAL,
+        mastery_before INTEGER,
+        mastery_after INTEGER,
+        direction TEXT DEFAULT 'en_de',
+        reviewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        FOREIGN KEY (session_id) REFERENCES flashcard_sessions (id)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS article_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_answer TEXT,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS plural_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_answer TEXT,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS verb_forms (
+        vocabulary_id INTEGER PRIMARY KEY,
+        present_du TEXT NOT NULL,
+        present_er TEXT NOT NULL,
+        praeteritum TEXT NOT NULL,
+        partizip TEXT NOT NULL,
+        auxiliary TEXT NOT NULL DEFAULT 'haben',
+        separable_prefix TEXT,
+        is_irregular INTEGER DEFAULT 0,
+        source TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS verb_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        form TEXT NOT NULL,
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_answer TEXT,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id, form)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS cloze_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_answer TEXT,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS word_analyses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        german_word TEXT NOT NULL,
+        english_translation TEXT NOT NULL,
+        prompt_version INTEGER NOT NULL,
+        analysis TEXT NOT NULL,
+        is_fallback INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(german_word, english_translation, prompt_version)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS analysis_checkpoints (
+        level TEXT PRIMARY KEY,
+        last_vocabulary_id INTEGER DEFAULT 0,
+        completed_passes INTEGER DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS topics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS vocabulary_topics (
+        vocabulary_id INTEGER NOT NULL,
+        topic_id INTEGER NOT NULL,
+        PRIMARY KEY (vocabulary_id, topic_id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id) ON DELETE CASCADE,
+        FOREIGN KEY (topic_id) REFERENCES topics (id) ON DELETE CASCADE
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_vocabulary_topics_topic ON vocabulary_topics (topic_id)');
+
+      db.exec(`CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        notification_type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error_code INTEGER,
+        error_message TEXT,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON notification_deliveries (user_id, notification_type, sent_at)');
+
+      // One row per user and local day with answers, or a day bridged by a streak freeze
+      db.exec(`CREATE TABLE IF NOT EXISTS daily_activity (
+        user_id INTEGER NOT NULL,
+        activity_date TEXT NOT NULL,
+        answers INTEGER DEFAULT 0,
+        correct INTEGER DEFAULT 0,
+        frozen INTEGER DEFAULT 0,
+        daily_goal INTEGER,
+        weekly_goal INTEGER,
+        PRIMARY KEY (user_id, activity_date),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+
+      // XP ledger; a user's total XP is the sum of their events
+      db.exec(`CREATE TABLE IF NOT EXISTS xp_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        amount INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        session_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_xp_events_user ON xp_events (user_id, created_at)');
+
+      db.exec(`CREATE TABLE IF NOT EXISTS user_achievements (
+        user_id INTEGER NOT NULL,
+        achievement_id TEXT NOT NULL,
+        earned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, achievement_id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS leaderboard_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        invite_code TEXT UNIQUE NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS leaderboard_group_members (
+        group_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, user_id),
+        FOREIGN KEY (group_id) REFERENCES leaderboard_groups (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+
       db.exec(`CREATE TABLE IF NOT EXISTS quiz_sessions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_id INTEGER,
         total_questions INTEGER DEFAULT 0,
         correct_answers INTEGER DEFAULT 0,
         session_type TEXT DEFAULT 'articles',
+        score INTEGER,
         started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         completed_at DATETIME,
         FOREIGN KEY (user_id) REFERENCES users (id)
@@ -127,9 +352,19 @@ class DatabaseInitializer {
         quiz_difficulty TEXT DEFAULT 'medium',
         questions_per_session INTEGER DEFAULT 10,
         daily_goal INTEGER DEFAULT 20,
+        weekly_goal INTEGER DEFAULT 100,
         notifications_enabled BOOLEAN DEFAULT 1,
         preferred_time TEXT DEFAULT '18:00',
         preferred_level TEXT DEFAULT 'A1',
+        grade_buttons INTEGER DEFAULT 4,
+        timezone TEXT,
+        quiet_hours_start TEXT,
+        quiet_hours_end TEXT,
+        streak_goal INTEGER DEFAULT 7,
+        streak_freezes_enabled INTEGER DEFAULT 1,
+        new_cards_per_day INTEGER DEFAULT 10,
+        max_reviews_per_day INTEGER DEFAULT 100,
+        card_direction TEXT DEFAULT 'en_de',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (id)
@@ -141,6 +376,12 @@ class DatabaseInitializer {
       db.exec(`CREATE INDEX IF NOT EXISTS idx_vocabulary_simple_level ON vocabulary_simple(level)`);
       db.exec(`CREATE INDEX IF NOT EXISTS idx_quiz_sessions_user_id ON quiz_sessions(user_id)`);
       db.exec(`CREATE INDEX IF NOT EXISTS idx_flashcard_progress_user_id ON flashcard_progress(user_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user_id ON flashcard_reviews(user_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_vocabulary_id ON flashcard_reviews(vocabulary_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_article_progress_user_id ON article_progress(user_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_plural_progress_user_id ON plural_progress(user_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_verb_progress_user_id ON verb_progress(user_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_cloze_progress_user_id ON cloze_progress(user_id)`);
 
       db.close();
       console.log('Database initialized successfully');
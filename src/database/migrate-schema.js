@@ -0,0 +1,520 @@
+#!/usr/bin/env node
+
+const BetterSQLite = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const config = require('../../config/config');
+
+/**
+ * Migration script to bring existing databases up to the current schema.
+ * Safe to run multiple times: columns are only added when missing and
+ * tables are created with IF NOT EXISTS.
+ */
+
+class SchemaMigration {
+  constructor() {
+    this.dbPath = path.resolve(config.database.path);
+  }
+
+  async migrate() {
+    try {
+      // Ensure directory exists
+      const dbDir = path.dirname(this.dbPath);
+      if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true });
+      }
+
+      const db = new BetterSQLite(this.dbPath);
+      console.log('Connected to database for schema migration');
+
+      // Noun gender for the article drill (NULL for non-nouns)
+      this.addColumn(db, 'vocabulary_simple', 'article', 'TEXT');
+
+      // Article drill progress, tracked separately from flashcard_progress
+      db.exec(`CREATE TABLE IF NOT EXISTS article_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_answer TEXT,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id)
+      )`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_article_progress_user_id ON article_progress(user_id)`);
+      console.log('✅ article_progress table ready');
+
+      // Noun plurals for the plural drill. plural_status is NULL until a
+      // plural is known, 'pending' until an admin has checked a guessed one,
+      // then 'approved'; 'none' marks nouns without a plural. plural_source
+      // says where it came from ('lexicon', 'compound', 'llm' or 'admin')
+      this.addColumn(db, 'vocabulary_simple', 'plural', 'TEXT');
+      this.addColumn(db, 'vocabulary_simple', 'plural_status', 'TEXT');
+      this.addColumn(db, 'vocabulary_simple', 'plural_source', 'TEXT');
+
+      // Plural drill progress, scheduled like article_progress
+      db.exec(`CREATE TABLE IF NOT EXISTS plural_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_answer TEXT,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id)
+      )`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_plural_progress_user_id ON plural_progress(user_id)`);
+      console.log('✅ plural_progress table ready');
+
+      // Principal parts of verbs for the verb trainer, see verbService.
+      // Separable verbs keep the prefix split off ("zieht an", "zog an")
+      db.exec(`CREATE TABLE IF NOT EXISTS verb_forms (
+        vocabulary_id INTEGER PRIMARY KEY,
+        present_du TEXT NOT NULL,
+        present_er TEXT NOT NULL,
+        praeteritum TEXT NOT NULL,
+        partizip TEXT NOT NULL,
+        auxiliary TEXT NOT NULL DEFAULT 'haben',
+        separable_prefix TEXT,
+        is_irregular INTEGER DEFAULT 0,
+        source TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id)
+      )`);
+      console.log('✅ verb_forms table ready');
+
+      // Verb trainer progress per verb and form ('praesens_du', 'perfekt_er')
+      db.exec(`CREATE TABLE IF NOT EXISTS verb_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        form TEXT NOT NULL,
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_answer TEXT,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id, form)
+      )`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_verb_progress_user_id ON verb_progress(user_id)`);
+      console.log('✅ verb_progress table ready');
+
+      // Cloze progress per word, scheduled like plural_progress
+      db.exec(`CREATE TABLE IF NOT EXISTS cloze_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        streak INTEGER DEFAULT 0,
+        last_answer TEXT,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id)
+      )`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_cloze_progress_user_id ON cloze_progress(user_id)`);
+      console.log('✅ cloze_progress table ready');
+
+      // Spaced-repetition state per flashcard (SM-2 uses ease/interval/
+      // repetitions, FSRS uses stability/difficulty)
+      this.addColumn(db, 'flashcard_progress', 'ease_factor', 'REAL');
+      this.addColumn(db, 'flashcard_progress', 'interval_days', 'REAL');
+      this.addColumn(db, 'flashcard_progress', 'repetitions', 'INTEGER');
+      this.addColumn(db, 'flashcard_progress', 'lapses', 'INTEGER');
+      this.addColumn(db, 'flashcard_progress', 'stability', 'REAL');
+      this.addColumn(db, 'flashcard_progress', 'difficulty', 'REAL');
+      this.migrateFlashcardScheduling(db);
+      // Set while a card is a leech, see leechService
+      this.addColumn(db, 'flashcard_progress', 'leech_at', 'DATETIME');
+      this.flagLeeches(db);
+      // English → German and German → English are scheduled as separate cards
+      this.migrateCardDirections(db);
+
+      // Unfinished flashcard sessions are kept in the database so they can
+      // be resumed after a restart
+      this.addColumn(db, 'flashcard_sessions', 'card_queue', 'TEXT');
+      this.addColumn(db, 'flashcard_sessions', 'session_mode', "TEXT DEFAULT 'reveal'");
+      this.addColumn(db, 'flashcard_sessions', 'level', 'TEXT');
+      this.addColumn(db, 'flashcard_sessions', 'grade_counts', 'TEXT');
+      this.addColumn(db, 'flashcard_sessions', 'last_activity', 'DATETIME');
+      this.addColumn(db, 'flashcard_sessions', 'topic_id', 'INTEGER');
+      // 'leeches' for a trouble words session, NULL for level and topic decks
+      this.addColumn(db, 'flashcard_sessions', 'deck', 'TEXT');
+      // 'en_de', 'de_en' or 'both'; NULL for sessions before directions
+      this.addColumn(db, 'flashcard_sessions', 'direction', 'TEXT');
+
+      // One row per flashcard answer, for retention stats and word history
+      db.exec(`CREATE TABLE IF NOT EXISTS flashcard_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        session_id INTEGER,
+        grade TEXT NOT NULL,
+        response_time_ms INTEGER,
+        interval_before REAL,
+        interval_after REAL,
+        mastery_before INTEGER,
+        mastery_after INTEGER,
+        reviewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        FOREIGN KEY (session_id) REFERENCES flashcard_sessions (id)
+      )`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user_id ON flashcard_reviews(user_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_vocabulary_id ON flashcard_reviews(vocabulary_id)`);
+      // Mastery level around each answer, for promotions in weekly reports
+      this.addColumn(db, 'flashcard_reviews', 'mastery_before', 'INTEGER');
+      this.addColumn(db, 'flashcard_reviews', 'mastery_after', 'INTEGER');
+      this.addColumn(db, 'flashcard_reviews', 'direction', "TEXT DEFAULT 'en_de'");
+      console.log('✅ flashcard_reviews table ready');
+
+      // Cached wordAnalyzer results, shared by all users
+      db.exec(`CREATE TABLE IF NOT EXISTS word_analyses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        german_word TEXT NOT NULL,
+        english_translation TEXT NOT NULL,
+        prompt_version INTEGER NOT NULL,
+        analysis TEXT NOT NULL,
+        is_fallback INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(german_word, english_translation, prompt_version)
+      )`);
+      console.log('✅ word_analyses table ready');
+
+      db.exec(`CREATE TABLE IF NOT EXISTS analysis_checkpoints (
+        level TEXT PRIMARY KEY,
+        last_vocabulary_id INTEGER DEFAULT 0,
+        completed_passes INTEGER DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      console.log('✅ analysis_checkpoints table ready');
+
+      db.exec(`CREATE TABLE IF NOT EXISTS topics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      db.exec(`CREATE TABLE IF NOT EXISTS vocabulary_topics (
+        vocabulary_id INTEGER NOT NULL,
+        topic_id INTEGER NOT NULL,
+        PRIMARY KEY (vocabulary_id, topic_id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id) ON DELETE CASCADE,
+        FOREIGN KEY (topic_id) REFERENCES topics (id) ON DELETE CASCADE
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_vocabulary_topics_topic ON vocabulary_topics (topic_id)');
+      console.log('✅ topics tables ready');
+
+      db.exec(`CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        notification_type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error_code INTEGER,
+        error_message TEXT,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user ON notification_deliveries (user_id, notification_type, sent_at)');
+      console.log('✅ notification_deliveries table ready');
+
+      // One row per user and local day with answers, or a day bridged by a
+      // streak freeze
+      db.exec(`CREATE TABLE IF NOT EXISTS daily_activity (
+        user_id INTEGER NOT NULL,
+        activity_date TEXT NOT NULL,
+        answers INTEGER DEFAULT 0,
+        correct INTEGER DEFAULT 0,
+        frozen INTEGER DEFAULT 0,
+        daily_goal INTEGER,
+        weekly_goal INTEGER,
+        PRIMARY KEY (user_id, activity_date),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      // Goals in effect that day, for the goal history
+      this.addColumn(db, 'daily_activity', 'daily_goal', 'INTEGER');
+      this.addColumn(db, 'daily_activity', 'weekly_goal', 'INTEGER');
+      this.backfillDailyActivity(db);
+      console.log('✅ daily_activity table ready');
+
+      // XP ledger; a user's total XP is the sum of their events
+      db.exec(`CREATE TABLE IF NOT EXISTS xp_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        amount INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        session_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      db.exec('CREATE INDEX IF NOT EXISTS idx_xp_events_user ON xp_events (user_id, created_at)');
+
+      // Badges from the achievement catalogue in achievementService
+      db.exec(`CREATE TABLE IF NOT EXISTS user_achievements (
+        user_id INTEGER NOT NULL,
+        achievement_id TEXT NOT NULL,
+        earned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, achievement_id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      console.log('✅ xp_events and user_achievements tables ready');
+
+      // Private leaderboard groups, joined with an invite code
+      db.exec(`CREATE TABLE IF NOT EXISTS leaderboard_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        invite_code TEXT UNIQUE NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )`);
+      db.exec(`CREATE TABLE IF NOT EXISTS leaderboard_group_members (
+        group_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, user_id),
+        FOREIGN KEY (group_id) REFERENCES leaderboard_groups (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+      console.log('✅ leaderboard tables ready');
+
+      // Set when Telegram refuses delivery, e.g. the user blocked the bot
+      this.addColumn(db, 'users', 'bot_blocked_at', 'DATETIME');
+      // Streak freezes the user has earned and not used yet
+      this.addColumn(db, 'users', 'streak_freezes', 'INTEGER DEFAULT 0');
+      // Leaderboards are opt-in; users who never opted in are never listed
+      this.addColumn(db, 'users', 'leaderboard_opt_in', 'INTEGER DEFAULT 0');
+      this.addColumn(db, 'users', 'leaderboard_consent_date', 'DATETIME');
+      // Shown on leaderboards instead of the first name when set
+      this.addColumn(db, 'users', 'leaderboard_alias', 'TEXT');
+
+      // Older databases predate the level picker
+      this.addColumn(db, 'user_settings', 'preferred_level', "TEXT DEFAULT 'A1'");
+      // Flashcard answer buttons: 4 (Again/Hard/Good/Easy) or 2 (knew it/learning)
+      this.addColumn(db, 'user_settings', 'grade_buttons', 'INTEGER DEFAULT 4');
+      // IANA zone for notifications; NULL means guessed from language_code
+      this.addColumn(db, 'user_settings', 'timezone', 'TEXT');
+      // Local "HH:MM" range without notifications, may wrap midnight
+      this.addColumn(db, 'user_settings', 'quiet_hours_start', 'TEXT');
+      this.addColumn(db, 'user_settings', 'quiet_hours_end', 'TEXT');
+      this.addColumn(db, 'user_settings', 'weekly_goal', 'INTEGER DEFAULT 100');
+      this.addColumn(db, 'user_settings', 'streak_goal', 'INTEGER DEFAULT 7');
+      this.addColumn(db, 'user_settings', 'streak_freezes_enabled', 'INTEGER DEFAULT 1');
+      // Daily flashcard limits, counted separately for never-seen words and reviews
+      this.addColumn(db, 'user_settings', 'new_cards_per_day', 'INTEGER DEFAULT 10');
+      this.addColumn(db, 'user_settings', 'max_reviews_per_day', 'INTEGER DEFAULT 100');
+      this.addColumn(db, 'user_settings', 'card_direction', "TEXT DEFAULT 'en_de'");
+      // Points of a timed (Blitz) session; NULL for the other quizzes
+      this.addColumn(db, 'quiz_sessions', 'score', 'INTEGER');
+
+      db.close();
+      console.log('🎉 Schema migration completed successfully');
+    } catch (error) {
+      console.error('Migration failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Seed SM-2 state for progress rows written before the scheduler existed.
+   * mastery_level went up by one per correct answer, so it stands in for
+   * the repetition count and picks the interval from the old 1/3/7/14/30
+   * day ladder; each wrong answer lowers the ease a little. A lapse needs
+   * an earlier success, so lapses can't exceed the correct answers.
+   */
+  migrateFlashcardScheduling(db) {
+    const tableExists = db.prepare(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'flashcard_progress'`
+    ).get();
+    if (!tableExists) return;
+
+    const result = db.prepare(`
+      UPDATE flashcard_progress SET
+        repetitions = mastery_level,
+        interval_days = CASE mastery_level
+          WHEN 0 THEN 0
+          WHEN 1 THEN 1
+          WHEN 2 THEN 3
+          WHEN 3 THEN 7
+          WHEN 4 THEN 14
+          ELSE 30
+        END,
+        ease_factor = MAX(1.3, 2.5 - 0.15 * times_incorrect),
+        lapses = MIN(times_incorrect, times_correct)
+      WHERE ease_factor IS NULL AND repetitions IS NULL
+    `).run();
+
+    if (result.changes > 0) {
+      console.log(`✅ Migrated scheduling state for ${result.changes} flashcard progress rows`);
+    }
+  }
+
+  /**
+   * Flag cards that were already leeches before leech detection existed,
+   * without announcing them
+   */
+  flagLeeches(db) {
+    const { lapses, failures, recoveryRepetitions } = config.srs.leeches;
+    const result = db.prepare(`
+      UPDATE flashcard_progress SET leech_at = COALESCE(last_shown, CURRENT_TIMESTAMP)
+      WHERE leech_at IS NULL
+        AND (COALESCE(lapses, 0) >= ? OR times_incorrect >= ?)
+        AND COALESCE(repetitions, 0) < ?
+        AND NOT EXISTS (SELECT 1 FROM flashcard_progress WHERE leech_at IS NOT NULL)
+    `).run(lapses, failures, recoveryRepetitions);
+
+    if (result.changes > 0) {
+      console.log(`✅ Flagged ${result.changes} existing leeches`);
+    }
+  }
+
+  /**
+   * Rebuild flashcard_progress with a direction column, since the unique
+   * key becomes (user_id, vocabulary_id, direction) and SQLite can't change
+   * a constraint in place. Existing progress was all English → German.
+   */
+  migrateCardDirections(db) {
+    const columns = db.prepare('PRAGMA table_info(flashcard_progress)').all().map(column => column.name);
+    if (columns.length === 0 || columns.includes('direction')) return;
+
+    const copied = [
+      'id', 'user_id', 'vocabulary_id', 'times_shown', 'times_correct', 'times_incorrect',
+      'mastery_level', 'ease_factor', 'interval_days', 'repetitions', 'lapses', 'stability',
+      'difficulty', 'leech_at', 'last_shown', 'next_review', 'created_at'
+    ].filter(column => columns.includes(column)).join(', ');
+
+    // Rows are copied as they are, so checking foreign keys would only stop
+    // the rebuild on progress for words deleted long ago
+    db.pragma('foreign_keys = OFF');
+    db.transaction(() => {
+      db.exec(`CREATE TABLE flashcard_progress_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        vocabulary_id INTEGER NOT NULL,
+        direction TEXT NOT NULL DEFAULT 'en_de',
+        times_shown INTEGER DEFAULT 0,
+        times_correct INTEGER DEFAULT 0,
+        times_incorrect INTEGER DEFAULT 0,
+        mastery_level INTEGER DEFAULT 0,
+        ease_factor REAL,
+        interval_days REAL,
+        repetitions INTEGER,
+        lapses INTEGER,
+        stability REAL,
+        difficulty REAL,
+        leech_at DATETIME,
+        last_shown DATETIME,
+        next_review DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (vocabulary_id) REFERENCES vocabulary_simple (id),
+        UNIQUE(user_id, vocabulary_id, direction)
+      )`);
+      db.exec(`INSERT INTO flashcard_progress_new (${copied}) SELECT ${copied} FROM flashcard_progress`);
+      db.exec('DROP TABLE flashcard_progress');
+      db.exec('ALTER TABLE flashcard_progress_new RENAME TO flashcard_progress');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_flashcard_progress_user_id ON flashcard_progress(user_id)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_flashcard_progress_next_review ON flashcard_progress(next_review)`);
+    })();
+    db.pragma('foreign_keys = ON');
+
+    console.log('✅ Added flashcard_progress.direction column');
+  }
+
+  /**
+   * Fill an empty activity ledger from past flashcard reviews and quiz
+   * sessions, so existing users start with their streak. Time zones
+   * weren't known back then, so days are UTC days.
+   */
+  backfillDailyActivity(db) {
+    const { count } = db.prepare('SELECT COUNT(*) as count FROM daily_activity').get();
+    const quizTableExists = db.prepare(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'quiz_sessions'`
+    ).get();
+    if (count > 0 || !quizTableExists) return;
+
+    const result = db.prepare(`
+      INSERT INTO daily_activity (user_id, activity_date, answers, correct)
+      SELECT user_id, day, SUM(answers), SUM(correct)
+      FROM (
+        SELECT user_id, date(reviewed_at) as day, COUNT(*) as answers, SUM(grade != 'again') as correct
+        FROM flashcard_reviews
+        GROUP BY user_id, day
+        UNION ALL
+        SELECT user_id, date(completed_at), SUM(total_questions), SUM(correct_answers)
+        FROM quiz_sessions
+        WHERE completed_at IS NOT NULL AND total_questions > 0
+        GROUP BY user_id, date(completed_at)
+      )
+      GROUP BY user_id, day
+    `).run();
+
+    if (result.changes > 0) {
+      console.log(`✅ Backfilled ${result.changes} days of activity`);
+    }
+  }
+
+  addColumn(db, table, column, definition) {
+    const tableExists = db.prepare(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`
+    ).get(table);
+
+    if (!tableExists) {
+      console.log(`⚠️  ${table} table not found, skipping ${column} column`);
+      return;
+    }
+
+    try {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✅ Added ${table}.${column} column`);
+    } catch (err) {
+      if (err.message.includes('duplicate column name')) {
+        console.log(`✅ ${table}.${column} column already exists`);
+      } else {
+        throw err;
+      }
+    }
+  }
+}
+
+// Command line interface
+async function main() {
+  const migration = new SchemaMigration();
+
+  try {
+    await migration.migrate();
+    console.log('✅ Migration completed successfully');
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = SchemaMigration;
@@ -133,8 +133,10 @@ class Database {
   async updateUserSettings(userId, settings) {
     const stmt = this.db.prepare(`
       INSERT OR REPLACE INTO user_settings 
-      (user_id, quiz_difficulty, questions_per_session, daily_goal, notifications_enabled, preferred_time, preferred_level, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      (user_id, quiz_difficulty, questions_per_session, daily_goal, weekly_goal, notifications_enabled, preferred_time, preferred_level, grade_buttons,
+       timezone, quiet_hours_start, quiet_hours_end, streak_goal, streak_freezes_enabled, new_cards_per_day, max_reviews_per_day,
+       card_direction, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `);
     
     const result = stmt.run(
@@ -142,9 +144,19 @@ class Database {
       settings.quiz_difficulty || 'medium',
       settings.questions_per_session || 10,
       settings.daily_goal || 20,
-      settings.notifications_enabled ? 1 : 0,
+      settings.weekly_goal || 100,
+      settings.notifications_enabled === undefined || settings.notifications_enabled ? 1 : 0,
       settings.preferred_time || '18:00',
-      settings.preferred_level || 'A1'
+      settings.preferred_level || 'A1',
+      settings.grade_buttons || 4,
+      settings.timezone || null,
+      settings.quiet_hours_start || null,
+      settings.quiet_hours_end || null,
+      settings.streak_goal || 7,
+      settings.streak_freezes_enabled === undefined || settings.streak_freezes_enabled ? 1 : 0,
+      settings.new_cards_per_day || 10,
+      settings.max_reviews_per_day || 100,
+      settings.card_direction || 'en_de'
     );
     
     return result.changes;
@@ -175,20 +187,40 @@ class Database {
   async getUserConsentInfo(userId) {
     const stmt = this.db.prepare(`
       SELECT data_consent_given, data_consent_date, data_consent_version, 
-             privacy_policy_accepted
+             privacy_policy_accepted, leaderboard_opt_in, leaderboard_consent_date,
+             leaderboard_alias
       FROM users WHERE id = ?
     `);
     return stmt.get(userId);
   }
 
+  async updateLeaderboardConsent(userId, optIn) {
+    const stmt = this.db.prepare(`
+      UPDATE users SET
+        leaderboard_opt_in = ?,
+        leaderboard_consent_date = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    const result = stmt.run(optIn ? 1 : 0, userId);
+    return result.changes;
+  }
+
+  async updateLeaderboardAlias(userId, alias) {
+    const stmt = this.db.prepare('UPDATE users SET leaderboard_alias = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    const result = stmt.run(alias, userId);
+    return result.changes;
+  }
+
   // Flashcard session methods
-  async createFlashcardSession(userId, cardCount) {
+  async createFlashcardSession(userId, cardCount, { cardQueue = null, mode = 'reveal', level = null, topicId = null, deck = null, direction = null } = {}) {
     const stmt = this.db.prepare(`
-      INSERT INTO flashcard_sessions (user_id, total_cards)
-      VALUES (?, ?)
+      INSERT INTO flashcard_sessions (user_id, total_cards, card_queue, session_mode, level, topic_id, deck, direction, last_activity)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `);
     
-    const result = stmt.run(userId, cardCount);
+    const result = stmt.run(userId, cardCount, cardQueue ? JSON.stringify(cardQueue) : null, mode, level, topicId, deck, direction);
     return result.lastInsertRowid;
   }
 
@@ -203,9 +235,73 @@ class Database {
     return result.changes;
   }
 
-  async recordFlashcardResponse(sessionId, vocabularyId, responseType, responseTime) {
-    // For now, just update the flashcard progress instead of storing individual responses
-    return Promise.resolve(sessionId);
+  async recordFlashcardResponse(userId, sessionId, vocabularyId, grade, responseTimeMs, intervalBefore, intervalAfter, masteryBefore = null, masteryAfter = null, direction = 'en_de') {
+    const stmt = this.db.prepare(`
+      INSERT INTO flashcard_reviews
+      (user_id, vocabulary_id, session_id, grade, response_time_ms, interval_before, interval_after, mastery_before, mastery_after, direction)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const result = stmt.run(userId, vocabularyId, sessionId, grade, responseTimeMs, intervalBefore, intervalAfter, masteryBefore, masteryAfter, direction);
+    return result.lastInsertRowid;
+  }
+
+  async getDueCardCount(userId, level) {
+    const stmt = this.db.prepare(`
+      SELECT COUNT(*) as count
+      FROM flashcard_progress fp
+      JOIN vocabulary_simple v ON v.id = fp.vocabulary_id
+      WHERE fp.user_id = ? AND v.level = ? AND fp.next_review <= datetime('now')
+    `);
+    return stmt.get(userId, level).count;
+  }
+
+  // Notification methods
+  async recordNotificationDelivery(userId, type, status, errorCode = null, errorMessage = null) {
+    const stmt = this.db.prepare(`
+      INSERT INTO notification_deliveries (user_id, notification_type, status, error_code, error_message)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const result = stmt.run(userId, type, status, errorCode, errorMessage);
+    return result.lastInsertRowid;
+  }
+
+  async setUserBotBlocked(userId, blocked) {
+    const stmt = this.db.prepare(`
+      UPDATE users SET bot_blocked_at = ${blocked ? 'CURRENT_TIMESTAMP' : 'NULL'}
+      WHERE id = ?
+    `);
+    return stmt.run(userId).changes;
+  }
+
+  // Topic methods
+  async getTopics() {
+    const stmt = this.db.prepare(`
+      SELECT t.id, t.slug, t.name, COUNT(vt.vocabulary_id) as word_count
+      FROM topics t
+      JOIN vocabulary_topics vt ON vt.topic_id = t.id
+      GROUP BY t.id
+      ORDER BY t.name
+    `);
+    return stmt.all();
+  }
+
+  async getTopic(topicId) {
+    const stmt = this.db.prepare('SELECT * FROM topics WHERE id = ?');
+    return stmt.get(topicId);
+  }
+
+  async getTopicLevelCounts(topicId) {
+    const stmt = this.db.prepare(`
+      SELECT v.level, COUNT(*) as word_count
+      FROM vocabulary_topics vt
+      JOIN vocabulary_simple v ON v.id = vt.vocabulary_id
+      WHERE vt.topic_id = ?
+      GROUP BY v.level
+      ORDER BY v.level
+    `);
+    return stmt.all(topicId);
   }
 
   // Custom query method for raw SQL
@@ -236,6 +332,11 @@ class Database {
     const stmt = this.db.prepare(sql);
     return stmt.run(...params);
   }
+
+  // Run fn in a transaction; nothing is kept if it throws
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
 }
 
 module.exports = Database;
\ No newline at end of file
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+const Database = require('../database/models');
+const pluralService = require('../services/pluralService');
+const config = require('../../config/config');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function printCounts(counts) {
+  console.log('📊 Noun plurals:');
+  console.log(`   - Approved: ${counts.approved}`);
+  console.log(`   - Waiting for review: ${counts.pending}`);
+  console.log(`   - No plural: ${counts.none}`);
+  console.log(`   - Unknown: ${counts.unknown}`);
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log(`
+🔢 Noun Plural Fill
+
+Usage:
+  node src/scripts/fillPlurals.js <action> [options]
+
+Actions:
+  lexicon [file]               Fill plurals from the bundled lexicon
+  llm [--max N] [--delay MS]   Ask the LLM for plurals of the remaining nouns
+  status                       Show how many nouns have a plural
+  pending [--limit N]          List guessed plurals waiting for review
+
+Defaults:
+  file     ${config.vocabulary.pluralFill.lexiconPath} (PLURAL_LEXICON_PATH)
+  --max    ${config.vocabulary.pluralFill.maxWordsPerRun} nouns per run (PLURAL_FILL_MAX_WORDS)
+  --delay  ${config.vocabulary.pluralFill.delayMs} ms between LLM calls (PLURAL_FILL_DELAY_MS)
+
+Guessed plurals (compounds and LLM answers) are only drilled once an admin
+has approved them with /plurals in the bot.
+    `);
+    process.exit(1);
+  }
+
+  const action = args[0];
+  const db = new Database();
+
+  try {
+    await db.connect();
+
+    switch (action) {
+      case 'lexicon': {
+        const filePath = args[1] || undefined;
+
+        console.log('🔢 Filling plurals from the lexicon...\n');
+        const report = pluralService.fillFromLexicon(db, filePath);
+
+        console.log('✅ Lexicon fill completed!');
+        console.log(`   - Approved: ${report.approved}`);
+        console.log(`   - No plural: ${report.none}`);
+        console.log(`   - Compounds to review: ${report.compounds}`);
+        console.log(`   - Not in the lexicon: ${report.unmatched}`);
+        console.log('');
+        printCounts(pluralService.getStatusCounts(db));
+        break;
+      }
+
+      case 'llm': {
+        const maxWords = parseInt(getOption(args, '--max')) || undefined;
+        const delayMs = parseInt(getOption(args, '--delay'));
+
+        console.log('🔢 Asking the LLM for plurals...\n');
+        const report = await pluralService.fillFromLLM(db, {
+          maxWords,
+          delayMs: isNaN(delayMs) ? undefined : delayMs
+        });
+
+        console.log('\n✅ LLM fill completed!');
+        console.log(`   - Plurals to review: ${report.filled}`);
+        console.log(`   - Failed: ${report.failed.length}`);
+        console.log('');
+        printCounts(report.counts);
+
+        if (report.failed.length > 0) {
+          console.log('');
+          report.failed.forEach(noun => {
+            console.log(`   - [${noun.level}] ${noun.article} ${noun.german_word}: ${noun.reason}`);
+          });
+        }
+        break;
+      }
+
+      case 'status':
+        printCounts(pluralService.getStatusCounts(db));
+        break;
+
+      case 'pending': {
+        const limit = parseInt(getOption(args, '--limit')) || 50;
+        let noun = pluralService.getNextPending(db);
+        let shown = 0;
+
+        while (noun && shown < limit) {
+          console.log(`   - [${noun.plural_source}] ${noun.article} ${noun.german_word} → ${noun.plural ? `die ${noun.plural}` : 'no plural'}`);
+          noun = pluralService.getNextPending(db, noun.id);
+          shown++;
+        }
+
+        if (shown === 0) {
+          console.log('✅ Nothing waiting for review');
+        }
+        break;
+      }
+
+      default:
+        console.error(`❌ Unknown action: ${action}`);
+        process.exit(1);
+    }
+
+    await db.close();
+  } catch (error) {
+    console.error(`❌ Failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
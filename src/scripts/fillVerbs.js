@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+const Database = require('../database/models');
+const verbService = require('../services/verbService');
+const verbRules = require('../services/verbRules');
+const config = require('../../config/config');
+
+function printCounts(counts) {
+  console.log('📊 Verb forms:');
+  console.log(`   - Verbs: ${counts.verbs}`);
+  console.log(`   - Irregular: ${counts.irregular}`);
+  console.log(`   - Separable: ${counts.separable}`);
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log(`
+🏃 Verb Forms Fill
+
+Usage:
+  node src/scripts/fillVerbs.js <action> [options]
+
+Actions:
+  lexicon [file]     Store principal parts from the bundled lexicon
+  status             Show how many verbs have their forms
+  unknown [file]     List words ending in -n the lexicon doesn't know
+  show <verb>        Print the conjugation of a verb from the lexicon
+
+Defaults:
+  file     ${config.vocabulary.verbForms.lexiconPath} (VERB_LEXICON_PATH)
+
+Verbs made of a prefix and a lexicon verb (ankommen, bekommen) are
+derived, so the lexicon only needs base verbs and exceptions.
+    `);
+    process.exit(1);
+  }
+
+  const action = args[0];
+
+  if (action === 'show') {
+    const verb = verbService.resolve(args[1] || '', verbService.loadLexicon());
+    if (!verb) {
+      console.error(`❌ Unknown verb: ${args[1]}`);
+      process.exit(1);
+    }
+
+    console.log(`🏃 ${verb.german_word}: ${verbRules.formatPrincipalParts(verb)} (${verb.source})\n`);
+    Object.entries(verbRules.tenses).forEach(([tense, label]) => {
+      const forms = Object.keys(verbRules.persons)
+        .map(person => `${person} ${verbRules.conjugate(verb, tense, person).join(' / ')}`);
+      console.log(`${label}: ${forms.join(', ')}`);
+    });
+    return;
+  }
+
+  const db = new Database();
+
+  try {
+    await db.connect();
+
+    switch (action) {
+      case 'lexicon': {
+        const filePath = args[1] || undefined;
+
+        console.log('🏃 Filling verb forms from the lexicon...\n');
+        const report = verbService.fillFromLexicon(db, filePath);
+
+        console.log('✅ Lexicon fill completed!');
+        console.log(`   - From the lexicon: ${report.lexicon}`);
+        console.log(`   - Derived: ${report.derived}`);
+        console.log(`   - Not recognised: ${report.unmatched.length} (see "unknown")`);
+        console.log('');
+        printCounts(verbService.getStatusCounts(db));
+        break;
+      }
+
+      case 'status':
+        printCounts(verbService.getStatusCounts(db));
+        break;
+
+      case 'unknown': {
+        const lexicon = verbService.loadLexicon(args[1] || undefined);
+        const unknown = verbService.getCandidates(db)
+          .filter(word => !verbService.resolve(word.german_word, lexicon));
+
+        unknown.forEach(word => console.log(`   - [${word.level}] ${word.german_word}`));
+        if (unknown.length === 0) {
+          console.log('✅ Every -n word is a known verb');
+        }
+        break;
+      }
+
+      default:
+        console.error(`❌ Unknown action: ${action}`);
+        process.exit(1);
+    }
+
+    await db.close();
+  } catch (error) {
+    console.error(`❌ Failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -9,7 +9,8 @@ const Database = require('../database/models');
  * Simple Vocabulary Importer for Flashcard System
  * 
  * Imports vocabulary in simple format: German word + English translation
- * No articles, no word types - LLM will analyze these in real-time
+ * Noun articles are kept for the article drill; everything else is left
+ * to the LLM to analyze in real-time
  */
 
 class SimpleVocabularyImporter {
@@ -32,6 +33,10 @@ class SimpleVocabularyImporter {
           german_word TEXT NOT NULL UNIQUE,
           english_translation TEXT NOT NULL,
           level TEXT DEFAULT 'A1',
+          article TEXT,
+          plural TEXT,
+          plural_status TEXT,
+          plural_source TEXT,
           added_date DATETIME DEFAULT CURRENT_TIMESTAMP,
           difficulty_score REAL DEFAULT 1.0
         )
@@ -45,9 +50,123 @@ class SimpleVocabularyImporter {
    * Import from CSV file
    * Supports formats:
    * - "german_word,english_translation"
-   * - "word_with_article,translation" (will strip articles)
+   * - "word_with_article,translation" (article is stored separately)
    */
   async importFromCSV(filePath, level = 'A1') {
+    const { vocabulary, errors } = await this.parseCSV(filePath, level);
+    const dbResult = await this.importToDatabase(vocabulary);
+
+    return {
+      vocabulary,
+      errors,
+      database: dbResult,
+      count: vocabulary.length
+    };
+  }
+
+  /**
+   * Backfill noun articles from a CSV file without touching
+   * translations or levels of existing words
+   */
+  async importArticlesFromCSV(filePath) {
+    const { vocabulary } = await this.parseCSV(filePath);
+    const results = {
+      updated: 0,
+      skipped: 0
+    };
+
+    for (const item of vocabulary) {
+      if (!item.article) {
+        results.skipped++;
+        continue;
+      }
+
+      const result = this.db.run(`
+        UPDATE vocabulary_simple SET article = ?
+        WHERE german_word = ? AND (article IS NULL OR article != ?)
+      `, [item.article, item.german_word, item.article]);
+      results.updated += result.changes;
+    }
+
+    return results;
+  }
+
+  /**
+   * Import a topic deck from a CSV file. The topic is named after the
+   * file (food-drinks.csv -> "Food & Drinks") unless a name is given.
+   * Words already in the vocabulary keep their level and translation;
+   * new ones are added with the given level.
+   */
+  async importTopicFromCSV(filePath, name = null, level = 'A1') {
+    const { vocabulary, errors } = await this.parseCSV(filePath, level);
+    const slug = path.basename(filePath, path.extname(filePath)).toLowerCase();
+    const topicId = this.upsertTopic(slug, name || this.getTopicName(slug));
+    const results = {
+      topic: slug,
+      linked: 0,
+      added: 0,
+      errors
+    };
+
+    for (const item of vocabulary) {
+      try {
+        let existing = await this.getExistingWord(item.german_word);
+
+        if (!existing) {
+          await this.insertVocabularyItem(item);
+          existing = await this.getExistingWord(item.german_word);
+          results.added++;
+        }
+
+        const result = this.db.run(`
+          INSERT OR IGNORE INTO vocabulary_topics (vocabulary_id, topic_id)
+          VALUES (?, ?)
+        `, [existing.id, topicId]);
+        results.linked += result.changes;
+      } catch (error) {
+        results.errors.push({
+          word: item.german_word,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Import every CSV file in a folder as a topic deck
+   */
+  async importTopicsFromDirectory(directory, level = 'A1') {
+    const files = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.csv'))
+      .sort();
+
+    const results = [];
+    for (const file of files) {
+      results.push(await this.importTopicFromCSV(path.join(directory, file), null, level));
+    }
+
+    return results;
+  }
+
+  upsertTopic(slug, name) {
+    this.db.run(`
+      INSERT INTO topics (slug, name) VALUES (?, ?)
+      ON CONFLICT(slug) DO UPDATE SET name = excluded.name
+    `, [slug, name]);
+
+    return this.db.get('SELECT id FROM topics WHERE slug = ?', [slug]).id;
+  }
+
+  getTopicName(slug) {
+    return slug
+      .split(/[-_]+/)
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join(' & ');
+  }
+
+  async parseCSV(filePath, level = 'A1') {
     const vocabulary = [];
     const errors = [];
 
@@ -72,18 +191,8 @@ class SimpleVocabularyImporter {
         }
       });
 
-      stream.on('end', async () => {
-        try {
-          const dbResult = await this.importToDatabase(vocabulary);
-          resolve({
-            vocabulary,
-            errors,
-            database: dbResult,
-            count: vocabulary.length
-          });
-        } catch (error) {
-          reject(error);
-        }
+      stream.on('end', () => {
+        resolve({ vocabulary, errors });
       });
 
       stream.on('error', (error) => {
@@ -100,7 +209,8 @@ class SimpleVocabularyImporter {
       return null;
     }
 
-    // Strip articles from German word if present
+    // Keep the noun article before stripping it from the German word
+    const article = this.extractArticle(germanWord);
     germanWord = this.stripArticle(germanWord);
 
     // Clean up translations
@@ -109,10 +219,17 @@ class SimpleVocabularyImporter {
     return {
       german_word: germanWord,
       english_translation: englishTranslation,
-      level: level
+      level: level,
+      article: article
     };
   }
 
+  extractArticle(germanText) {
+    // Only "der Saft" style entries count - phrases like "Das ist ..." don't
+    const match = germanText.match(/^(der|die|das)\s+(?=[A-ZÄÖÜ])/);
+    return match ? match[1] : null;
+  }
+
   stripArticle(germanText) {
     // Remove articles at the beginning
     const withoutArticle = germanText.replace(/^(der|die|das)\s+/i, '');
@@ -173,12 +290,13 @@ class SimpleVocabularyImporter {
     try {
       const result = this.db.run(`
         INSERT INTO vocabulary_simple (
-          german_word, english_translation, level, added_date
-        ) VALUES (?, ?, ?, datetime('now'))
+          german_word, english_translation, level, article, added_date
+        ) VALUES (?, ?, ?, ?, datetime('now'))
       `, [
         item.german_word,
         item.english_translation,
-        item.level
+        item.level,
+        item.article || null
       ]);
       return result.lastInsertRowid;
     } catch (error) {
@@ -191,11 +309,12 @@ class SimpleVocabularyImporter {
     try {
       const result = this.db.run(`
         UPDATE vocabulary_simple SET
-          english_translation = ?, level = ?
+          english_translation = ?, level = ?, article = COALESCE(?, article)
         WHERE id = ?
       `, [
         item.english_translation,
         item.level,
+        item.article || null,
         id
       ]);
       return result.changes;
@@ -254,6 +373,16 @@ class SimpleVocabularyImporter {
     }
   }
 
+  async getTopicStatistics() {
+    return this.db.all(`
+      SELECT t.name, COUNT(vt.vocabulary_id) as count
+      FROM topics t
+      LEFT JOIN vocabulary_topics vt ON vt.topic_id = t.id
+      GROUP BY t.id
+      ORDER BY t.name
+    `);
+  }
+
   async getStatistics() {
     try {
       return this.db.all(`
@@ -283,22 +412,29 @@ Usage:
 
 Actions:
   import <csv-file> [level]     Import from CSV file
+  articles <csv-file>           Backfill noun articles from CSV file
+  topic <csv-file> [name]       Import a topic deck from CSV file
+  topics [folder] [level]       Import every CSV in a folder as a topic deck
+                                (default ./vocabulary/topics, new words get level A1)
   convert                       Convert existing vocabulary
   stats                         Show statistics
 
 Examples:
   node src/scripts/importSimpleVocab.js import ./words.csv A1
+  node src/scripts/importSimpleVocab.js articles ./words.csv
+  node src/scripts/importSimpleVocab.js topic ./vocabulary/topics/travel.csv
+  node src/scripts/importSimpleVocab.js topics
   node src/scripts/importSimpleVocab.js convert
   node src/scripts/importSimpleVocab.js stats
 
 CSV Format:
   german_word,english_translation
-  Saft,juice
+  der Saft,juice
   trinken,to drink
   schön,beautiful
 
 The system will:
-  1. Strip articles from German words
+  1. Store noun articles separately and strip them from German words
   2. Clean English translations
   3. Store simple word pairs
   4. LLM will analyze them during quiz
@@ -331,6 +467,58 @@ The system will:
         console.log(`  - Database: ${result.database.imported} new, ${result.database.updated} updated`);
         console.log(`  - Errors: ${result.errors.length}`);
         break;
+
+      case 'articles':
+        const articleFile = args[1];
+
+        if (!articleFile || !fs.existsSync(articleFile)) {
+          console.error('❌ CSV file not found');
+          process.exit(1);
+        }
+
+        console.log(`🏷️ Backfilling articles from ${articleFile}...`);
+        const articleResult = await importer.importArticlesFromCSV(articleFile);
+
+        console.log(`✅ Article backfill completed!`);
+        console.log(`📊 Results:`);
+        console.log(`  - Updated: ${articleResult.updated} words`);
+        console.log(`  - Without article: ${articleResult.skipped} rows`);
+        break;
+
+      case 'topic':
+        const topicFile = args[1];
+
+        if (!topicFile || !fs.existsSync(topicFile)) {
+          console.error('❌ CSV file not found');
+          process.exit(1);
+        }
+
+        console.log(`🗂️ Importing topic deck from ${topicFile}...`);
+        const topicResult = await importer.importTopicFromCSV(topicFile, args[2] || null);
+
+        console.log(`✅ Topic import completed!`);
+        console.log(`📊 Results:`);
+        console.log(`  - Linked: ${topicResult.linked} words`);
+        console.log(`  - New words: ${topicResult.added}`);
+        console.log(`  - Errors: ${topicResult.errors.length}`);
+        break;
+
+      case 'topics':
+        const topicDir = args[1] || './vocabulary/topics';
+
+        if (!fs.existsSync(topicDir)) {
+          console.error('❌ Topic folder not found');
+          process.exit(1);
+        }
+
+        console.log(`🗂️ Importing topic decks from ${topicDir}...`);
+        const topicResults = await importer.importTopicsFromDirectory(topicDir, args[2] || 'A1');
+
+        console.log(`✅ Topic import completed!`);
+        topicResults.forEach(result => {
+          console.log(`  - ${result.topic}: ${result.linked} linked, ${result.added} new words`);
+        });
+        break;
         
       case 'convert':
         console.log('🔄 Converting existing vocabulary...');
@@ -351,6 +539,14 @@ The system will:
         });
         const total = stats.reduce((sum, stat) => sum + stat.count, 0);
         console.log(`  - Total: ${total} words`);
+
+        const topicStats = await importer.getTopicStatistics();
+        if (topicStats.length > 0) {
+          console.log(`🗂️ Topics:`);
+          topicStats.forEach(stat => {
+            console.log(`  - ${stat.name}: ${stat.count} words`);
+          });
+        }
         break;
         
       default:
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const Database = require('../database/models');
+const utils = require('../utils/helpers');
 
 class DuplicateManager {
   constructor() {
@@ -213,41 +214,16 @@ class DuplicateManager {
     if (w1 === w2) return false;
     
     // Very similar (edit distance of 1-2)
-    const distance = this.levenshteinDistance(w1, w2);
+    const distance = utils.levenshteinDistance(w1, w2);
     return distance <= 2 && Math.max(w1.length, w2.length) > 3;
   }
 
   calculateSimilarity(word1, word2) {
-    const distance = this.levenshteinDistance(word1.toLowerCase(), word2.toLowerCase());
+    const distance = utils.levenshteinDistance(word1.toLowerCase(), word2.toLowerCase());
     const maxLength = Math.max(word1.length, word2.length);
     return 1 - (distance / maxLength);
   }
 
-  levenshteinDistance(str1, str2) {
-    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
-    
-    for (let i = 0; i <= str1.length; i += 1) {
-      matrix[0][i] = i;
-    }
-    
-    for (let j = 0; j <= str2.length; j += 1) {
-      matrix[j][0] = j;
-    }
-    
-    for (let j = 1; j <= str2.length; j += 1) {
-      for (let i = 1; i <= str1.length; i += 1) {
-        const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[j][i] = Math.min(
-          matrix[j][i - 1] + 1, // deletion
-          matrix[j - 1][i] + 1, // insertion
-          matrix[j - 1][i - 1] + indicator, // substitution
-        );
-      }
-    }
-    
-    return matrix[str2.length][str1.length];
-  }
-
   /**
    * Export duplicates to CSV for manual review
    */
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+const Database = require('../database/models');
+const analysisPregenerator = require('../services/analysisPregenerator');
+const config = require('../../config/config');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function printCoverage(coverage) {
+  console.log('📊 Coverage by level:');
+  coverage.forEach(level => {
+    console.log(`   ${level.level}: ${level.analyzed}/${level.total} analyzed (${level.percentage}%), ${level.fallback} fallback, ${level.missing} missing`);
+  });
+}
+
+function printFailures(failures) {
+  if (failures.length === 0) {
+    console.log('✅ No failed analyses');
+    return;
+  }
+
+  console.log(`❌ ${failures.length} words with failed LLM output:`);
+  failures.forEach(failure => {
+    console.log(`   - [${failure.level}] ${failure.german_word} (${failure.english_translation}): ${failure.reason}`);
+  });
+}
+
+// Command line interface
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log(`
+🧠 Flashcard Analysis Pre-generation
+
+Usage:
+  node src/scripts/pregenerateAnalyses.js <action> [options]
+
+Actions:
+  run [--max N] [--level A1] [--delay MS]   Analyze words missing from the cache
+  coverage                                  Show cached analyses per level
+  failures [--limit N]                      List words whose LLM output failed
+  reset                                     Start the next run from the first word
+
+Defaults:
+  --max    ${config.vocabulary.analysisPregeneration.maxWordsPerRun} words per run (ANALYSIS_PREGEN_MAX_WORDS)
+  --delay  ${config.vocabulary.analysisPregeneration.delayMs} ms between LLM calls (ANALYSIS_PREGEN_DELAY_MS)
+
+Runs are resumable: progress is checkpointed per level after every batch.
+    `);
+    process.exit(1);
+  }
+
+  const action = args[0];
+  const db = new Database();
+
+  try {
+    await db.connect();
+
+    switch (action) {
+      case 'run': {
+        const maxWords = parseInt(getOption(args, '--max')) || undefined;
+        const delayMs = parseInt(getOption(args, '--delay'));
+        const level = getOption(args, '--level');
+
+        console.log('🧠 Pre-generating flashcard analyses...\n');
+        const report = await analysisPregenerator.run(db, {
+          maxWords,
+          delayMs: isNaN(delayMs) ? undefined : delayMs,
+          levels: level ? [level.toUpperCase()] : null
+        });
+
+        console.log(`\n✅ Run completed!`);
+        console.log(`   - Analyzed: ${report.analyzed}`);
+        console.log(`   - Failed: ${report.failed.length}`);
+        console.log(`   - Already cached: ${report.skipped}`);
+        if (report.budgetExhausted) {
+          console.log('   - Word budget used up, run again to continue');
+        }
+        console.log('');
+        printCoverage(report.coverage);
+
+        if (report.failed.length > 0) {
+          console.log('');
+          printFailures(report.failed);
+        }
+        break;
+      }
+
+      case 'coverage':
+        printCoverage(analysisPregenerator.getCoverage(db));
+        break;
+
+      case 'failures':
+        printFailures(analysisPregenerator.getFailures(db, parseInt(getOption(args, '--limit')) || 50));
+        break;
+
+      case 'reset':
+        analysisPregenerator.resetCheckpoints(db);
+        console.log('✅ Checkpoints cleared');
+        break;
+
+      default:
+        console.error(`❌ Unknown action: ${action}`);
+        process.exit(1);
+    }
+
+    await db.close();
+  } catch (error) {
+    console.error(`❌ Failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
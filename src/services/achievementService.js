@@ -0,0 +1,219 @@
+const streakService = require('./streakService');
+const xpService = require('./xpService');
+
+const PERFECT_SESSION_CARDS = 10;
+
+// The catalogue. progress(stats) returns { current, target }; an
+// achievement is earned once current reaches target. Ids are stored in
+// user_achievements, so don't rename them.
+const ACHIEVEMENTS = [
+  {
+    id: 'first_session',
+    icon: '🎴',
+    name: 'First Steps',
+    description: 'Finish your first flashcard session',
+    progress: stats => ({ current: stats.sessions, target: 1 })
+  },
+  {
+    id: 'perfect_session',
+    icon: '💯',
+    name: 'Flawless',
+    description: `Finish a session of ${PERFECT_SESSION_CARDS}+ cards without an "Again"`,
+    progress: stats => ({ current: stats.perfectSessions, target: 1 })
+  },
+  {
+    id: 'reviews_1000',
+    icon: '📚',
+    name: 'Bookworm',
+    description: 'Answer 1000 flashcards',
+    progress: stats => ({ current: stats.reviews, target: 1000 })
+  },
+  {
+    id: 'mastered_10',
+    icon: '🌱',
+    name: 'Taking Root',
+    description: 'Master 10 words',
+    progress: stats => ({ current: stats.mastered, target: 10 })
+  },
+  {
+    id: 'mastered_100',
+    icon: '🌳',
+    name: 'Word Hoard',
+    description: 'Master 100 words',
+    progress: stats => ({ current: stats.mastered, target: 100 })
+  },
+  {
+    id: 'mastered_500',
+    icon: '🏰',
+    name: 'Wortschatz',
+    description: 'Master 500 words',
+    progress: stats => ({ current: stats.mastered, target: 500 })
+  },
+  {
+    id: 'streak_7',
+    icon: '🔥',
+    name: 'Week Warrior',
+    description: 'Reach a 7-day streak',
+    progress: stats => ({ current: stats.longestStreak, target: 7 })
+  },
+  {
+    id: 'streak_30',
+    icon: '🌋',
+    name: 'Unstoppable',
+    description: 'Reach a 30-day streak',
+    progress: stats => ({ current: stats.longestStreak, target: 30 })
+  },
+  ...['A1', 'A2', 'B1'].map(level => ({
+    id: `seen_${level.toLowerCase()}`,
+    icon: '🗺️',
+    name: `${level} Explorer`,
+    description: `See every ${level} word`,
+    progress: stats => stats.levels[level] || { current: 0, target: 1 }
+  })),
+  {
+    id: 'level_5',
+    icon: '⭐',
+    name: 'Rising Star',
+    description: 'Reach level 5',
+    progress: stats => ({ current: stats.level, target: 5 })
+  },
+  {
+    id: 'level_10',
+    icon: '🌟',
+    name: 'Shining Star',
+    description: 'Reach level 10',
+    progress: stats => ({ current: stats.level, target: 10 })
+  }
+];
+
+/**
+ * Achievements are worked out from what's already in the database
+ * (progress, sessions, the activity ledger, XP), so users who practiced
+ * before a badge existed get it on their next check.
+ */
+class AchievementService {
+  constructor() {
+    this.achievements = ACHIEVEMENTS;
+  }
+
+  getStats(db, userId) {
+    const cards = db.get(`
+      SELECT
+        COALESCE(SUM(times_shown), 0) as reviews,
+        COUNT(DISTINCT CASE WHEN mastery_level >= 5 THEN vocabulary_id END) as mastered
+      FROM flashcard_progress
+      WHERE user_id = ?
+    `, [userId]);
+
+    const sessions = db.get(`
+      SELECT
+        COUNT(*) as sessions,
+        COALESCE(SUM(cards_reviewed >= ? AND cards_learning = 0), 0) as perfect_sessions
+      FROM flashcard_sessions
+      WHERE user_id = ? AND completed_at IS NOT NULL AND cards_reviewed > 0
+    `, [PERFECT_SESSION_CARDS, userId]);
+
+    const levels = {};
+    db.all(`
+      SELECT vs.level, COUNT(DISTINCT vs.id) as total, COUNT(DISTINCT fp.vocabulary_id) as seen
+      FROM vocabulary_simple vs
+      LEFT JOIN flashcard_progress fp ON fp.vocabulary_id = vs.id AND fp.user_id = ?
+      WHERE vs.level IS NOT NULL
+      GROUP BY vs.level
+    `, [userId]).forEach(row => {
+      levels[row.level] = { current: row.seen, target: row.total };
+    });
+
+    return {
+      reviews: cards.reviews,
+      mastered: cards.mastered,
+      sessions: sessions.sessions,
+      perfectSessions: sessions.perfect_sessions,
+      longestStreak: streakService.getStreak(db, userId).longest,
+      level: xpService.getLevel(xpService.getTotal(db, userId)).level,
+      levels
+    };
+  }
+
+  getEarned(db, userId) {
+    const rows = db.all('SELECT achievement_id, earned_at FROM user_achievements WHERE user_id = ?', [userId]);
+    return new Map(rows.map(row => [row.achievement_id, row.earned_at]));
+  }
+
+  /**
+   * Store achievements the user has newly reached and return them
+   */
+  check(db, userId) {
+    const stats = this.getStats(db, userId);
+    const earned = this.getEarned(db, userId);
+
+    const unlocked = this.achievements.filter(achievement => {
+      if (earned.has(achievement.id)) return false;
+      const { current, target } = achievement.progress(stats);
+      return target > 0 && current >= target;
+    });
+
+    unlocked.forEach(achievement => {
+      db.run(
+        'INSERT OR IGNORE INTO user_achievements (user_id, achievement_id) VALUES (?, ?)',
+        [userId, achievement.id]
+      );
+    });
+
+    return unlocked;
+  }
+
+  /**
+   * Every achievement with earned_at, or the progress toward it
+   */
+  getCatalogue(db, userId) {
+    const stats = this.getStats(db, userId);
+    const earned = this.getEarned(db, userId);
+
+    return this.achievements.map(achievement => ({
+      ...achievement,
+      earnedAt: earned.get(achievement.id) || null,
+      ...achievement.progress(stats)
+    }));
+  }
+
+  formatUnlocked(unlocked) {
+    if (unlocked.length === 0) return '';
+
+    const lines = unlocked.map(achievement => `${achievement.icon} *${achievement.name}* - ${achievement.description}`);
+    return `🏅 *New achievement${unlocked.length === 1 ? '' : 's'}!*\n${lines.join('\n')}`;
+  }
+
+  formatCatalogue(catalogue, xp) {
+    const earned = catalogue.filter(achievement => achievement.earnedAt);
+    const locked = catalogue.filter(achievement => !achievement.earnedAt);
+
+    const lines = [
+      '🏅 *Achievements*',
+      '',
+      xpService.formatLevel(xp),
+      '',
+      `*Earned (${earned.length}/${catalogue.length}):*`
+    ];
+
+    if (earned.length === 0) {
+      lines.push('None yet - finish a flashcard session to get started!');
+    }
+    earned.forEach(achievement => {
+      const date = achievement.earnedAt.slice(0, 10).split('-').reverse().join('.');
+      lines.push(`${achievement.icon} *${achievement.name}* - ${achievement.description} (${date})`);
+    });
+
+    if (locked.length > 0) {
+      lines.push('', '*Locked:*');
+      locked.forEach(achievement => {
+        const current = Math.min(achievement.current, achievement.target);
+        lines.push(`🔒 ${achievement.name} - ${achievement.description} (${current}/${achievement.target})`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new AchievementService();
@@ -0,0 +1,94 @@
+const wordAnalyzer = require('./wordAnalyzer');
+const config = require('../../config/config');
+
+/**
+ * SQLite-backed cache for wordAnalyzer results.
+ *
+ * Entries are keyed by German word, English translation and the analyzer's
+ * prompt version. Fresh entries are served without calling the LLM; missing
+ * or stale ones are regenerated. Fallback analyses are stored with a flag
+ * and retried once they are older than fallbackRetryHours.
+ */
+class AnalysisCache {
+  constructor() {
+    this.maxAgeDays = config.vocabulary.analysisCache.maxAgeDays;
+    this.fallbackRetryHours = config.vocabulary.analysisCache.fallbackRetryHours;
+  }
+
+  /**
+   * Get an analysis for a flashcard, from the cache when possible
+   */
+  async getAnalysis(db, germanWord, englishTranslation, userLevel = 'A1') {
+    const cached = this.get(db, germanWord, englishTranslation);
+
+    if (cached && !this.isStale(cached)) {
+      return cached.analysis;
+    }
+
+    const analysis = await wordAnalyzer.analyzeWord(germanWord, englishTranslation, userLevel);
+    return this.save(db, germanWord, englishTranslation, analysis, cached);
+  }
+
+  /**
+   * Whether a word has no usable cache entry and should be (re)analyzed
+   */
+  needsAnalysis(db, germanWord, englishTranslation) {
+    const cached = this.get(db, germanWord, englishTranslation);
+    return !cached || this.isStale(cached);
+  }
+
+  /**
+   * Store a freshly generated analysis and return the one to show
+   */
+  save(db, germanWord, englishTranslation, analysis, cached = this.get(db, germanWord, englishTranslation)) {
+    // A real analysis from an older prompt beats a fresh fallback
+    if (analysis.fallback && cached && !cached.is_fallback) {
+      return cached.analysis;
+    }
+
+    this.store(db, germanWord, englishTranslation, analysis);
+    return analysis;
+  }
+
+  /**
+   * Latest cached entry for a word, preferring the current prompt version
+   */
+  get(db, germanWord, englishTranslation) {
+    const row = db.get(`
+      SELECT * FROM word_analyses
+      WHERE german_word = ? AND english_translation = ?
+      ORDER BY prompt_version = ? DESC, updated_at DESC
+      LIMIT 1
+    `, [germanWord, englishTranslation, wordAnalyzer.promptVersion]);
+
+    if (!row) return null;
+
+    return {
+      ...row,
+      is_fallback: row.is_fallback === 1,
+      analysis: JSON.parse(row.analysis)
+    };
+  }
+
+  isStale(entry) {
+    if (entry.prompt_version !== wordAnalyzer.promptVersion) return true;
+
+    const ageHours = (Date.now() - new Date(`${entry.updated_at.replace(' ', 'T')}Z`).getTime()) / (60 * 60 * 1000);
+
+    if (entry.is_fallback) return ageHours >= this.fallbackRetryHours;
+    return this.maxAgeDays > 0 && ageHours >= this.maxAgeDays * 24;
+  }
+
+  store(db, germanWord, englishTranslation, analysis) {
+    return db.run(`
+      INSERT INTO word_analyses (german_word, english_translation, prompt_version, analysis, is_fallback)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(german_word, english_translation, prompt_version) DO UPDATE SET
+        analysis = excluded.analysis,
+        is_fallback = excluded.is_fallback,
+        updated_at = CURRENT_TIMESTAMP
+    `, [germanWord, englishTranslation, wordAnalyzer.promptVersion, JSON.stringify(analysis), analysis.fallback ? 1 : 0]);
+  }
+}
+
+module.exports = new AnalysisCache();
@@ -0,0 +1,195 @@
+const wordAnalyzer = require('./wordAnalyzer');
+const analysisCache = require('./analysisCache');
+const config = require('../../config/config');
+
+/**
+ * Fills the word_analyses cache ahead of time so revealing a flashcard
+ * never has to wait for the LLM.
+ *
+ * Walks vocabulary_simple level by level in id order. After every batch
+ * the last processed id is saved in analysis_checkpoints, so an
+ * interrupted or budget-limited run picks up where it stopped. When a
+ * level has been walked to the end its checkpoint goes back to 0, and the
+ * next pass only analyzes words that are missing, stale or fell back.
+ */
+class AnalysisPregenerator {
+  constructor() {
+    this.settings = config.vocabulary.analysisPregeneration;
+    this.isRunning = false;
+  }
+
+  /**
+   * Analyze up to maxWords words that have no usable cache entry
+   * Returns { analyzed, failed, skipped, budgetExhausted, coverage }
+   */
+  async run(db, { maxWords = this.settings.maxWordsPerRun, delayMs = this.settings.delayMs, levels = null } = {}) {
+    if (this.isRunning) {
+      throw new Error('Pre-generation is already running');
+    }
+
+    this.isRunning = true;
+    const report = { analyzed: 0, failed: [], skipped: 0, budgetExhausted: false };
+
+    try {
+      for (const level of levels || this.getLevels(db)) {
+        const remaining = maxWords - report.analyzed - report.failed.length;
+        if (remaining <= 0) break;
+
+        await this.processLevel(db, level, remaining, delayMs, report);
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    report.budgetExhausted = report.analyzed + report.failed.length >= maxWords;
+    report.coverage = this.getCoverage(db);
+    return report;
+  }
+
+  async processLevel(db, level, budget, delayMs, report) {
+    let used = 0;
+    let lastId = this.getCheckpoint(db, level);
+
+    while (used < budget) {
+      const words = db.all(`
+        SELECT id, german_word, english_translation, level
+        FROM vocabulary_simple
+        WHERE level = ? AND id > ?
+        ORDER BY id
+        LIMIT ?
+      `, [level, lastId, this.settings.batchSize]);
+
+      if (words.length === 0) {
+        this.completePass(db, level);
+        return;
+      }
+
+      // Take only what the budget allows; the checkpoint stops at the last
+      // word looked at, so the rest of the batch is picked up next run
+      const pending = [];
+      let batchEnd = lastId;
+      for (const word of words) {
+        if (analysisCache.needsAnalysis(db, word.german_word, word.english_translation)) {
+          if (used + pending.length >= budget) break;
+          pending.push(word);
+        } else {
+          report.skipped++;
+        }
+        batchEnd = word.id;
+      }
+
+      if (pending.length > 0) {
+        const pairs = pending.map(word => [word.german_word, word.english_translation]);
+        const { results, errors } = await wordAnalyzer.analyzeWordBatch(pairs, level, delayMs);
+
+        results.forEach(({ german_word: germanWord, ...analysis }) => {
+          const word = pending.find(w => w.german_word === germanWord && w.english_translation === analysis.english_translation);
+          analysisCache.save(db, word.german_word, word.english_translation, analysis);
+
+          if (analysis.fallback) {
+            report.failed.push({ ...word, reason: analysis.fallback_reason || 'Fallback analysis' });
+          } else {
+            report.analyzed++;
+          }
+        });
+
+        errors.forEach(error => {
+          report.failed.push({ german_word: error.german_word, english_translation: error.english_translation, level, reason: error.error });
+        });
+
+        used += pending.length;
+      }
+
+      lastId = batchEnd;
+      this.saveCheckpoint(db, level, lastId);
+    }
+  }
+
+  getLevels(db) {
+    return db.all('SELECT DISTINCT level FROM vocabulary_simple WHERE level IS NOT NULL ORDER BY level')
+      .map(row => row.level);
+  }
+
+  getCheckpoint(db, level) {
+    const row = db.get('SELECT last_vocabulary_id FROM analysis_checkpoints WHERE level = ?', [level]);
+    return row ? row.last_vocabulary_id : 0;
+  }
+
+  saveCheckpoint(db, level, lastVocabularyId) {
+    db.run(`
+      INSERT INTO analysis_checkpoints (level, last_vocabulary_id)
+      VALUES (?, ?)
+      ON CONFLICT(level) DO UPDATE SET
+        last_vocabulary_id = excluded.last_vocabulary_id,
+        updated_at = CURRENT_TIMESTAMP
+    `, [level, lastVocabularyId]);
+  }
+
+  completePass(db, level) {
+    db.run(`
+      INSERT INTO analysis_checkpoints (level, last_vocabulary_id, completed_passes)
+      VALUES (?, 0, 1)
+      ON CONFLICT(level) DO UPDATE SET
+        last_vocabulary_id = 0,
+        completed_passes = completed_passes + 1,
+        updated_at = CURRENT_TIMESTAMP
+    `, [level]);
+  }
+
+  resetCheckpoints(db) {
+    return db.run('DELETE FROM analysis_checkpoints');
+  }
+
+  /**
+   * Per-level counts of words with a real analysis, a fallback, or nothing
+   * for the current prompt version
+   */
+  getCoverage(db) {
+    return db.all(`
+      SELECT
+        vs.level,
+        COUNT(*) as total,
+        SUM(CASE WHEN wa.id IS NOT NULL AND wa.is_fallback = 0 THEN 1 ELSE 0 END) as analyzed,
+        SUM(CASE WHEN wa.is_fallback = 1 THEN 1 ELSE 0 END) as fallback,
+        COALESCE(ac.last_vocabulary_id, 0) as checkpoint,
+        COALESCE(ac.completed_passes, 0) as completed_passes
+      FROM vocabulary_simple vs
+      LEFT JOIN word_analyses wa ON wa.german_word = vs.german_word
+        AND wa.english_translation = vs.english_translation
+        AND wa.prompt_version = ?
+      LEFT JOIN analysis_checkpoints ac ON ac.level = vs.level
+      WHERE vs.level IS NOT NULL
+      GROUP BY vs.level
+      ORDER BY vs.level
+    `, [wordAnalyzer.promptVersion]).map(row => ({
+      ...row,
+      missing: row.total - row.analyzed - row.fallback,
+      percentage: row.total > 0 ? Math.round((row.analyzed / row.total) * 100) : 0
+    }));
+  }
+
+  /**
+   * Words whose current analysis is a fallback because the LLM call or
+   * its output validation failed
+   */
+  getFailures(db, limit = 50) {
+    return db.all(`
+      SELECT wa.german_word, wa.english_translation, wa.analysis, wa.updated_at, MIN(vs.level) as level
+      FROM word_analyses wa
+      JOIN vocabulary_simple vs ON vs.german_word = wa.german_word
+        AND vs.english_translation = wa.english_translation
+      WHERE wa.is_fallback = 1 AND wa.prompt_version = ?
+      GROUP BY wa.id
+      ORDER BY level, wa.german_word
+      LIMIT ?
+    `, [wordAnalyzer.promptVersion, limit]).map(row => ({
+      german_word: row.german_word,
+      english_translation: row.english_translation,
+      level: row.level,
+      updated_at: row.updated_at,
+      reason: JSON.parse(row.analysis).fallback_reason || 'Fallback analysis'
+    }));
+  }
+}
+
+module.exports = new AnalysisPregenerator();
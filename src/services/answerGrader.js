@@ -0,0 +1,107 @@
+const utils = require('../utils/helpers');
+
+const ARTICLES = ['der', 'die', 'das'];
+
+/**
+ * Grades typed German answers for flashcards.
+ *
+ * Accepts ae/oe/ue/ss for umlauts and ß, tolerates small typos and checks
+ * the article separately from the word so feedback can say what was off.
+ */
+class AnswerGrader {
+  /**
+   * Grade a typed answer against the expected word and (optional) article
+   * Returns { isCorrect, wordResult, articleResult, distance, usedSubstitutes }
+   *   wordResult: 'exact' | 'typo' | 'wrong'
+   *   articleResult: 'ok' | 'missing' | 'wrong' | null (no article expected)
+   */
+  grade(input, expectedWord, expectedArticle = null) {
+    let answer = this.normalizeInput(input);
+    let givenArticle = null;
+
+    // Only split off an article when the card has one, so phrases such as
+    // "Das ist ..." are compared as a whole
+    if (expectedArticle) {
+      const [first, ...rest] = answer.split(' ');
+      if (ARTICLES.includes(first.toLowerCase()) && rest.length > 0) {
+        givenArticle = first.toLowerCase();
+        answer = rest.join(' ');
+      }
+    }
+
+    const wordResult = this.compareWord(answer, expectedWord);
+
+    let articleResult = null;
+    if (expectedArticle) {
+      if (!givenArticle) {
+        articleResult = 'missing';
+      } else {
+        articleResult = givenArticle === expectedArticle ? 'ok' : 'wrong';
+      }
+    }
+
+    // A forgotten article is flagged but not failed; a wrong one is
+    return {
+      isCorrect: wordResult.result !== 'wrong' && articleResult !== 'wrong',
+      wordResult: wordResult.result,
+      articleResult,
+      distance: wordResult.distance,
+      usedSubstitutes: wordResult.usedSubstitutes
+    };
+  }
+
+  compareWord(answer, expectedWord) {
+    // Some entries list alternatives, e.g. "Dr./Doktor"
+    const candidates = expectedWord.split('/').map(word => this.normalizeInput(word)).filter(Boolean);
+    let best = { result: 'wrong', distance: Infinity, usedSubstitutes: false };
+
+    for (const candidate of candidates) {
+      const folded = this.fold(answer);
+      const expected = this.fold(candidate);
+
+      if (folded === expected) {
+        return {
+          result: 'exact',
+          distance: 0,
+          usedSubstitutes: answer.toLowerCase() !== candidate.toLowerCase()
+        };
+      }
+
+      const distance = utils.levenshteinDistance(folded, expected);
+      if (distance < best.distance) {
+        best = {
+          result: distance <= this.getTypoTolerance(expected) ? 'typo' : 'wrong',
+          distance,
+          usedSubstitutes: false
+        };
+      }
+    }
+
+    return best;
+  }
+
+  getTypoTolerance(word) {
+    // Short words have too many near neighbours to forgive a typo
+    if (word.length <= 4) return 0;
+    if (word.length <= 8) return 1;
+    return 2;
+  }
+
+  normalizeInput(input) {
+    return input
+      .trim()
+      .replace(/\s+/g, ' ')
+      .replace(/[.!?]+$/, '');
+  }
+
+  fold(text) {
+    return text
+      .toLowerCase()
+      .replace(/ä/g, 'ae')
+      .replace(/ö/g, 'oe')
+      .replace(/ü/g, 'ue')
+      .replace(/ß/g, 'ss');
+  }
+}
+
+module.exports = new AnswerGrader();
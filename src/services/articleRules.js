@@ -0,0 +1,90 @@
+/**
+ * Rules of thumb for German noun gender.
+ *
+ * Used by the article drill to explain a correct answer and to group
+ * mistakes by ending. Rules are checked in order, so longer endings must
+ * come before the shorter ones they contain (-ie before -e).
+ */
+class ArticleRules {
+  constructor() {
+    this.rules = [
+      { key: '-chen', test: /chen$/, article: 'das', hint: 'Diminutives in -chen are always das' },
+      { key: '-lein', test: /lein$/, article: 'das', hint: 'Diminutives in -lein are always das' },
+      { key: '-ung', test: /ung$/, article: 'die', hint: 'Nouns in -ung are always die' },
+      { key: '-heit/-keit', test: /(heit|keit)$/, article: 'die', hint: 'Nouns in -heit/-keit are always die' },
+      { key: '-schaft', test: /schaft$/, article: 'die', hint: 'Nouns in -schaft are always die' },
+      { key: '-ion', test: /ion$/, article: 'die', hint: 'Nouns in -ion are die' },
+      { key: '-tät', test: /tät$/, article: 'die', hint: 'Nouns in -tät are die' },
+      { key: '-ei', test: /ei$/, article: 'die', hint: 'Nouns in -ei are usually die' },
+      { key: '-ie', test: /ie$/, article: 'die', hint: 'Nouns in -ie are usually die' },
+      { key: '-ik', test: /ik$/, article: 'die', hint: 'Nouns in -ik are usually die' },
+      { key: '-ur', test: /ur$/, article: 'die', hint: 'Nouns in -ur are usually die' },
+      { key: '-enz/-anz', test: /(enz|anz)$/, article: 'die', hint: 'Nouns in -enz/-anz are die' },
+      { key: '-in (female)', test: /[rtdgfh]in$/, article: 'die', hint: 'Female forms in -in are die' },
+      { key: '-ling', test: /ling$/, article: 'der', hint: 'Nouns in -ling are der' },
+      { key: '-ismus', test: /ismus$/, article: 'der', hint: 'Nouns in -ismus are der' },
+      { key: '-ist', test: /ist$/, article: 'der', hint: 'People in -ist are der' },
+      { key: '-or', test: /or$/, article: 'der', hint: 'Nouns in -or are usually der' },
+      { key: '-ig/-ich', test: /(ig|ich)$/, article: 'der', hint: 'Nouns in -ig/-ich are usually der' },
+      { key: '-ment', test: /ment$/, article: 'das', hint: 'Nouns in -ment are usually das' },
+      { key: '-um', test: /um$/, article: 'das', hint: 'Nouns in -um are usually das' },
+      { key: '-nis', test: /nis$/, article: 'das', hint: 'Nouns in -nis are usually das' },
+      { key: '-e', test: /e$/, article: 'die', hint: 'Most nouns in -e are die' },
+      { key: '-er', test: /er$/, article: 'der', hint: 'Many nouns in -er are der' },
+      { key: 'Ge-', test: /^Ge/, article: 'das', hint: 'Many nouns starting with Ge- are das' }
+    ];
+  }
+
+  /**
+   * Find the gender rule that applies to a noun
+   * Returns null when no rule of thumb fits
+   */
+  getRule(germanWord) {
+    // Only hyphenated compounds (E-Mail) are split; the ending rules see
+    // the last part of Krankenhaus or Haustür anyway
+    const lastPart = germanWord.split('-').pop();
+    return this.rules.find(rule => rule.test.test(lastPart)) || null;
+  }
+
+  /**
+   * Describe how a noun relates to its rule: follows it, breaks it,
+   * or has no rule at all
+   */
+  describe(germanWord, article) {
+    const rule = this.getRule(germanWord);
+
+    if (!rule) {
+      return { key: 'no rule', rule: null, isException: false, hint: 'No ending rule - learn it with the noun' };
+    }
+
+    const isException = rule.article !== article;
+    return {
+      key: rule.key,
+      rule,
+      isException,
+      hint: isException
+        ? `Exception: ${rule.hint.charAt(0).toLowerCase()}${rule.hint.slice(1)}, but not this one`
+        : rule.hint
+    };
+  }
+
+  /**
+   * Group wrongly answered nouns by ending pattern, most mistakes first
+   */
+  groupMistakes(mistakes) {
+    const groups = {};
+
+    mistakes.forEach(mistake => {
+      const { key, rule } = this.describe(mistake.german_word, mistake.article);
+      if (!groups[key]) {
+        groups[key] = { key, article: rule ? rule.article : null, count: 0, words: [] };
+      }
+      groups[key].count += mistake.count || 1;
+      groups[key].words.push(`${mistake.article} ${mistake.german_word}`);
+    });
+
+    return Object.values(groups).sort((a, b) => b.count - a.count);
+  }
+}
+
+module.exports = new ArticleRules();
@@ -0,0 +1,270 @@
+const answerGrader = require('./answerGrader');
+const verbRules = require('./verbRules');
+const utils = require('../utils/helpers');
+
+const WORD_PATTERN = /([A-Za-zÄÖÜäöüß]+)/;
+const ADJECTIVE_ENDINGS = ['', 'e', 'en', 'er', 'es', 'em'];
+const NOUN_ENDINGS = ['', 'e', 'n', 'en', 's', 'es'];
+const VERB_ENDINGS = ['', 'e', 'st', 'est', 't', 'et', 'en', 'n', 'te', 'test', 'ten', 'tet', 'ete', 'etest', 'eten', 'etet'];
+// Underscores would start italics in Markdown messages
+const BLANK = '＿＿＿';
+
+/**
+ * Cloze cards from the example sentences in the analysis cache.
+ *
+ * The target word is blanked in its cached example_sentence, in whatever
+ * form the sentence uses: "Ich ＿＿＿ nach Berlin." for fahren is answered
+ * with "fahre". Forms come from verb_forms for verbs, the plural and case
+ * endings for nouns and the declension endings for adjectives. Words
+ * whose sentence doesn't contain a recognisable form get no cloze card.
+ * Fallback analyses are skipped, their sentences are only templates.
+ */
+class ClozeService {
+  /**
+   * Words with a cached example sentence, weakest cloze cards first.
+   * Returns up to `limit` cards with the blanked sentence built
+   */
+  getClozeCards(db, userId, limit, preferredLevel = 'A1') {
+    const rows = db.all(`
+      SELECT v.id, v.german_word, v.english_translation, v.article, v.plural, v.plural_status,
+             wa.analysis,
+             COALESCE(cp.streak, 0) as streak,
+             COALESCE(cp.times_incorrect, 0) as times_incorrect
+      FROM vocabulary_simple v
+      JOIN word_analyses wa ON wa.german_word = v.german_word
+        AND wa.english_translation = v.english_translation AND wa.is_fallback = 0
+      LEFT JOIN cloze_progress cp ON v.id = cp.vocabulary_id AND cp.user_id = ?
+      WHERE v.level = ?
+        AND (cp.next_review IS NULL OR cp.next_review <= datetime('now'))
+      GROUP BY v.id
+      ORDER BY
+        COALESCE(cp.streak, 0) ASC,
+        COALESCE(cp.times_incorrect, 0) DESC,
+        RANDOM()
+    `, [userId, preferredLevel]);
+
+    const cards = [];
+    for (const row of rows) {
+      if (cards.length >= limit) break;
+
+      const card = this.makeCard(db, row);
+      if (card) cards.push(card);
+    }
+
+    return cards;
+  }
+
+  makeCard(db, row) {
+    const analysis = JSON.parse(row.analysis);
+    if (!analysis.example_sentence) return null;
+
+    const word = { ...row, word_type: analysis.word_type };
+    word.verb = row.article ? null : db.get('SELECT * FROM verb_forms WHERE vocabulary_id = ?', [row.id]);
+    if (word.verb) word.verb.german_word = row.german_word;
+
+    const cloze = this.blank(analysis.example_sentence, this.getForms(word));
+    if (!cloze) return null;
+
+    return {
+      id: row.id,
+      german_word: row.german_word,
+      english_translation: row.english_translation,
+      article: row.article,
+      streak: row.streak,
+      sentence: analysis.example_sentence,
+      translation: analysis.example_translation || '',
+      ...cloze,
+      variants: this.getVariants(word, cloze.answer)
+    };
+  }
+
+  /**
+   * Matchers for the forms a word can take in a sentence. Each one is a
+   * function of a sentence token returning true when it is a form of the word
+   */
+  getForms(word) {
+    const spellings = word.german_word.split('/').map(spelling => spelling.trim()).filter(Boolean);
+
+    if (word.verb) {
+      const forms = new Set(this.getVerbForms(word.verb).map(form => answerGrader.fold(form)));
+      return [token => forms.has(answerGrader.fold(token))];
+    }
+
+    if (word.article) {
+      const plurals = word.plural_status === 'approved' && word.plural ? word.plural.split('/') : [];
+      return [...spellings, ...plurals].map(base => this.endingMatcher(base, NOUN_ENDINGS, true));
+    }
+
+    if (word.word_type === 'verb' && spellings.length === 1 && /[^aeiouäöü]e?n$/.test(spellings[0])) {
+      return [this.endingMatcher(verbRules.getStem(spellings[0]), VERB_ENDINGS)];
+    }
+
+    if (word.word_type === 'adjective') {
+      return spellings.map(base => this.endingMatcher(base, ADJECTIVE_ENDINGS));
+    }
+
+    return spellings.map(base => this.endingMatcher(base, ['']));
+  }
+
+  // Matches base + one of the endings; nouns keep their capital letter
+  endingMatcher(base, endings, caseSensitive = false) {
+    const fold = text => (caseSensitive ? text : text.toLowerCase());
+    const stem = fold(base);
+
+    return token => {
+      const candidate = fold(token);
+      return candidate.startsWith(stem) && endings.includes(candidate.slice(stem.length));
+    };
+  }
+
+  /**
+   * Every one-word form of a verb: the finite forms of all tenses, the
+   * infinitive, the Partizip II and the zu-infinitive of separable verbs
+   */
+  getVerbForms(verb) {
+    const forms = [verb.german_word, verb.partizip];
+    const prefix = verb.separable_prefix;
+    if (prefix) {
+      forms.push(verb.german_word.slice(prefix.length), `${prefix}zu${verb.german_word.slice(prefix.length)}`);
+    }
+
+    ['praesens', 'praeteritum'].forEach(tense => {
+      Object.keys(verbRules.persons).forEach(person => {
+        forms.push(verbRules.stripPrefix(verbRules.conjugate(verb, tense, person)[0], prefix));
+      });
+    });
+
+    return forms;
+  }
+
+  /**
+   * Blank the first token matching one of the forms
+   * Returns { cloze, answer } or null when the word isn't in the sentence
+   */
+  blank(sentence, forms) {
+    const parts = sentence.split(WORD_PATTERN);
+
+    for (let i = 1; i < parts.length; i += 2) {
+      if (forms.some(matches => matches(parts[i]))) {
+        const answer = parts[i];
+        parts[i] = BLANK;
+        return { cloze: parts.join(''), answer };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Other forms of the same word, used as wrong choices: fahre → fährst,
+   * fährt, gefahren; Hund → Hunde, Hunden
+   */
+  getVariants(word, answer) {
+    let variants;
+
+    if (word.verb) {
+      variants = this.getVerbVariants(word.verb, answer);
+    } else if (word.article) {
+      variants = this.getNounVariants(word);
+    } else if (word.word_type === 'adjective') {
+      variants = ADJECTIVE_ENDINGS.map(ending => word.german_word.split('/')[0] + ending);
+    } else {
+      variants = [];
+    }
+
+    // Keep the case of the blanked word (a verb can start the sentence)
+    const capitalized = answer.charAt(0) !== answer.charAt(0).toLowerCase();
+    const seen = new Set([answerGrader.fold(answer)]);
+
+    return variants
+      .map(variant => (capitalized ? variant.charAt(0).toUpperCase() + variant.slice(1) : variant))
+      .filter(variant => {
+        const folded = answerGrader.fold(variant);
+        if (seen.has(folded)) return false;
+        seen.add(folded);
+        return true;
+      });
+  }
+
+  /**
+   * Wrong forms of a verb: the other persons of the answer's tense, since
+   * the same person in another tense could fit too (ich fahre / ich fuhr).
+   * A finite answer also gets the Partizip II, and the infinitive unless
+   * the answer is the wir form, which could be a present tense. An
+   * infinitive or Partizip answer gets the Präsens forms
+   */
+  getVerbVariants(verb, answer) {
+    const prefix = verb.separable_prefix;
+    const infinitive = prefix ? verb.german_word.slice(prefix.length) : verb.german_word;
+    const folded = answerGrader.fold(answer);
+    const getForms = tense => Object.keys(verbRules.persons).map(person => ({
+      person,
+      form: verbRules.stripPrefix(verbRules.conjugate(verb, tense, person)[0], prefix)
+    }));
+
+    const tense = ['praesens', 'praeteritum']
+      .find(candidate => getForms(candidate).some(({ form }) => answerGrader.fold(form) === folded));
+    if (!tense) {
+      return [infinitive, verb.partizip, ...getForms('praesens').map(({ form }) => form)];
+    }
+
+    const forms = getForms(tense);
+    const persons = forms.filter(({ form }) => answerGrader.fold(form) === folded).map(({ person }) => person);
+    const variants = forms.map(({ form }) => form).concat(verb.partizip);
+
+    return persons.includes('wir') ? variants : variants.concat(infinitive);
+  }
+
+  // Hund → Hunds, Hunde, Hunden; Haus → Hauses, Häuser, Häusern
+  getNounVariants(word) {
+    const singular = word.german_word.split('/')[0];
+    const genitive = singular + (/[sßzx]$/.test(singular) ? 'es' : 's');
+
+    if (word.plural_status !== 'approved' || !word.plural) {
+      return [singular, genitive, `${singular}e`, `${singular}en`];
+    }
+
+    const plural = word.plural.split('/')[0];
+    return [singular, genitive, plural, /[ns]$/.test(plural) ? plural : `${plural}n`];
+  }
+
+  /**
+   * Up to `count` options: the answer, other forms of the word and, if
+   * those run out, the answers of other cards; shuffled
+   */
+  makeChoices(card, otherCards, count = 4) {
+    const wrong = utils.getRandomElements(card.variants, count - 1);
+    // Nouns only mix with nouns, and the first letter follows the answer's
+    // so a capital doesn't give the sentence start away
+    const capitalized = card.answer.charAt(0) !== card.answer.charAt(0).toLowerCase();
+    const fillers = utils.shuffleArray(otherCards.filter(other => !other.article === !card.article))
+      .map(other => (capitalized || other.article
+        ? other.answer.charAt(0).toUpperCase()
+        : other.answer.charAt(0).toLowerCase()) + other.answer.slice(1))
+      .filter(answer => answerGrader.fold(answer) !== answerGrader.fold(card.answer));
+
+    while (wrong.length < count - 1 && fillers.length > 0) {
+      const filler = fillers.shift();
+      if (!wrong.some(choice => answerGrader.fold(choice) === answerGrader.fold(filler))) {
+        wrong.push(filler);
+      }
+    }
+
+    return utils.shuffleArray([card.answer, ...wrong]);
+  }
+
+  /**
+   * The blanked form has to be typed as it is in the sentence; umlauts can
+   * be written as ae/oe/ue, capitals don't matter and typos don't pass
+   */
+  grade(input, card) {
+    return answerGrader.fold(answerGrader.normalizeInput(input)) === answerGrader.fold(card.answer);
+  }
+
+  // The example sentence with the answer in bold
+  formatSolution(card) {
+    return card.cloze.replace(BLANK, `*${card.answer}*`);
+  }
+}
+
+module.exports = new ClozeService();
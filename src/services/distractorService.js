@@ -0,0 +1,117 @@
+const utils = require('../utils/helpers');
+
+/**
+ * Picks plausible wrong options for multiple-choice questions.
+ *
+ * Candidates come from the same level and word type; among those, words
+ * that look alike in German or are related in meaning (a shared topic or
+ * some shared translation words) are preferred over unrelated ones.
+ * Near-synonyms are left out, since "meal" and "meal, dish" would both be
+ * right.
+ */
+class DistractorService {
+  constructor() {
+    // Distractors are drawn at random from this many best-scoring candidates
+    // so the same word doesn't always get the same options
+    this.shortlistSize = 8;
+    // Translations sharing at least this much are too close to tell apart
+    this.synonymOverlap = 0.5;
+    // Relatedness of two words in the same topic, on the 0-1 scale of the
+    // other scores
+    this.sharedTopicScore = 0.4;
+  }
+
+  /**
+   * Rough word type, inferred from the data vocabulary_simple has
+   */
+  getWordType(word) {
+    if (word.article) return 'noun';
+    if (/^to /i.test(word.english_translation)) return 'verb';
+    // Plural-only nouns are stored without an article but still capitalized
+    if (/^[A-ZÄÖÜ]/.test(word.german_word) && !word.german_word.includes(' ')) return 'noun';
+    return 'other';
+  }
+
+  pickDistractors(db, word, count = 3) {
+    const candidates = db.all(`
+      SELECT vs.id, vs.german_word, vs.english_translation, vs.article, vs.level,
+        EXISTS (
+          SELECT 1 FROM vocabulary_topics candidate_topic
+          JOIN vocabulary_topics word_topic ON word_topic.topic_id = candidate_topic.topic_id
+          WHERE candidate_topic.vocabulary_id = vs.id AND word_topic.vocabulary_id = ?
+        ) as shares_topic
+      FROM vocabulary_simple vs
+      WHERE vs.level = ? AND vs.id != ?
+    `, [word.id, word.level, word.id]);
+
+    const wordType = this.getWordType(word);
+    const german = word.german_word.toLowerCase();
+    const english = word.english_translation.toLowerCase();
+
+    const scored = candidates
+      // Options that mean or spell the same as the answer would be ambiguous
+      .filter(candidate => candidate.german_word.toLowerCase() !== german &&
+        candidate.english_translation.toLowerCase() !== english)
+      .filter(candidate => this.getWordType(candidate) === wordType)
+      .map(candidate => ({
+        candidate,
+        overlap: this.meaningOverlap(word.english_translation, candidate.english_translation)
+      }))
+      .filter(({ candidate, overlap }) => !this.isSynonym(word, candidate, overlap))
+      .map(({ candidate, overlap }) => ({
+        candidate,
+        score: Math.max(
+          this.spellingSimilarity(word.german_word, candidate.german_word),
+          overlap,
+          candidate.shares_topic ? this.sharedTopicScore : 0
+        )
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    // Skip candidates that would show up as a duplicate option
+    const seen = new Set();
+    const shortlist = [];
+    for (const { candidate } of scored) {
+      const keys = [candidate.german_word.toLowerCase(), candidate.english_translation.toLowerCase()];
+      if (keys.some(key => seen.has(key))) continue;
+      keys.forEach(key => seen.add(key));
+      shortlist.push(candidate);
+      if (shortlist.length >= Math.max(this.shortlistSize, count)) break;
+    }
+
+    return utils.getRandomElements(shortlist, count);
+  }
+
+  spellingSimilarity(word1, word2) {
+    const w1 = word1.toLowerCase();
+    const w2 = word2.toLowerCase();
+    const distance = utils.levenshteinDistance(w1, w2);
+    return 1 - (distance / Math.max(w1.length, w2.length));
+  }
+
+  isSynonym(word, candidate, overlap) {
+    const head = this.getMeaningWords(word.english_translation)[0];
+    return overlap >= this.synonymOverlap ||
+      (head !== undefined && head === this.getMeaningWords(candidate.english_translation)[0]);
+  }
+
+  meaningOverlap(translation1, translation2) {
+    const words1 = this.getMeaningWords(translation1);
+    const words2 = this.getMeaningWords(translation2);
+
+    if (words1.length === 0 || words2.length === 0) return 0;
+
+    const shared = words1.filter(word => words2.includes(word)).length;
+    return shared / Math.max(words1.length, words2.length);
+  }
+
+  getMeaningWords(translation) {
+    const stopWords = ['to', 'a', 'an', 'the', 'of', 'and', 'or', 'for', 'in', 'on', 'at', 'be'];
+    return translation
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(word => word.length > 1 && !stopWords.includes(word));
+  }
+}
+
+module.exports = new DistractorService();
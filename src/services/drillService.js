@@ -0,0 +1,90 @@
+const streakService = require('./streakService');
+const goalService = require('./goalService');
+
+/**
+ * Bookkeeping shared by the drills (articles, plurals, verbs, cloze).
+ *
+ * Each drill keeps its progress in its own table, shaped like
+ * article_progress: a streak of correct answers per item decides when the
+ * item comes back.
+ */
+class DrillService {
+  constructor() {
+    // When an item comes back after 1, 2, 3... correct answers in a row
+    this.intervals = ['+1 day', '+3 days', '+7 days', '+14 days', '+30 days'];
+  }
+
+  /**
+   * Records an answer to item (a row with the word's id and its streak) in
+   * the drill's progress table and the activity ledger, and counts it in
+   * the session. key holds columns that tell rows apart besides the user
+   * and the word, like verb_progress.form
+   */
+  async recordAnswer(ctx, db, session, table, item, isCorrect, answer, key = {}) {
+    this.updateProgress(db, table, { user_id: ctx.dbUser.id, vocabulary_id: item.id, ...key }, isCorrect, answer, item.streak);
+    const activity = streakService.recordAnswer(db, ctx.dbUser.id, isCorrect);
+    if (activity.freezeEarned) {
+      session.freezeEarned = true;
+    }
+    await goalService.congratulate(ctx, db, activity);
+
+    session.currentQuestion++;
+    if (isCorrect) {
+      session.correctAnswers++;
+    } else {
+      session.mistakes.push(item);
+    }
+  }
+
+  updateProgress(db, table, key, isCorrect, answer, previousStreak) {
+    const streak = isCorrect ? previousStreak + 1 : 0;
+    const columns = Object.keys(key);
+
+    return db.run(`
+      INSERT INTO ${table} (
+        ${columns.join(', ')}, times_shown, times_correct, times_incorrect,
+        streak, last_answer, last_shown, next_review
+      ) VALUES (${columns.map(() => '?').join(', ')}, 1, ?, ?, ?, ?, datetime('now'), datetime('now', ?))
+      ON CONFLICT(${columns.join(', ')}) DO UPDATE SET
+        times_shown = times_shown + 1,
+        times_correct = times_correct + excluded.times_correct,
+        times_incorrect = times_incorrect + excluded.times_incorrect,
+        streak = excluded.streak,
+        last_answer = excluded.last_answer,
+        last_shown = excluded.last_shown,
+        next_review = excluded.next_review
+    `, [
+      ...Object.values(key),
+      isCorrect ? 1 : 0, isCorrect ? 0 : 1, streak, answer, this.getNextReview(streak)
+    ]);
+  }
+
+  getNextReview(streak) {
+    // Wrong answers come back in the next session
+    if (streak === 0) return '+10 minutes';
+
+    return this.intervals[Math.min(streak, this.intervals.length) - 1];
+  }
+
+  /**
+   * A typed answer to echo back. Legacy Markdown has no escapes, so its
+   * markup characters are dropped
+   */
+  formatTypedAnswer(answer) {
+    return answer && answer.replace(/[_*`[\]]/g, '');
+  }
+
+  async showSummary(ctx, message, keyboard) {
+    // Typed sessions finish on a text message, which can't be edited
+    if (ctx.callbackQuery) {
+      await ctx.editMessageText(message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+    } else {
+      await ctx.replyWithMarkdown(message, keyboard);
+    }
+  }
+}
+
+module.exports = new DrillService();
@@ -0,0 +1,147 @@
+const timezones = require('../utils/timezones');
+const utils = require('../utils/helpers');
+const streakService = require('./streakService');
+
+/**
+ * Progress toward the daily and weekly answer goals, read from the
+ * daily_activity ledger. Weeks start on Monday in the user's time zone.
+ * Each ledger day keeps the goals that were set when it was recorded, so
+ * the history isn't rewritten when a goal changes.
+ */
+class GoalService {
+  /**
+   * { today, dailyGoal, week, weeklyGoal }
+   */
+  getProgress(db, userId) {
+    const user = streakService.getUser(db, userId);
+    const timeZone = streakService.getTimezone(user);
+    const today = timezones.getLocalDate(timeZone);
+
+    const row = db.get(`
+      SELECT
+        COALESCE(SUM(CASE WHEN activity_date = ? THEN answers ELSE 0 END), 0) as today,
+        COALESCE(SUM(answers), 0) as week
+      FROM daily_activity
+      WHERE user_id = ? AND activity_date >= ? AND activity_date <= ?
+    `, [today, userId, this.getWeekStart(timeZone), today]);
+
+    return {
+      today: row.today,
+      dailyGoal: user.daily_goal || 20,
+      week: row.week,
+      weeklyGoal: user.weekly_goal || 100
+    };
+  }
+
+  getWeekStart(timeZone) {
+    const { weekday } = timezones.getLocalTime(timeZone);
+    return streakService.addDays(timezones.getLocalDate(timeZone), -((weekday + 6) % 7));
+  }
+
+  /**
+   * Send a message when the answer just recorded reached a goal.
+   * activity is the result of streakService.recordAnswer
+   */
+  async congratulate(ctx, db, activity) {
+    const progress = this.getProgress(db, ctx.dbUser.id);
+    const messages = [];
+
+    if (activity.answersToday === progress.dailyGoal) {
+      messages.push(`🎉 *Daily goal reached!* ${progress.today}/${progress.dailyGoal} today`);
+    }
+    if (progress.week === progress.weeklyGoal) {
+      messages.push(`🏆 *Weekly goal reached!* ${progress.week}/${progress.weeklyGoal} this week`);
+    }
+
+    if (messages.length > 0) {
+      await ctx.replyWithMarkdown(messages.join('\n'));
+    }
+  }
+
+  /**
+   * "🎯 12/20 today" for card headers
+   */
+  formatHeader(db, userId) {
+    const progress = this.getProgress(db, userId);
+    const check = progress.today >= progress.dailyGoal ? ' ✅' : '';
+    return `🎯 ${progress.today}/${progress.dailyGoal} today${check}`;
+  }
+
+  /**
+   * One line for session summaries
+   */
+  formatSummaryLine(db, userId) {
+    const progress = this.getProgress(db, userId);
+    return `🎯 Goals: ${progress.today}/${progress.dailyGoal} today • ${progress.week}/${progress.weeklyGoal} this week`;
+  }
+
+  /**
+   * Daily results for the last days and weekly results for the last
+   * weeks, newest first
+   */
+  getHistory(db, userId, days = 7, weeks = 4) {
+    const user = streakService.getUser(db, userId);
+    const timeZone = streakService.getTimezone(user);
+    const today = timezones.getLocalDate(timeZone);
+    const weekStart = this.getWeekStart(timeZone);
+    const firstWeek = streakService.addDays(weekStart, -7 * (weeks - 1));
+    const firstDay = streakService.addDays(today, 1 - days);
+    const since = firstWeek < firstDay ? firstWeek : firstDay;
+
+    const rows = db.all(`
+      SELECT activity_date, answers, daily_goal, weekly_goal
+      FROM daily_activity
+      WHERE user_id = ? AND activity_date >= ? AND frozen = 0
+      ORDER BY activity_date
+    `, [userId, since]);
+    const byDate = new Map(rows.map(row => [row.activity_date, row]));
+
+    const daily = [];
+    for (let i = 0; i < days; i++) {
+      const date = streakService.addDays(today, -i);
+      const row = byDate.get(date);
+      const goal = row ? row.daily_goal || user.daily_goal || 20 : user.daily_goal || 20;
+      daily.push({ date, answers: row ? row.answers : 0, goal, met: !!row && row.answers >= goal });
+    }
+
+    const weekly = [];
+    for (let i = 0; i < weeks; i++) {
+      const start = streakService.addDays(weekStart, -7 * i);
+      const end = streakService.addDays(start, 6);
+      const weekRows = rows.filter(row => row.activity_date >= start && row.activity_date <= end);
+      const answers = weekRows.reduce((sum, row) => sum + row.answers, 0);
+      // The goal set on the last active day of the week counts
+      const lastRow = weekRows[weekRows.length - 1];
+      const goal = (lastRow && lastRow.weekly_goal) || user.weekly_goal || 100;
+      weekly.push({ start, answers, goal, met: answers >= goal, current: i === 0 });
+    }
+
+    return { daily, weekly };
+  }
+
+  formatHistory(history) {
+    const formatDate = date => {
+      const [, month, day] = date.split('-');
+      const weekday = new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+      return `${weekday} ${day}.${month}.`;
+    };
+
+    const days = history.daily.map(day =>
+      `${day.met ? '✅' : '▫️'} ${formatDate(day.date)} ${day.answers}/${day.goal}`
+    );
+    const weeks = history.weekly.map(week =>
+      `${week.met ? '✅' : (week.current ? '⏳' : '▫️')} ${week.current ? 'This week' : `Week of ${formatDate(week.start)}`} ${utils.generateProgressBar(week.answers, week.goal, 8)} ${week.answers}/${week.goal}`
+    );
+    const daysMet = history.daily.filter(day => day.met).length;
+
+    return `🎯 *Goal History*
+
+*Daily goal - last ${history.daily.length} days* (${daysMet} met):
+${days.join('\n')}
+
+*Weekly goal:*
+${weeks.join('\n')}`;
+  }
+}
+
+module.exports = new GoalService();
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+
+// Weekly scores per user; weeks start on Monday, UTC, so everyone on a
+// board competes over the same period
+const METRICS = {
+  xp: {
+    label: '⭐ XP',
+    unit: 'XP',
+    query: `SELECT user_id, SUM(amount) as score FROM xp_events
+      WHERE created_at >= date('now', '-6 days', 'weekday 1') GROUP BY user_id`
+  },
+  cards: {
+    label: '🎴 Cards',
+    unit: 'cards',
+    query: `SELECT user_id, COUNT(*) as score FROM flashcard_reviews
+      WHERE reviewed_at >= date('now', '-6 days', 'weekday 1') GROUP BY user_id`
+  }
+};
+
+// No 0/O or 1/I, so codes survive being read out loud
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Opt-in weekly leaderboards: global, per learning level, and private
+ * groups joined with an invite code.
+ *
+ * Only users with leaderboard_opt_in = 1 are ranked, and only by their
+ * alias or first name. Group membership doesn't change that: a member who
+ * opts out disappears from their groups' boards too.
+ */
+class LeaderboardService {
+  constructor() {
+    this.metrics = METRICS;
+    this.topCount = 10;
+    this.inviteCodeLength = 6;
+    this.maxNameLength = 30;
+  }
+
+  /**
+   * Ranked rows { rank, user_id, name, score }, highest score first
+   */
+  getRanking(db, metric, { level = null, groupId = null } = {}) {
+    const conditions = ['u.leaderboard_opt_in = 1', 'scores.score > 0'];
+    const params = [];
+
+    if (level) {
+      conditions.push("COALESCE(us.preferred_level, 'A1') = ?");
+      params.push(level);
+    }
+    if (groupId) {
+      conditions.push('u.id IN (SELECT user_id FROM leaderboard_group_members WHERE group_id = ?)');
+      params.push(groupId);
+    }
+
+    return db.all(`
+      SELECT u.id as user_id, COALESCE(u.leaderboard_alias, u.first_name, 'Learner') as name, scores.score
+      FROM (${this.metrics[metric].query}) scores
+      JOIN users u ON u.id = scores.user_id
+      LEFT JOIN user_settings us ON us.user_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY scores.score DESC, u.id
+    `, params).map((row, index) => ({ ...row, rank: index + 1 }));
+  }
+
+  /**
+   * Top of the board, plus the user's own row when they're further down
+   */
+  format(ranking, userId, title, metric) {
+    const { unit } = this.metrics[metric];
+    const medals = ['🥇', '🥈', '🥉'];
+    const formatRow = row => {
+      const place = medals[row.rank - 1] || `${row.rank}.`;
+      const name = this.escapeName(row.name);
+      return `${place} ${row.user_id === userId ? `*${name}*` : name} - ${row.score} ${unit}`;
+    };
+
+    const lines = [`🏆 *${title}* - ${this.metrics[metric].label} this week`, ''];
+
+    if (ranking.length === 0) {
+      lines.push('Nobody has scored yet this week. Be the first!');
+      return lines.join('\n');
+    }
+
+    lines.push(...ranking.slice(0, this.topCount).map(formatRow));
+
+    const own = ranking.find(row => row.user_id === userId);
+    if (own && own.rank > this.topCount) {
+      lines.push('...', formatRow(own));
+    } else if (!own) {
+      lines.push('', 'You haven\'t scored this week yet.');
+    }
+
+    return lines.join('\n');
+  }
+
+  // Names go into legacy Markdown messages
+  escapeName(name) {
+    return name.replace(/[_*`[]/g, '\\$&');
+  }
+
+  /**
+   * 2-20 letters, digits, spaces, dots, apostrophes or dashes; returns the
+   * cleaned alias or null
+   */
+  parseAlias(input) {
+    const alias = input.trim().replace(/\s+/g, ' ');
+    return /^[\p{L}\p{N} .'-]{2,20}$/u.test(alias) ? alias : null;
+  }
+
+  getUserGroups(db, userId) {
+    return db.all(`
+      SELECT g.id, g.name, g.invite_code, g.created_by,
+        (SELECT COUNT(*) FROM leaderboard_group_members m WHERE m.group_id = g.id) as members
+      FROM leaderboard_groups g
+      JOIN leaderboard_group_members gm ON gm.group_id = g.id
+      WHERE gm.user_id = ?
+      ORDER BY gm.joined_at
+    `, [userId]);
+  }
+
+  getGroupForUser(db, userId, groupId) {
+    return db.get(`
+      SELECT g.id, g.name, g.invite_code
+      FROM leaderboard_groups g
+      JOIN leaderboard_group_members gm ON gm.group_id = g.id
+      WHERE g.id = ? AND gm.user_id = ?
+    `, [groupId, userId]);
+  }
+
+  /**
+   * Create a group with a fresh invite code; the creator joins it
+   */
+  createGroup(db, userId, name) {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(this.inviteCodeLength), byte =>
+        INVITE_ALPHABET[byte % INVITE_ALPHABET.length]
+      ).join('');
+    } while (db.get('SELECT id FROM leaderboard_groups WHERE invite_code = ?', [code]));
+
+    const result = db.run(
+      'INSERT INTO leaderboard_groups (name, invite_code, created_by) VALUES (?, ?, ?)',
+      [name.trim().slice(0, this.maxNameLength), code, userId]
+    );
+    this.addMember(db, result.lastInsertRowid, userId);
+
+    return this.getGroupForUser(db, userId, result.lastInsertRowid);
+  }
+
+  /**
+   * Join the group with this invite code; returns the group or null
+   */
+  joinGroup(db, userId, inviteCode) {
+    const group = db.get(
+      'SELECT id, name, invite_code FROM leaderboard_groups WHERE invite_code = ?',
+      [inviteCode.trim().toUpperCase()]
+    );
+    if (!group) return null;
+
+    this.addMember(db, group.id, userId);
+    return group;
+  }
+
+  addMember(db, groupId, userId) {
+    return db.run(
+      'INSERT OR IGNORE INTO leaderboard_group_members (group_id, user_id) VALUES (?, ?)',
+      [groupId, userId]
+    );
+  }
+
+  /**
+   * Leave a group; the last member to leave deletes it
+   */
+  leaveGroup(db, userId, groupId) {
+    db.run('DELETE FROM leaderboard_group_members WHERE group_id = ? AND user_id = ?', [groupId, userId]);
+    this.deleteEmptyGroups(db);
+  }
+
+  deleteEmptyGroups(db) {
+    return db.run(`
+      DELETE FROM leaderboard_groups
+      WHERE id NOT IN (SELECT DISTINCT group_id FROM leaderboard_group_members)
+    `);
+  }
+}
+
+module.exports = new LeaderboardService();
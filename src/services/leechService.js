@@ -0,0 +1,97 @@
+const config = require('../../config/config');
+
+/**
+ * Leeches: cards a user keeps failing.
+ *
+ * The scheduler sends a failed card back within the hour however often it
+ * happens, so such words can churn forever without anyone noticing. A card
+ * becomes a leech when its lapses (forgotten after being learned) or its
+ * total "Again" answers reach a threshold; leech_at on flashcard_progress
+ * marks it. After recoveryRepetitions correct reviews in a row it's taken
+ * off the list again.
+ */
+class LeechService {
+  constructor() {
+    this.settings = config.srs.leeches;
+    this.deckLabel = 'Trouble words';
+  }
+
+  isLeech(card) {
+    return (card.lapses || 0) >= this.settings.lapses ||
+      (card.times_incorrect || 0) >= this.settings.failures;
+  }
+
+  /**
+   * Flag or clear a card after a review. card holds the progress fields
+   * after the review; returns 'new', 'recovered' or null. The two
+   * directions of a word are separate cards, so only one may be a leech
+   */
+  update(db, userId, vocabularyId, card, direction = 'en_de') {
+    if (!card.leech_at && this.isLeech(card) && card.repetitions === 0) {
+      db.run(
+        "UPDATE flashcard_progress SET leech_at = datetime('now') WHERE user_id = ? AND vocabulary_id = ? AND direction = ?",
+        [userId, vocabularyId, direction]
+      );
+      return 'new';
+    }
+
+    if (card.leech_at && card.repetitions >= this.settings.recoveryRepetitions) {
+      db.run(
+        'UPDATE flashcard_progress SET leech_at = NULL WHERE user_id = ? AND vocabulary_id = ? AND direction = ?',
+        [userId, vocabularyId, direction]
+      );
+      return 'recovered';
+    }
+
+    return null;
+  }
+
+  /**
+   * The user's leeches, most troublesome first, as flashcard vocabulary
+   * rows with the direction they're troublesome in and their failure counts
+   */
+  getLeeches(db, userId, limit = 20) {
+    return db.all(`
+      SELECT v.id, v.german_word, v.english_translation, v.article, v.level, fp.direction,
+        fp.times_shown, fp.times_incorrect, COALESCE(fp.lapses, 0) as lapses, fp.leech_at
+      FROM flashcard_progress fp
+      JOIN vocabulary_simple v ON v.id = fp.vocabulary_id
+      WHERE fp.user_id = ? AND fp.leech_at IS NOT NULL
+      ORDER BY lapses DESC, fp.times_incorrect DESC, fp.leech_at
+      LIMIT ?
+    `, [userId, limit]);
+  }
+
+  count(db, userId) {
+    return db.get(
+      'SELECT COUNT(*) as count FROM flashcard_progress WHERE user_id = ? AND leech_at IS NOT NULL',
+      [userId]
+    ).count;
+  }
+
+  formatWord(word) {
+    return word.article ? `${word.article} ${word.german_word}` : word.german_word;
+  }
+
+  // German → English cards are the less common way round, so they're
+  // pointed out
+  formatDirection(word) {
+    return word.direction === 'de_en' ? ' · 🇩🇪 → 🇺🇸' : '';
+  }
+
+  /**
+   * Shown when a card has just become a leech; analysis is the cached
+   * word analysis, if any
+   */
+  formatNotice(word, analysis = null) {
+    const tip = analysis && !analysis.fallback && analysis.grammar_note
+      ? `\n\n💡 *Tip:* ${analysis.grammar_note}`
+      : '';
+
+    return `🩹 *Trouble word:* ${this.formatWord(word)} (${word.english_translation})${this.formatDirection(word)}
+
+This one keeps slipping away, so it's now in your *${this.deckLabel}* deck. Practice it on its own with /quiz → 🩹 Trouble Words.${tip}`;
+  }
+}
+
+module.exports = new LeechService();
@@ -0,0 +1,158 @@
+const answerGrader = require('./answerGrader');
+const utils = require('../utils/helpers');
+
+const UMLAUTS = { a: 'ä', o: 'ö', u: 'ü', A: 'Ä', O: 'Ö', U: 'Ü' };
+
+/**
+ * Plural classes of German nouns.
+ *
+ * Used by the plural drill to explain an answer, to build wrong choices
+ * and to group mistakes by class. Plurals are stored without their
+ * article, which is always die.
+ */
+class PluralRules {
+  constructor() {
+    this.classes = {
+      '-e': { pattern: '-e', hint: 'Adds -e, like der Hund → die Hunde' },
+      'umlaut + -e': { pattern: '¨-e', hint: 'Umlaut plus -e, like der Baum → die Bäume' },
+      '-er': { pattern: '-er', hint: 'Adds -er, like das Kind → die Kinder' },
+      'umlaut + -er': { pattern: '¨-er', hint: 'Umlaut plus -er, like das Haus → die Häuser' },
+      '-n/-en': { pattern: '-(e)n', hint: 'Adds -n or -en, like die Frau → die Frauen (most feminine nouns)' },
+      '-s': { pattern: '-s', hint: 'Adds -s, mostly loanwords and words ending in a vowel, like das Auto → die Autos' },
+      'no ending': { pattern: '-', hint: 'No ending, common for der/das nouns in -er, -el, -en, like der Lehrer → die Lehrer' },
+      'umlaut only': { pattern: '¨', hint: 'Only an umlaut, like der Vater → die Väter' },
+      'other': { pattern: '?', hint: 'Irregular or foreign plural - learn it with the noun' }
+    };
+  }
+
+  /**
+   * Find the plural class of a noun, e.g. ('Baum', 'Bäume') → 'umlaut + -e'
+   * For plurals with alternatives ("Pizzas/Pizzen") the first one counts
+   */
+  classify(singular, plural) {
+    const first = plural.split('/')[0].trim();
+    let umlaut = false;
+    let ending;
+
+    if (first.startsWith(singular)) {
+      ending = first.slice(singular.length);
+    } else if (this.removeUmlauts(first).startsWith(this.removeUmlauts(singular)) &&
+               this.removeUmlauts(first) !== first) {
+      umlaut = true;
+      ending = first.slice(singular.length);
+    } else {
+      return 'other';
+    }
+
+    // Doubled consonants and -in → -innen don't make a class of their own
+    if (/s$/.test(singular) && ending === 'se') ending = 'e';
+    if (/in$/.test(singular) && ending === 'nen') ending = 'en';
+
+    if (umlaut) {
+      if (ending === 'e') return 'umlaut + -e';
+      if (ending === 'er') return 'umlaut + -er';
+      if (ending === '') return 'umlaut only';
+      return 'other';
+    }
+
+    if (ending === 'e') return '-e';
+    if (ending === 'er') return '-er';
+    if (ending === 'n' || ending === 'en') return '-n/-en';
+    if (ending === 's') return '-s';
+    if (ending === '') return 'no ending';
+    return 'other';
+  }
+
+  /**
+   * Describe a noun's plural: its class, the short pattern ("¨-e") and a hint
+   */
+  describe(singular, plural) {
+    const key = this.classify(singular, plural);
+    return { key, ...this.classes[key] };
+  }
+
+  /**
+   * Group wrongly answered nouns by plural class, most mistakes first
+   */
+  groupMistakes(mistakes) {
+    const groups = {};
+
+    mistakes.forEach(mistake => {
+      const { key, pattern } = this.describe(mistake.german_word, mistake.plural);
+      if (!groups[key]) {
+        groups[key] = { key, pattern, count: 0, words: [] };
+      }
+      groups[key].count += mistake.count || 1;
+      groups[key].words.push(`${mistake.german_word} → ${mistake.plural}`);
+    });
+
+    return Object.values(groups).sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Grade a typed plural. The article is optional but has to be die;
+   * ae/oe/ue/ss count as umlauts and ß, but typos don't pass since a
+   * missing umlaut or ending is exactly what's being drilled
+   */
+  grade(input, plural) {
+    const words = answerGrader.normalizeInput(input).split(' ');
+    if (words.length > 1 && ['der', 'die', 'das'].includes(words[0].toLowerCase())) {
+      if (words.shift().toLowerCase() !== 'die') {
+        return { isCorrect: false, articleResult: 'wrong' };
+      }
+    }
+
+    const answer = answerGrader.fold(words.join(' '));
+    const isCorrect = plural.split('/')
+      .some(candidate => answerGrader.fold(candidate.trim()) === answer);
+
+    return { isCorrect, articleResult: 'ok' };
+  }
+
+  /**
+   * Up to `count` answer options: the plural plus wrong ones made by
+   * applying other classes to the singular, shuffled
+   */
+  makeChoices(singular, plural, count = 4) {
+    const correct = plural.split('/').map(candidate => candidate.trim());
+    const endsInE = /e$/.test(singular);
+    const umlauted = this.addUmlaut(singular);
+    const candidates = [
+      endsInE ? null : `${singular}e`,
+      endsInE ? `${singular}r` : `${singular}er`,
+      /(e|el|er)$/.test(singular) ? `${singular}n` : `${singular}en`,
+      `${singular}s`,
+      singular,
+      umlauted ? `${umlauted}e` : null,
+      umlauted ? `${umlauted}er` : null,
+      umlauted
+    ];
+
+    const wrong = [...new Set(candidates.filter(candidate => candidate && !correct.includes(candidate)))];
+    const choices = [correct[0], ...utils.shuffleArray(wrong).slice(0, count - 1)];
+    return utils.shuffleArray(choices);
+  }
+
+  // Umlaut on the stem's last a, o or u (au → äu), skipping an -el, -er
+  // or -en ending (Apfel → Äpfel), or null if there is none (Auto, Museum)
+  addUmlaut(word) {
+    const suffix = (word.match(/(el|er|en)$/) || [''])[0];
+    const stem = word.slice(0, word.length - suffix.length);
+    const match = stem.match(/^(.*?)(au|[aou])([^aeiouäöüy]+)$/i);
+    if (!match || /e$/i.test(match[1])) return null;
+
+    const [, start, vowel, rest] = match;
+    const umlauted = vowel.length === 2
+      ? `${UMLAUTS[vowel[0]]}${vowel[1]}`
+      : UMLAUTS[vowel];
+    return `${start}${umlauted}${rest}${suffix}`;
+  }
+
+  removeUmlauts(word) {
+    return word
+      .replace(/ä/g, 'a').replace(/ö/g, 'o').replace(/ü/g, 'u')
+      .replace(/Ä/g, 'A').replace(/Ö/g, 'O').replace(/Ü/g, 'U');
+  }
+}
+
+module.exports = new PluralRules();
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const wordAnalyzer = require('./wordAnalyzer');
+const config = require('../../config/config');
+
+/**
+ * Stores noun plurals in vocabulary_simple for the plural drill.
+ *
+ * Plurals come from the bundled lexicon (vocabulary/plurals.csv) or the
+ * LLM. Exact lexicon entries are approved straight away. Compounds get the
+ * plural of their last part from the lexicon (Krankenhaus → Krankenhäuser)
+ * and LLM answers are guesses too, so both wait as 'pending' until an
+ * admin approves or corrects them with /plurals. Only approved plurals are
+ * drilled.
+ */
+class PluralService {
+  constructor() {
+    this.settings = config.vocabulary.pluralFill;
+    this.isRunning = false;
+  }
+
+  /**
+   * Read the lexicon into a Map of german_word → { article, plural }
+   * Lines look like "der Hund,die Hunde"; a "-" plural means none
+   */
+  loadLexicon(filePath = this.settings.lexiconPath) {
+    const lexicon = new Map();
+    const lines = fs.readFileSync(path.resolve(filePath), 'utf8').split('\n');
+
+    lines.forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const [singular, plural] = trimmed.split(',').map(part => part.trim());
+      const [article, ...word] = singular.split(' ');
+      if (!plural || word.length === 0) return;
+
+      lexicon.set(word.join(' '), {
+        article,
+        plural: plural === '-' ? null : plural.replace(/^die\s+/, '')
+      });
+    });
+
+    return lexicon;
+  }
+
+  /**
+   * Fill plurals from the lexicon for nouns that have none yet or only a
+   * guessed one. Returns { approved, none, compounds, unmatched }
+   */
+  fillFromLexicon(db, filePath = this.settings.lexiconPath) {
+    const lexicon = this.loadLexicon(filePath);
+    const heads = [...lexicon.keys()].sort((a, b) => b.length - a.length);
+    const report = { approved: 0, none: 0, compounds: 0, unmatched: 0 };
+
+    const nouns = db.all(`
+      SELECT id, german_word, article FROM vocabulary_simple
+      WHERE article IS NOT NULL AND (plural_status IS NULL OR plural_status = 'pending')
+    `);
+
+    nouns.forEach(noun => {
+      const entry = lexicon.get(noun.german_word);
+      if (entry && entry.article === noun.article) {
+        this.store(db, noun.id, entry.plural, entry.plural ? 'approved' : 'none', 'lexicon');
+        report[entry.plural ? 'approved' : 'none']++;
+        return;
+      }
+
+      const compound = this.guessCompound(noun, lexicon, heads);
+      if (compound !== undefined) {
+        this.store(db, noun.id, compound, 'pending', 'compound');
+        report.compounds++;
+      } else {
+        report.unmatched++;
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Plural of a compound from its last part, e.g. Krankenhaus from Haus.
+   * The last part has to be a lexicon noun of at least 3 letters with the
+   * same article, after a first part of at least 3 letters (so Sport isn't
+   * read as Sp + Ort). Returns undefined when nothing matches and null
+   * when the last part has no plural
+   */
+  guessCompound(noun, lexicon, heads) {
+    const word = noun.german_word;
+
+    for (const head of heads) {
+      const prefix = word.slice(0, word.length - head.length);
+      if (head.length < 3 || prefix.replace(/-$/, '').length < 3) continue;
+
+      // The last part is lowercase inside a compound unless it follows a hyphen
+      const part = prefix.endsWith('-') ? head : head.charAt(0).toLowerCase() + head.slice(1);
+      if (!word.endsWith(part)) continue;
+
+      const entry = lexicon.get(head);
+      if (entry.article !== noun.article) continue;
+      if (!entry.plural) return null;
+
+      return entry.plural.split('/')
+        .map(plural => prefix + (prefix.endsWith('-') ? plural : plural.charAt(0).toLowerCase() + plural.slice(1)))
+        .join('/');
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Ask the LLM for plurals of nouns nobody has looked at yet, in batches
+   * Returns { filled, failed, counts }
+   */
+  async fillFromLLM(db, { maxWords = this.settings.maxWordsPerRun, delayMs = this.settings.delayMs } = {}) {
+    if (this.isRunning) {
+      throw new Error('A plural fill is already running');
+    }
+
+    this.isRunning = true;
+    const report = { filled: 0, failed: [] };
+
+    try {
+      const nouns = db.all(`
+        SELECT id, german_word, article, level FROM vocabulary_simple
+        WHERE article IS NOT NULL AND plural_status IS NULL
+        ORDER BY level, id
+        LIMIT ?
+      `, [maxWords]);
+
+      for (let i = 0; i < nouns.length; i += this.settings.batchSize) {
+        const batch = nouns.slice(i, i + this.settings.batchSize);
+
+        try {
+          const plurals = await wordAnalyzer.getPlurals(batch);
+          batch.forEach(noun => {
+            if (noun.german_word in plurals) {
+              this.store(db, noun.id, plurals[noun.german_word], 'pending', 'llm');
+              report.filled++;
+            } else {
+              report.failed.push({ ...noun, reason: 'Missing from the LLM answer' });
+            }
+          });
+        } catch (error) {
+          batch.forEach(noun => report.failed.push({ ...noun, reason: error.message }));
+        }
+
+        if (i + this.settings.batchSize < nouns.length) {
+          await wordAnalyzer.delay(delayMs);
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    report.counts = this.getStatusCounts(db);
+    return report;
+  }
+
+  store(db, vocabularyId, plural, status, source) {
+    return db.run(
+      'UPDATE vocabulary_simple SET plural = ?, plural_status = ?, plural_source = ? WHERE id = ?',
+      [plural, status, source, vocabularyId]
+    );
+  }
+
+  /**
+   * Number of nouns per plural status: approved, pending, none and unknown
+   */
+  getStatusCounts(db) {
+    const counts = { approved: 0, pending: 0, none: 0, unknown: 0 };
+
+    db.all(`
+      SELECT COALESCE(plural_status, 'unknown') as status, COUNT(*) as count
+      FROM vocabulary_simple
+      WHERE article IS NOT NULL
+      GROUP BY COALESCE(plural_status, 'unknown')
+    `).forEach(row => {
+      counts[row.status] = row.count;
+    });
+
+    return counts;
+  }
+
+  /**
+   * The next guessed plural waiting for review after the given id
+   */
+  getNextPending(db, afterId = 0) {
+    return db.get(`
+      SELECT id, german_word, english_translation, article, level, plural, plural_source
+      FROM vocabulary_simple
+      WHERE plural_status = 'pending' AND id > ?
+      ORDER BY id
+      LIMIT 1
+    `, [afterId]) || null;
+  }
+
+  getNoun(db, vocabularyId) {
+    return db.get(
+      'SELECT id, german_word, english_translation, article, level, plural, plural_status, plural_source FROM vocabulary_simple WHERE id = ?',
+      [vocabularyId]
+    ) || null;
+  }
+
+  // Plural shown on flashcards; guessed ones stay hidden until approved
+  getApprovedPlural(db, vocabularyId) {
+    const row = db.get(
+      "SELECT plural FROM vocabulary_simple WHERE id = ? AND plural_status = 'approved'",
+      [vocabularyId]
+    );
+    return row ? row.plural : null;
+  }
+
+  // Accept a guessed plural as it is
+  approve(db, vocabularyId) {
+    return db.run(`
+      UPDATE vocabulary_simple
+      SET plural_status = CASE WHEN plural IS NULL THEN 'none' ELSE 'approved' END
+      WHERE id = ?
+    `, [vocabularyId]);
+  }
+
+  /**
+   * Set a plural by hand: "Häuser", "die Häuser", "Pizzas/Pizzen", or "-"
+   * for none. Returns the stored plural (null for none)
+   */
+  setPlural(db, vocabularyId, input) {
+    const plural = input.trim().replace(/^die\s+/i, '').replace(/\s*\/\s*/g, '/');
+
+    if (plural === '-' || plural === '') {
+      this.markNone(db, vocabularyId);
+      return null;
+    }
+
+    this.store(db, vocabularyId, plural, 'approved', 'admin');
+    return plural;
+  }
+
+  markNone(db, vocabularyId) {
+    return this.store(db, vocabularyId, null, 'none', 'admin');
+  }
+}
+
+module.exports = new PluralService();
@@ -0,0 +1,121 @@
+/**
+ * FSRS (Free Spaced Repetition Scheduler), version 4.5 with default weights.
+ *
+ * Models each card by its stability (days until recall probability drops
+ * to the target retention) and difficulty (1-10), and schedules the next
+ * review for when recall is predicted to fall to the requested retention.
+ */
+const DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+
+class FSRSEngine {
+  constructor(options = {}) {
+    this.name = 'fsrs';
+    this.w = options.weights || DEFAULT_WEIGHTS;
+    this.requestRetention = options.requestRetention || 0.9;
+    this.relearnMinutes = options.relearnMinutes || 60;
+    this.maxIntervalDays = options.maxIntervalDays || 365;
+  }
+
+  schedule(card, rating, now = new Date()) {
+    const repetitions = card.repetitions || 0;
+    const lapses = card.lapses || 0;
+    let stability = card.stability;
+    let difficulty = card.difficulty;
+
+    if (!stability && repetitions === 0) {
+      // First review of a new card
+      stability = this.w[rating - 1];
+      difficulty = this.initDifficulty(rating);
+    } else {
+      // Cards scheduled by SM-2 (or migrated) have no FSRS state yet;
+      // start from their current interval
+      if (!stability) stability = Math.max(card.interval_days || 0, this.w[2]);
+      if (!difficulty) difficulty = this.initDifficulty(3);
+
+      const retrievability = this.retrievability(this.elapsedDays(card.last_shown, now), stability);
+      const lastDifficulty = difficulty;
+
+      difficulty = this.nextDifficulty(lastDifficulty, rating);
+      stability = rating === 1
+        ? this.nextForgetStability(lastDifficulty, stability, retrievability)
+        : this.nextRecallStability(lastDifficulty, stability, retrievability, rating);
+    }
+
+    if (rating === 1) {
+      return {
+        stability,
+        difficulty,
+        interval_days: 0,
+        repetitions: 0,
+        lapses: repetitions > 0 ? lapses + 1 : lapses,
+        dueInMinutes: this.relearnMinutes
+      };
+    }
+
+    const interval = this.nextInterval(stability);
+    return {
+      stability,
+      difficulty,
+      interval_days: interval,
+      repetitions: repetitions + 1,
+      lapses,
+      dueInMinutes: interval * 24 * 60
+    };
+  }
+
+  initDifficulty(rating) {
+    return this.clampDifficulty(this.w[4] - (rating - 3) * this.w[5]);
+  }
+
+  nextDifficulty(difficulty, rating) {
+    const next = difficulty - this.w[6] * (rating - 3);
+    // Mean reversion towards the difficulty of an "easy" new card
+    return this.clampDifficulty(this.w[7] * this.initDifficulty(4) + (1 - this.w[7]) * next);
+  }
+
+  nextRecallStability(difficulty, stability, retrievability, rating) {
+    const hardPenalty = rating === 2 ? this.w[15] : 1;
+    const easyBonus = rating === 4 ? this.w[16] : 1;
+    return stability * (1 +
+      Math.exp(this.w[8]) *
+      (11 - difficulty) *
+      Math.pow(stability, -this.w[9]) *
+      (Math.exp(this.w[10] * (1 - retrievability)) - 1) *
+      hardPenalty *
+      easyBonus);
+  }
+
+  nextForgetStability(difficulty, stability, retrievability) {
+    return this.w[11] *
+      Math.pow(difficulty, -this.w[12]) *
+      (Math.pow(stability + 1, this.w[13]) - 1) *
+      Math.exp(this.w[14] * (1 - retrievability));
+  }
+
+  retrievability(elapsedDays, stability) {
+    return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+  }
+
+  nextInterval(stability) {
+    const interval = stability / FACTOR * (Math.pow(this.requestRetention, 1 / DECAY) - 1);
+    return Math.min(Math.max(Math.round(interval), 1), this.maxIntervalDays);
+  }
+
+  elapsedDays(lastShown, now) {
+    if (!lastShown) return 0;
+    // SQLite stores UTC timestamps as "YYYY-MM-DD HH:MM:SS"
+    const last = new Date(`${lastShown.replace(' ', 'T')}Z`);
+    return Math.max(0, (now - last) / (24 * 60 * 60 * 1000));
+  }
+
+  clampDifficulty(difficulty) {
+    return Math.min(Math.max(difficulty, 1), 10);
+  }
+}
+
+module.exports = FSRSEngine;
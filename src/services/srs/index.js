@@ -0,0 +1,50 @@
+const SM2Engine = require('./sm2');
+const FSRSEngine = require('./fsrs');
+const config = require('../../../config/config');
+
+const ENGINES = {
+  sm2: SM2Engine,
+  fsrs: FSRSEngine
+};
+
+/**
+ * Spaced-repetition scheduling for flashcards.
+ *
+ * Engines take the card's stored progress row and a rating and return the
+ * new scheduling fields plus how many minutes until the card is due.
+ * Register new algorithms in ENGINES and select them with SRS_ALGORITHM.
+ */
+class SRSScheduler {
+  constructor() {
+    this.RATINGS = { again: 1, hard: 2, good: 3, easy: 4 };
+
+    const algorithm = ENGINES[config.srs.algorithm] ? config.srs.algorithm : 'sm2';
+    if (algorithm !== config.srs.algorithm) {
+      console.warn(`Unknown SRS algorithm "${config.srs.algorithm}", using sm2`);
+    }
+
+    this.engine = new ENGINES[algorithm]({
+      relearnMinutes: config.srs.relearnMinutes,
+      maxIntervalDays: config.srs.maxIntervalDays,
+      requestRetention: config.srs.requestRetention
+    });
+  }
+
+  /**
+   * Schedule a card after a review
+   * rating: 'again' | 'hard' | 'good' | 'easy'
+   */
+  schedule(card, rating) {
+    const result = this.engine.schedule(card || {}, this.RATINGS[rating], new Date());
+
+    return {
+      ease_factor: card ? card.ease_factor : null,
+      stability: card ? card.stability : null,
+      difficulty: card ? card.difficulty : null,
+      ...result,
+      nextReview: `+${Math.round(result.dueInMinutes)} minutes`
+    };
+  }
+}
+
+module.exports = new SRSScheduler();
@@ -0,0 +1,69 @@
+/**
+ * SM-2 (SuperMemo 2) scheduling.
+ *
+ * Each card keeps an ease factor that grows with easy answers and shrinks
+ * with hard ones; the interval is multiplied by it after every success.
+ */
+class SM2Engine {
+  constructor(options = {}) {
+    this.name = 'sm2';
+    this.initialEase = 2.5;
+    this.minimumEase = 1.3;
+    this.relearnMinutes = options.relearnMinutes || 60;
+    this.maxIntervalDays = options.maxIntervalDays || 365;
+  }
+
+  schedule(card, rating) {
+    // SM-2 grades answers 0-5; anything below 3 counts as forgotten
+    const quality = { 1: 1, 2: 3, 3: 4, 4: 5 }[rating];
+    const previousEase = card.ease_factor || this.initialEase;
+    const repetitions = card.repetitions || 0;
+    const interval = card.interval_days || 0;
+    const lapses = card.lapses || 0;
+
+    const easeFactor = Math.max(
+      this.minimumEase,
+      Math.round((previousEase + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))) * 100) / 100
+    );
+
+    if (quality < 3) {
+      return {
+        // Failing a card that is still being learned doesn't cost ease
+        ease_factor: repetitions > 0 ? easeFactor : previousEase,
+        interval_days: 0,
+        repetitions: 0,
+        // Only forgetting a card that was already learned is a lapse
+        lapses: repetitions > 0 ? lapses + 1 : lapses,
+        dueInMinutes: this.relearnMinutes
+      };
+    }
+
+    let nextInterval;
+    if (repetitions === 0) {
+      nextInterval = 1;
+    } else if (repetitions === 1) {
+      nextInterval = 6;
+    } else {
+      nextInterval = Math.round(interval * easeFactor);
+    }
+
+    // Plain SM-2 only lets the grade move the ease, so hard and easy answers
+    // also stretch or shrink this interval (as Anki does)
+    if (quality === 3) {
+      nextInterval = repetitions === 0 ? 0.5 : Math.max(1, Math.round(interval * 1.2));
+    } else if (quality === 5) {
+      nextInterval = repetitions === 0 ? 4 : Math.round(nextInterval * 1.3);
+    }
+    nextInterval = Math.min(nextInterval, this.maxIntervalDays);
+
+    return {
+      ease_factor: easeFactor,
+      interval_days: nextInterval,
+      repetitions: repetitions + 1,
+      lapses,
+      dueInMinutes: nextInterval * 24 * 60
+    };
+  }
+}
+
+module.exports = SM2Engine;
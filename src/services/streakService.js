@@ -0,0 +1,185 @@
+const timezones = require('../utils/timezones');
+const utils = require('../utils/helpers');
+const config = require('../../config/config');
+
+/**
+ * Daily activity ledger and streaks.
+ *
+ * Every answer, in flashcards or quizzes, is counted in daily_activity
+ * under the user's local date. A streak is a run of consecutive days with
+ * answers. Answering freezeGoalMultiplier times the daily goal earns a
+ * streak freeze (up to maxFreezes); when a user comes back after missing
+ * days, freezes are used to bridge the gap. Bridged days keep the streak
+ * alive but don't add to it.
+ */
+class StreakService {
+  constructor() {
+    this.settings = config.streaks;
+  }
+
+  /**
+   * Count one answer for today, noting the goals in effect for the goal
+   * history. Returns { answersToday, freezeEarned, freezesUsed }
+   */
+  recordAnswer(db, userId, isCorrect) {
+    const user = this.getUser(db, userId);
+    const today = timezones.getLocalDate(this.getTimezone(user));
+
+    const freezesUsed = this.applyFreezes(db, user, today);
+
+    db.run(`
+      INSERT INTO daily_activity (user_id, activity_date, answers, correct, daily_goal, weekly_goal)
+      VALUES (?, ?, 1, ?, ?, ?)
+      ON CONFLICT(user_id, activity_date) DO UPDATE SET
+        answers = answers + 1,
+        correct = correct + excluded.correct,
+        daily_goal = excluded.daily_goal,
+        weekly_goal = excluded.weekly_goal
+    `, [userId, today, isCorrect ? 1 : 0, user.daily_goal || 20, user.weekly_goal || 100]);
+
+    const { answers } = db.get(
+      'SELECT answers FROM daily_activity WHERE user_id = ? AND activity_date = ?',
+      [userId, today]
+    );
+    const freezeGoal = Math.ceil((user.daily_goal || 20) * this.settings.freezeGoalMultiplier);
+    const freezeEarned = this.freezesEnabled(user) &&
+      answers === freezeGoal &&
+      (user.streak_freezes || 0) - freezesUsed < this.settings.maxFreezes;
+
+    if (freezeEarned) {
+      db.run('UPDATE users SET streak_freezes = streak_freezes + 1 WHERE id = ?', [userId]);
+    }
+
+    return { answersToday: answers, freezeEarned, freezesUsed };
+  }
+
+  /**
+   * On the first answer of a day, bridge the days missed since the last
+   * active day with freezes, if there are enough of them
+   */
+  applyFreezes(db, user, today) {
+    if (!this.freezesEnabled(user)) return 0;
+
+    const last = db.get(`
+      SELECT MAX(activity_date) as day FROM daily_activity
+      WHERE user_id = ? AND activity_date <= ?
+    `, [user.id, today]).day;
+    if (!last || last === today) return 0;
+
+    const missed = this.daysBetween(last, today) - 1;
+    if (missed === 0 || missed > (user.streak_freezes || 0)) return 0;
+
+    for (let i = 1; i <= missed; i++) {
+      db.run(
+        'INSERT OR IGNORE INTO daily_activity (user_id, activity_date, frozen) VALUES (?, ?, 1)',
+        [user.id, this.addDays(last, i)]
+      );
+    }
+    db.run('UPDATE users SET streak_freezes = streak_freezes - ? WHERE id = ?', [missed, user.id]);
+
+    return missed;
+  }
+
+  /**
+   * { current, longest, goal, freezes, freezesEnabled, activeToday }
+   * A streak whose last day was before yesterday is still current if the
+   * user's freezes can bridge the gap once they answer again
+   */
+  getStreak(db, userId) {
+    const user = this.getUser(db, userId);
+    const today = timezones.getLocalDate(this.getTimezone(user));
+    const freezes = this.freezesEnabled(user) ? (user.streak_freezes || 0) : 0;
+
+    const days = db.all(`
+      SELECT activity_date, frozen FROM daily_activity
+      WHERE user_id = ? AND activity_date <= ?
+      ORDER BY activity_date
+    `, [userId, today]);
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    days.forEach(day => {
+      if (previous && this.daysBetween(previous, day.activity_date) !== 1) {
+        run = 0;
+      }
+      if (!day.frozen) {
+        run++;
+        longest = Math.max(longest, run);
+      }
+      previous = day.activity_date;
+    });
+
+    const missed = previous ? this.daysBetween(previous, today) - 1 : 0;
+    const current = previous && (missed <= 0 || missed <= freezes) ? run : 0;
+
+    return {
+      current,
+      longest,
+      goal: user.streak_goal || 7,
+      freezes,
+      freezesEnabled: this.freezesEnabled(user),
+      activeToday: previous === today && !days[days.length - 1].frozen
+    };
+  }
+
+  /**
+   * Streak and goal progress for /progress
+   */
+  formatStreak(streak) {
+    const lines = [
+      `🔥 *Streak:* ${this.formatDays(streak.current)} ${utils.generateStreakEmoji(streak.current)} (best: ${this.formatDays(streak.longest)})`,
+      `🏁 Streak goal: ${utils.generateProgressBar(Math.min(streak.current, streak.goal), streak.goal)} ${Math.min(streak.current, streak.goal)}/${streak.goal} days`
+    ];
+
+    if (streak.freezesEnabled) {
+      lines.push(`🧊 Streak freezes: ${streak.freezes}/${this.settings.maxFreezes}`);
+    }
+    if (streak.current > 0 && !streak.activeToday) {
+      lines.push('⏳ Practice today to keep your streak!');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One line for session summaries
+   */
+  formatSummaryLine(db, userId) {
+    const streak = this.getStreak(db, userId);
+    const freezes = streak.freezesEnabled && streak.freezes > 0 ? ` • 🧊 ${streak.freezes}` : '';
+    return `🔥 Streak: ${this.formatDays(streak.current)} (goal ${streak.goal})${freezes}`;
+  }
+
+  formatDays(count) {
+    return `${count} ${count === 1 ? 'day' : 'days'}`;
+  }
+
+  getUser(db, userId) {
+    return db.get(`
+      SELECT u.id, u.language_code, u.streak_freezes,
+        us.timezone, us.daily_goal, us.weekly_goal, us.streak_goal, us.streak_freezes_enabled
+      FROM users u
+      LEFT JOIN user_settings us ON us.user_id = u.id
+      WHERE u.id = ?
+    `, [userId]);
+  }
+
+  getTimezone(user) {
+    return timezones.getUserTimezone(user, user.language_code);
+  }
+
+  freezesEnabled(user) {
+    return user.streak_freezes_enabled !== 0;
+  }
+
+  daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+  }
+
+  addDays(date, days) {
+    return new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+}
+
+module.exports = new StreakService();
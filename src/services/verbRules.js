@@ -0,0 +1,177 @@
+const answerGrader = require('./answerGrader');
+
+const SEIN_PRESENT = { ich: 'bin', du: 'bist', er: 'ist', wir: 'sind', ihr: 'seid' };
+const HABEN_PRESENT = { ich: 'habe', du: 'hast', er: 'hat', wir: 'haben', ihr: 'habt' };
+// Modal verbs and wissen: ich kann, like er kann
+const PRETERITE_PRESENTS = ['dürfen', 'können', 'mögen', 'müssen', 'sollen', 'wissen', 'wollen'];
+
+/**
+ * Conjugation of German verbs from their principal parts.
+ *
+ * A verb is stored as its infinitive plus the du and er present forms,
+ * the Präteritum (ich/er), the Partizip II and its auxiliary (see
+ * verbService). Everything else follows from those. Separable verbs keep
+ * their prefix split off in the stored forms ("zieht an", "zog an").
+ */
+class VerbRules {
+  constructor() {
+    // 'sie' (they) always matches 'wir', so it isn't asked
+    this.persons = {
+      ich: { label: 'ich', pronouns: ['ich'] },
+      du: { label: 'du', pronouns: ['du'] },
+      er: { label: 'er', pronouns: ['er', 'sie', 'es', 'man'] },
+      wir: { label: 'wir', pronouns: ['wir'] },
+      ihr: { label: 'ihr', pronouns: ['ihr'] }
+    };
+
+    this.tenses = {
+      praesens: 'Präsens',
+      praeteritum: 'Präteritum',
+      perfekt: 'Perfekt'
+    };
+  }
+
+  /**
+   * Every form the drill asks for, e.g. 'praesens_du'
+   */
+  getForms(tense = null) {
+    const tenses = tense ? [tense] : Object.keys(this.tenses);
+    return tenses.flatMap(t => Object.keys(this.persons).map(person => `${t}_${person}`));
+  }
+
+  // 'praesens_du' → 'du / Präsens'
+  describeForm(form) {
+    const [tense, person] = form.split('_');
+    return `${this.persons[person].label} / ${this.tenses[tense]}`;
+  }
+
+  /**
+   * Stem of the infinitive: fahren → fahr, sammeln → sammel, tun → tu
+   */
+  getStem(infinitive) {
+    if (/[^e]e[lr]n$/.test(infinitive) || /^e[lr]n$/.test(infinitive)) return infinitive.slice(0, -1);
+    if (infinitive.endsWith('en')) return infinitive.slice(0, -2);
+    return infinitive.replace(/n$/, '');
+  }
+
+  /**
+   * Whether endings need an extra e: arbeitest, öffnet, rechnete
+   */
+  needsLinkingE(stem) {
+    return /[td]$/.test(stem) || /(?:[^aeiouäöüylrmnh]|[^aeiouäöü]h)[mn]$/.test(stem);
+  }
+
+  /**
+   * Principal parts of a regular (weak) verb: machen → machst, macht,
+   * machte, gemacht. Verbs in -ieren take no ge-
+   */
+  getRegularParts(infinitive) {
+    const stem = this.getStem(infinitive);
+    const linking = this.needsLinkingE(stem);
+    const ending = linking ? 'et' : 't';
+
+    return {
+      present_du: stem + (linking ? 'est' : /[sßzx]$/.test(stem) ? 't' : 'st'),
+      present_er: stem + ending,
+      praeteritum: stem + (linking ? 'ete' : 'te'),
+      partizip: (infinitive.endsWith('ieren') ? '' : 'ge') + stem + ending,
+      auxiliary: 'haben'
+    };
+  }
+
+  /**
+   * A verb is irregular when any principal part differs from the
+   * regular pattern of its base verb (ankommen counts as kommen)
+   */
+  isIrregular(verb) {
+    const prefix = verb.separable_prefix;
+    const base = prefix ? verb.german_word.slice(prefix.length) : verb.german_word;
+    const regular = this.getRegularParts(base);
+
+    return this.stripPrefix(verb.present_er, prefix) !== regular.present_er ||
+      this.stripPrefix(verb.praeteritum, prefix) !== regular.praeteritum ||
+      !verb.partizip.endsWith(regular.partizip.replace(/^ge/, ''));
+  }
+
+  // 'zieht an' → 'zieht'
+  stripPrefix(form, prefix) {
+    return prefix ? form.replace(new RegExp(`\\s+${prefix}$`), '') : form;
+  }
+
+  /**
+   * Accepted answers for one form, the first being the one to show,
+   * e.g. (fahren, 'perfekt', 'du') → ['bist gefahren']
+   */
+  conjugate(verb, tense, person) {
+    const prefix = verb.separable_prefix;
+    const withPrefix = form => (prefix ? `${form} ${prefix}` : form);
+
+    if (tense === 'praesens') {
+      return [withPrefix(this.getPresent(verb, person))];
+    }
+
+    if (tense === 'praeteritum') {
+      return [withPrefix(this.getPast(this.stripPrefix(verb.praeteritum, prefix), person))];
+    }
+
+    return verb.auxiliary.split('/').map(auxiliary =>
+      `${(auxiliary === 'sein' ? SEIN_PRESENT : HABEN_PRESENT)[person]} ${verb.partizip}`
+    );
+  }
+
+  getPresent(verb, person) {
+    const prefix = verb.separable_prefix;
+    const infinitive = prefix ? verb.german_word.slice(prefix.length) : verb.german_word;
+    const er = this.stripPrefix(verb.present_er, prefix);
+
+    if (infinitive === 'sein') return SEIN_PRESENT[person];
+    if (person === 'du') return this.stripPrefix(verb.present_du, prefix);
+    if (person === 'er') return er;
+    if (person === 'wir') return infinitive;
+
+    const stem = this.getStem(infinitive);
+    if (person === 'ihr') return stem + (this.needsLinkingE(stem) ? 'et' : 't');
+
+    if (PRETERITE_PRESENTS.some(verb => infinitive.endsWith(verb))) return er;
+    // sammeln → ich sammle
+    if (/[^e]eln$/.test(infinitive)) return `${stem.slice(0, -2)}le`;
+    return `${stem}e`;
+  }
+
+  getPast(past, person) {
+    if (person === 'ich' || person === 'er') return past;
+
+    const endsInE = past.endsWith('e');
+    if (person === 'wir') return past + (endsInE ? 'n' : 'en');
+    if (person === 'du') return past + (endsInE ? 'st' : /[tdsßz]$/.test(past) ? 'est' : 'st');
+    return past + (endsInE || !/[td]$/.test(past) ? 't' : 'et');
+  }
+
+  /**
+   * Principal parts as learners know them: "fährt, fuhr, ist gefahren"
+   */
+  formatPrincipalParts(verb) {
+    const auxiliaries = verb.auxiliary.split('/').map(auxiliary => (auxiliary === 'sein' ? 'ist' : 'hat'));
+    return `${verb.present_er}, ${verb.praeteritum}, ${auxiliaries.join('/')} ${verb.partizip}`;
+  }
+
+  /**
+   * Grade a typed form. The pronoun may be typed or left out; umlauts can
+   * be written as ae/oe/ue but there is no typo tolerance
+   */
+  grade(input, verb, tense, person) {
+    const answers = this.conjugate(verb, tense, person);
+    const words = answerGrader.normalizeInput(input).split(' ');
+
+    if (words.length > 1 && this.persons[person].pronouns.includes(words[0].toLowerCase())) {
+      words.shift();
+    }
+
+    const answer = answerGrader.fold(words.join(' '));
+    const isCorrect = answers.some(candidate => answerGrader.fold(candidate) === answer);
+
+    return { isCorrect, expected: answers[0] };
+  }
+}
+
+module.exports = new VerbRules();
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const verbRules = require('./verbRules');
+const config = require('../../config/config');
+
+// Longest first, so herunterladen isn't read as her + unterladen
+const SEPARABLE_PREFIXES = [
+  'ab', 'an', 'auf', 'aus', 'bei', 'bereit', 'dabei', 'dazu', 'durch', 'durcheinander',
+  'ein', 'entlang', 'fern', 'fest', 'frei', 'glatt', 'gut', 'heim', 'her', 'heraus',
+  'herein', 'herum', 'herunter', 'hin', 'hinein', 'hoch', 'kaputt', 'kennen', 'leid', 'los',
+  'mit', 'nach', 'raus', 'rein', 'statt', 'teil', 'um', 'vor', 'vorbei', 'weg', 'weiter',
+  'weh', 'wieder', 'zu', 'zurecht', 'zurück', 'zusammen'
+].sort((a, b) => b.length - a.length);
+
+const INSEPARABLE_PREFIXES = [
+  'be', 'emp', 'ent', 'er', 'ge', 'hinter', 'miss', 'über', 'unter', 'ver', 'zer'
+].sort((a, b) => b.length - a.length);
+
+/**
+ * Stores the principal parts of verbs in verb_forms for the verb trainer.
+ *
+ * Forms come from the bundled lexicon (vocabulary/verbs.csv). Verbs made
+ * of a prefix and a lexicon verb are derived from it: ankommen from
+ * kommen, bekommen from kommen with no ge- in the Partizip II. Other
+ * verbs in -ieren are regular. Anything else is left out of the drill
+ * until it is added to the lexicon, rather than guessing from the -en
+ * ending (which would make verbs of gestern or zusammen).
+ */
+class VerbService {
+  constructor() {
+    this.settings = config.vocabulary.verbForms;
+  }
+
+  /**
+   * Read the lexicon into a Map of infinitive → principal parts
+   * Lines look like "fahren,fährst,fährt,fuhr,gefahren,sein"; empty fields
+   * are regular and the auxiliary defaults to haben. "gelegen,-" maps a
+   * word that isn't a verb to null
+   */
+  loadLexicon(filePath = this.settings.lexiconPath) {
+    const lexicon = new Map();
+    const lines = fs.readFileSync(path.resolve(filePath), 'utf8').split('\n');
+
+    lines.forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const [infinitive, ...fields] = trimmed.split(',').map(part => part.trim());
+      if (fields[0] === '-') {
+        lexicon.set(infinitive, null);
+        return;
+      }
+
+      const regular = verbRules.getRegularParts(infinitive);
+      const [presentDu, presentEr, praeteritum, partizip, auxiliary] = fields;
+      // "zieht an" → an
+      const separable = presentEr && presentEr.includes(' ') ? presentEr.split(' ').pop() : null;
+
+      lexicon.set(infinitive, this.makeVerb(infinitive, {
+        present_du: presentDu || regular.present_du,
+        present_er: presentEr || regular.present_er,
+        praeteritum: praeteritum || regular.praeteritum,
+        partizip: partizip || regular.partizip,
+        auxiliary: auxiliary || regular.auxiliary,
+        separable_prefix: separable
+      }, 'lexicon'));
+    });
+
+    return lexicon;
+  }
+
+  makeVerb(infinitive, parts, source) {
+    const verb = { german_word: infinitive, separable_prefix: null, ...parts, source };
+    verb.is_irregular = verbRules.isIrregular(verb) ? 1 : 0;
+    return verb;
+  }
+
+  /**
+   * Principal parts of a verb from the lexicon, or derived from a lexicon
+   * verb. Returns null for words that can't be resolved
+   */
+  resolve(word, lexicon) {
+    if (lexicon.has(word)) return lexicon.get(word);
+
+    for (const prefix of SEPARABLE_PREFIXES) {
+      const base = this.resolveBase(word, prefix, lexicon);
+      if (!base) continue;
+
+      return this.makeVerb(word, {
+        present_du: `${base.present_du} ${prefix}`,
+        present_er: `${base.present_er} ${prefix}`,
+        praeteritum: `${base.praeteritum} ${prefix}`,
+        partizip: prefix + base.partizip,
+        auxiliary: base.auxiliary,
+        separable_prefix: prefix
+      }, 'derived');
+    }
+
+    // Inseparable verbs drop the ge- and mostly take haben (bekommen, verlaufen);
+    // the ones with sein are in the lexicon
+    for (const prefix of INSEPARABLE_PREFIXES) {
+      const base = this.resolveBase(word, prefix, lexicon);
+      if (!base) continue;
+
+      return this.makeVerb(word, {
+        present_du: prefix + base.present_du,
+        present_er: prefix + base.present_er,
+        praeteritum: prefix + base.praeteritum,
+        partizip: prefix + base.partizip.replace(/^ge/, ''),
+        auxiliary: 'haben'
+      }, 'derived');
+    }
+
+    if (word.endsWith('ieren') && word.length > 6) {
+      return this.makeVerb(word, verbRules.getRegularParts(word), 'derived');
+    }
+
+    return null;
+  }
+
+  /**
+   * The verb after a prefix, which can't be separable itself. Verbs in
+   * -ieren only count as a base when they are in the lexicon, so
+   * abonnieren isn't read as ab + onnieren
+   */
+  resolveBase(word, prefix, lexicon) {
+    const rest = word.slice(prefix.length);
+    if (!word.startsWith(prefix) || rest.length < 4) return null;
+    if (rest.endsWith('ieren') && !lexicon.get(rest)) return null;
+
+    const base = this.resolve(rest, lexicon);
+    return base && !base.separable_prefix ? base : null;
+  }
+
+  /**
+   * Words that could be verbs: one lowercase word without an article
+   */
+  getCandidates(db) {
+    return db.all('SELECT id, german_word, level FROM vocabulary_simple WHERE article IS NULL')
+      .filter(word => /^[a-zäöüß]+n$/.test(word.german_word));
+  }
+
+  /**
+   * Store principal parts for every vocabulary verb the lexicon knows
+   * Returns { lexicon, derived, unmatched } where unmatched lists the -n
+   * words that weren't recognised
+   */
+  fillFromLexicon(db, filePath = this.settings.lexiconPath) {
+    const lexicon = this.loadLexicon(filePath);
+    const report = { lexicon: 0, derived: 0, unmatched: [] };
+
+    this.getCandidates(db).forEach(word => {
+      const verb = this.resolve(word.german_word, lexicon);
+      if (!verb) {
+        report.unmatched.push(word);
+        return;
+      }
+
+      this.store(db, word.id, verb);
+      report[verb.source]++;
+    });
+
+    return report;
+  }
+
+  store(db, vocabularyId, verb) {
+    return db.run(`
+      INSERT INTO verb_forms (
+        vocabulary_id, present_du, present_er, praeteritum, partizip,
+        auxiliary, separable_prefix, is_irregular, source, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(vocabulary_id) DO UPDATE SET
+        present_du = excluded.present_du,
+        present_er = excluded.present_er,
+        praeteritum = excluded.praeteritum,
+        partizip = excluded.partizip,
+        auxiliary = excluded.auxiliary,
+        separable_prefix = excluded.separable_prefix,
+        is_irregular = excluded.is_irregular,
+        source = excluded.source,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      vocabularyId, verb.present_du, verb.present_er, verb.praeteritum, verb.partizip,
+      verb.auxiliary, verb.separable_prefix, verb.is_irregular, verb.source
+    ]);
+  }
+
+  /**
+   * Number of stored verbs: total, irregular and separable
+   */
+  getStatusCounts(db) {
+    return db.get(`
+      SELECT COUNT(*) as verbs,
+             COALESCE(SUM(is_irregular), 0) as irregular,
+             COUNT(separable_prefix) as separable
+      FROM verb_forms
+    `);
+  }
+
+  // Stored forms with the infinitive, as verbRules expects them
+  getVerb(db, vocabularyId) {
+    return db.get(`
+      SELECT v.id, v.german_word, v.english_translation, v.level, vf.*
+      FROM verb_forms vf
+      JOIN vocabulary_simple v ON vf.vocabulary_id = v.id
+      WHERE vf.vocabulary_id = ?
+    `, [vocabularyId]) || null;
+  }
+}
+
+module.exports = new VerbService();
@@ -0,0 +1,155 @@
+const timezones = require('../utils/timezones');
+const utils = require('../utils/helpers');
+const streakService = require('./streakService');
+
+/**
+ * Weekly learning report built from flashcard reviews.
+ *
+ * Covers the last 7 days and compares them with the 7 days before. Days
+ * (days practiced, due forecast) are counted in the user's local time
+ * zone; the streak comes from the daily activity ledger. Quiz sessions
+ * are included as a separate line when the user took any.
+ */
+class WeeklyReport {
+  constructor() {
+    this.forecastDays = 7;
+  }
+
+  build(db, userId, timeZone) {
+    const offset = timezones.getSqlOffset(timeZone);
+    const thisWeek = this.getReviewStats(db, userId, offset, '-7 days');
+    const lastWeek = this.getReviewStats(db, userId, offset, '-14 days', '-7 days');
+    const quiz = this.getQuizStats(db, userId);
+
+    const accuracy = this.getAccuracy(thisWeek);
+    const lastAccuracy = lastWeek.reviews > 0 ? this.getAccuracy(lastWeek) : null;
+    const streak = streakService.getStreak(db, userId).current;
+
+    return {
+      hasActivity: thisWeek.reviews > 0 || quiz.questions > 0,
+      reviews: thisWeek.reviews,
+      reviewsChange: thisWeek.reviews - lastWeek.reviews,
+      newWords: thisWeek.new_words,
+      promotions: thisWeek.promotions,
+      mastered: thisWeek.mastered,
+      accuracy,
+      accuracyChange: lastAccuracy === null ? null : accuracy - lastAccuracy,
+      // A rolling week can touch 8 calendar days
+      daysPracticed: Math.min(7, thisWeek.days),
+      streak,
+      quizQuestions: quiz.questions,
+      quizAccuracy: utils.calculateAccuracy(quiz.correct, quiz.questions),
+      forecast: this.getDueForecast(db, userId, timeZone),
+      insights: utils.generateWeeklyInsights({
+        totalSessions: thisWeek.sessions,
+        averageAccuracy: accuracy,
+        improvementRate: lastAccuracy === null ? 0 : accuracy - lastAccuracy,
+        consistentDays: thisWeek.days
+      })
+    };
+  }
+
+  /**
+   * Review counts from an offset like '-7 days' until now, or until the
+   * to offset if given
+   */
+  getReviewStats(db, userId, sqlOffset, from, to = null) {
+    return db.get(`
+      SELECT
+        COUNT(*) as reviews,
+        COALESCE(SUM(grade != 'again'), 0) as correct,
+        COALESCE(SUM(interval_before IS NULL), 0) as new_words,
+        COALESCE(SUM(mastery_after > mastery_before), 0) as promotions,
+        COALESCE(SUM(mastery_after = 5 AND mastery_before < 5), 0) as mastered,
+        COUNT(DISTINCT date(reviewed_at, ?)) as days,
+        COUNT(DISTINCT session_id) as sessions
+      FROM flashcard_reviews
+      WHERE user_id = ?
+        AND reviewed_at >= datetime('now', ?)
+        ${to ? "AND reviewed_at < datetime('now', ?)" : ''}
+    `, [sqlOffset, userId, from, ...(to ? [to] : [])]);
+  }
+
+  getQuizStats(db, userId) {
+    return db.get(`
+      SELECT
+        COALESCE(SUM(total_questions), 0) as questions,
+        COALESCE(SUM(correct_answers), 0) as correct
+      FROM quiz_sessions
+      WHERE user_id = ? AND completed_at >= datetime('now', '-7 days')
+    `, [userId]);
+  }
+
+  getAccuracy(stats) {
+    return utils.calculateAccuracy(stats.correct, stats.reviews);
+  }
+
+  /**
+   * Cards coming due on each of the next days; overdue cards count for today
+   */
+  getDueForecast(db, userId, timeZone) {
+    const rows = db.all(`
+      SELECT date(next_review, ?) as day, COUNT(*) as count
+      FROM flashcard_progress
+      WHERE user_id = ? AND next_review IS NOT NULL
+      GROUP BY day
+    `, [timezones.getSqlOffset(timeZone), userId]);
+
+    const today = timezones.getLocalDate(timeZone);
+    const counts = {};
+    rows.forEach(row => {
+      const day = row.day < today ? today : row.day;
+      counts[day] = (counts[day] || 0) + row.count;
+    });
+
+    const forecast = [];
+    for (let i = 0; i < this.forecastDays; i++) {
+      const date = new Date(Date.now() + i * 24 * 60 * 60 * 1000);
+      const day = timezones.getLocalDate(timeZone, date);
+      forecast.push({
+        label: i === 0 ? 'Today' : date.toLocaleDateString('en-US', { weekday: 'short', timeZone }),
+        count: counts[day] || 0
+      });
+    }
+
+    return forecast;
+  }
+
+  formatChange(change, suffix = '') {
+    if (change === null) return '';
+    if (change === 0) return ' (same as last week)';
+    return ` (${change > 0 ? '▲' : '▼'} ${Math.abs(change)}${suffix} vs last week)`;
+  }
+
+  /**
+   * Markdown message for a report from build()
+   */
+  format(report) {
+    const lines = [
+      '📅 *Your Week in German*',
+      '',
+      `🎴 Cards reviewed: ${report.reviews}${this.formatChange(report.reviewsChange)}`,
+      `🌱 New words: ${report.newWords}`,
+      `⬆️ Mastery promotions: ${report.promotions}${report.mastered > 0 ? ` (${report.mastered} mastered)` : ''}`
+    ];
+
+    if (report.reviews > 0) {
+      lines.push(`🎯 Accuracy: ${report.accuracy}%${this.formatChange(report.accuracyChange, '%')}`);
+    }
+    lines.push(`🔥 Streak: ${report.streak} ${report.streak === 1 ? 'day' : 'days'} • practiced ${report.daysPracticed}/7 days`);
+
+    if (report.quizQuestions > 0) {
+      lines.push(`📝 Quiz questions: ${report.quizQuestions} (${report.quizAccuracy}% correct)`);
+    }
+
+    const totalDue = report.forecast.reduce((sum, day) => sum + day.count, 0);
+    lines.push('', `📆 *Coming up:* ${totalDue} ${totalDue === 1 ? 'card' : 'cards'} due this week`);
+    lines.push(report.forecast.map(day => `${day.label} ${day.count}`).join(' • '));
+
+    lines.push('', ...report.insights);
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new WeeklyReport();
@@ -25,6 +25,9 @@ class WordAnalyzer {
     };
     
     this.defaultProvider = process.env.LLM_PROVIDER || 'ollama';
+
+    // Bump when buildAnalysisPrompt changes so cached analyses get regenerated
+    this.promptVersion = 1;
   }
 
   /**
@@ -39,7 +42,10 @@ class WordAnalyzer {
     } catch (error) {
       console.error(`Word analysis failed for "${germanWord}": ${error.message}`);
       console.log('💡 Using fallback analysis - configure LLM provider in .env for better results');
-      return this.getFallbackAnalysis(germanWord, englishTranslation);
+      return {
+        ...this.getFallbackAnalysis(germanWord, englishTranslation),
+        fallback_reason: error.message
+      };
     }
   }
 
@@ -308,7 +314,7 @@ Respond with ONLY the JSON, no other text.
   /**
    * Batch analyze multiple words (for efficient processing)
    */
-  async analyzeWordBatch(wordPairs, userLevel = 'A1') {
+  async analyzeWordBatch(wordPairs, userLevel = 'A1', delayMs = 500) {
     const results = [];
     const errors = [];
     
@@ -321,7 +327,7 @@ Respond with ONLY the JSON, no other text.
         });
         
         // Small delay to be respectful to APIs
-        await this.delay(500);
+        await this.delay(delayMs);
       } catch (error) {
         errors.push({
           german_word: germanWord,
@@ -334,6 +340,54 @@ Respond with ONLY the JSON, no other text.
     return { results, errors };
   }
 
+  /**
+   * Ask for the plurals of several nouns at once. nouns are vocabulary rows
+   * with german_word and article; returns { german_word: plural } where the
+   * plural has no article and is null for nouns without one. Nouns missing
+   * from the answer are left out
+   */
+  async getPlurals(nouns) {
+    const response = await this.callLLM(this.buildPluralPrompt(nouns));
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Invalid LLM response: No JSON found in response');
+    }
+
+    const answer = JSON.parse(jsonMatch[0]);
+    const plurals = {};
+
+    nouns.forEach(noun => {
+      const plural = answer[`${noun.article} ${noun.german_word}`] ?? answer[noun.german_word];
+      if (typeof plural !== 'string' || !plural.trim()) return;
+
+      const cleaned = plural.trim().replace(/^die\s+/i, '');
+      plurals[noun.german_word] = cleaned === '-' ? null : cleaned;
+    });
+
+    return plurals;
+  }
+
+  buildPluralPrompt(nouns) {
+    return `
+You are a German teacher checking noun plurals for A1–B1 learners.
+
+Give the nominative plural of each noun below, as used in standard German today.
+
+Nouns:
+${nouns.map(noun => `- ${noun.article} ${noun.german_word}`).join('\n')}
+
+Provide ONLY a JSON object mapping each noun exactly as written above to its plural without the article, for example:
+{"der Hund": "Hunde", "das Haus": "Häuser", "die Milch": "-"}
+
+💡 Rules:
+- Use "-" for nouns that have no plural or are only used in the singular
+- If two plurals are common, give both separated by "/", most common first
+- Keep umlauts (ä, ö, ü) and ß
+
+Respond with ONLY the JSON, no other text.
+    `;
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,90 @@
+const utils = require('../utils/helpers');
+
+// Share of a correct card's XP per grade; 'again' still earns a little
+// for showing up
+const GRADE_FACTORS = {
+  again: 0.2,
+  hard: 0.8,
+  good: 1,
+  easy: 1.2
+};
+
+// Word level -> difficulty for helpers.getDifficultyMultiplier
+const LEVEL_DIFFICULTY = {
+  A1: 'easy',
+  A2: 'medium',
+  B1: 'hard'
+};
+
+/**
+ * Experience points and levels.
+ *
+ * Every flashcard answer earns XP, scaled by the word's level and the
+ * grade given; correct Blitz answers earn it as a "good" grade. XP is
+ * kept as a ledger in xp_events; the total decides the user's level.
+ * Reaching level n takes levelStep * n * (n - 1) / 2 XP, so each level
+ * needs levelStep more XP than the one before.
+ */
+class XpService {
+  constructor() {
+    this.levelStep = 100;
+  }
+
+  /**
+   * XP for one flashcard answer
+   */
+  forAnswer(grade, wordLevel) {
+    const base = utils.calculateXPGain(1, 1, LEVEL_DIFFICULTY[wordLevel] || 'hard');
+    return Math.max(1, Math.round(base * GRADE_FACTORS[grade]));
+  }
+
+  award(db, userId, amount, source, sessionId = null) {
+    return db.run(
+      'INSERT INTO xp_events (user_id, amount, source, session_id) VALUES (?, ?, ?, ?)',
+      [userId, amount, source, sessionId]
+    );
+  }
+
+  getTotal(db, userId) {
+    return db.get('SELECT COALESCE(SUM(amount), 0) as xp FROM xp_events WHERE user_id = ?', [userId]).xp;
+  }
+
+  getSessionXp(db, userId, source, sessionId) {
+    return db.get(`
+      SELECT COALESCE(SUM(amount), 0) as xp FROM xp_events
+      WHERE user_id = ? AND source = ? AND session_id = ?
+    `, [userId, source, sessionId]).xp;
+  }
+
+  getLevelStart(level) {
+    return this.levelStep * level * (level - 1) / 2;
+  }
+
+  /**
+   * { level, xp, levelStart, nextLevelAt }
+   */
+  getLevel(xp) {
+    let level = 1;
+    while (this.getLevelStart(level + 1) <= xp) {
+      level++;
+    }
+
+    return {
+      level,
+      xp,
+      levelStart: this.getLevelStart(level),
+      nextLevelAt: this.getLevelStart(level + 1)
+    };
+  }
+
+  /**
+   * "⭐ Level 3 ▓▓▓░░░░░░░ 340/600 XP"
+   */
+  formatLevel(xp) {
+    const { level, levelStart, nextLevelAt } = this.getLevel(xp);
+    const bar = utils.generateProgressBar(xp - levelStart, nextLevelAt - levelStart);
+    return `⭐ Level ${level} ${bar} ${xp}/${nextLevelAt} XP`;
+  }
+}
+
+module.exports = new XpService();
@@ -73,6 +73,11 @@ class Utils {
     return '⭐';
   }
 
+  generateProgressBar(current, total, length = 10) {
+    const filled = total > 0 ? Math.min(length, Math.round((current / total) * length)) : 0;
+    return '▓'.repeat(filled) + '░'.repeat(length - filled);
+  }
+
   getDifficultyMultiplier(difficulty) {
     switch (difficulty) {
       case 'easy': return 0.8;
@@ -251,6 +256,31 @@ class Utils {
     }
   }
 
+  levenshteinDistance(str1, str2) {
+    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
+
+    for (let i = 0; i <= str1.length; i += 1) {
+      matrix[0][i] = i;
+    }
+
+    for (let j = 0; j <= str2.length; j += 1) {
+      matrix[j][0] = j;
+    }
+
+    for (let j = 1; j <= str2.length; j += 1) {
+      for (let i = 1; i <= str1.length; i += 1) {
+        const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+        matrix[j][i] = Math.min(
+          matrix[j][i - 1] + 1, // deletion
+          matrix[j - 1][i] + 1, // insertion
+          matrix[j - 1][i - 1] + indicator, // substitution
+        );
+      }
+    }
+
+    return matrix[str2.length][str1.length];
+  }
+
   truncateText(text, maxLength) {
     if (text.length <= maxLength) return text;
     return text.slice(0, maxLength - 3) + '...';
@@ -1,7 +1,12 @@
 const cron = require('node-cron');
+const { Markup } = require('telegraf');
 const Database = require('../database/models');
 const vocabularyManager = require('../services/vocabularyManager');
+const analysisPregenerator = require('../services/analysisPregenerator');
+const weeklyReport = require('../services/weeklyReport');
+const goalService = require('../services/goalService');
 const utils = require('./helpers');
+const timezones = require('./timezones');
 const config = require('../../config/config');
 
 class Scheduler {
@@ -9,11 +14,24 @@ class Scheduler {
     this.db = new Database();
     this.jobs = new Map();
     this.isInitialized = false;
-  }
-
-  async initialize() {
+    this.telegram = null;
+    // Pause between messages to stay under Telegram's broadcast limits
+    this.sendDelayMs = 50;
+    // How long after their preferred time a user can still get the day's
+    // reminder, e.g. after downtime
+    this.reminderWindowMinutes = 3 * 60;
+    this.weeklyReportTime = '09:00';
+    this.inactivityCheckTime = '12:00';
+  }
+
+  /**
+   * Start the cron jobs. telegram is the bot's Telegram client, used to
+   * deliver reminders and reports
+   */
+  async initialize(telegram) {
     if (this.isInitialized) return;
     
+    this.telegram = telegram;
     await this.db.connect();
     this.setupScheduledJobs();
     this.isInitialized = true;
@@ -27,11 +45,15 @@ class Scheduler {
     this.scheduleInactivityChecks();
     this.scheduleDataCleanup();
     this.scheduleVocabularyEnrichment();
+    this.scheduleAnalysisPregeneration();
     this.scheduleCacheCleanup();
   }
 
+  // The user-facing jobs run every quarter hour and check each user's
+  // local time, so everyone is reached at the right hour in their zone
+
   scheduleDailyReminders() {
-    const job = cron.schedule('0 18 * * *', async () => {
+    const job = cron.schedule('*/15 * * * *', async () => {
       console.log('Running daily reminders...');
       await this.sendDailyReminders();
     }, {
@@ -43,7 +65,7 @@ class Scheduler {
   }
 
   scheduleWeeklyReports() {
-    const job = cron.schedule('0 9 * * 1', async () => {
+    const job = cron.schedule('*/15 * * * *', async () => {
       console.log('Running weekly reports...');
       await this.sendWeeklyReports();
     }, {
@@ -55,7 +77,7 @@ class Scheduler {
   }
 
   scheduleInactivityChecks() {
-    const job = cron.schedule('0 12 * * *', async () => {
+    const job = cron.schedule('*/15 * * * *', async () => {
       console.log('Checking for inactive users...');
       await this.checkInactiveUsers();
     }, {
@@ -96,6 +118,24 @@ class Scheduler {
     this.jobs.set('vocabulary_enrichment', job);
   }
 
+  scheduleAnalysisPregeneration() {
+    if (!config.vocabulary.analysisPregeneration.enabled) {
+      console.log('Flashcard analysis pre-generation disabled');
+      return;
+    }
+
+    const schedule = config.vocabulary.analysisPregeneration.schedule;
+    const job = cron.schedule(schedule, async () => {
+      console.log('Running flashcard analysis pre-generation...');
+      await this.pregenerateAnalyses();
+    }, {
+      scheduled: true,
+      timezone: 'Europe/Berlin'
+    });
+
+    this.jobs.set('analysis_pregeneration', job);
+  }
+
   scheduleCacheCleanup() {
     const job = cron.schedule('0 3 * * *', async () => {
       console.log('Running cache cleanup...');
@@ -113,15 +153,26 @@ class Scheduler {
       const users = await this.getUsersForDailyReminders();
       
       for (const user of users) {
-        const settings = await this.db.getUserSettings(user.id) || {};
-        
-        if (settings.notifications_enabled) {
-          const reminderTime = settings.preferred_time || '18:00';
-          const currentTime = new Date().toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-          
-          if (this.isTimeForReminder(currentTime, reminderTime)) {
-            await this.sendReminderToUser(user);
-          }
+        const now = new Date();
+        const local = this.getUserLocalTime(user, now);
+        const minutesLate = this.getMinutesSinceReminder(local.time, this.getReminderTime(user));
+        // A reminder caught up after midnight belongs to the day it was due
+        const reminderDay = timezones.getStartOfDay(local.timeZone, new Date(now.getTime() - minutesLate * 60000));
+
+        if (this.isQuietTime(user, local.time) ||
+            minutesLate >= this.reminderWindowMinutes ||
+            this.hasNotificationSince(user.id, 'daily_reminder', reminderDay)) {
+          continue;
+        }
+
+        // Only remind when there is something to review and the day's
+        // goal isn't reached yet
+        const level = user.preferred_level || 'A1';
+        const dueCount = await this.db.getDueCardCount(user.id, level);
+        const { today: answeredToday, dailyGoal } = goalService.getProgress(this.db, user.id);
+
+        if (dueCount > 0 && answeredToday < dailyGoal) {
+          await this.sendReminderToUser(user, { level, dueCount, answeredToday, dailyGoal });
         }
       }
     } catch (error) {
@@ -134,7 +185,16 @@ class Scheduler {
       const users = await this.getUsersForWeeklyReports();
       
       for (const user of users) {
-        const reportData = await this.generateWeeklyReport(user.id);
+        // Monday morning in the user's zone, once a week
+        const local = this.getUserLocalTime(user);
+        if (local.weekday !== 1 ||
+            local.time < this.weeklyReportTime ||
+            this.isQuietTime(user, local.time) ||
+            this.hasRecentNotification(user.id, 'weekly_report', 6 * 24)) {
+          continue;
+        }
+
+        const reportData = weeklyReport.build(this.db, user.id, local.timeZone);
         
         if (reportData.hasActivity) {
           await this.sendWeeklyReportToUser(user, reportData);
@@ -150,7 +210,15 @@ class Scheduler {
       const inactiveUsers = await this.getInactiveUsers();
       
       for (const user of inactiveUsers) {
-        await this.sendInactivityReminder(user);
+        const local = this.getUserLocalTime(user);
+        if (local.time < this.inactivityCheckTime || this.isQuietTime(user, local.time)) {
+          continue;
+        }
+
+        // One nudge a week is enough
+        if (!this.hasRecentNotification(user.id, 'inactivity_reminder', 7 * 24)) {
+          await this.sendInactivityReminder(user);
+        }
       }
     } catch (error) {
       console.error('Error checking inactive users:', error);
@@ -164,6 +232,11 @@ class Scheduler {
       
       const deleted = await this.deleteOldSessions(cutoffDate);
       console.log(`Cleaned up ${deleted} old sessions`);
+
+      const deliveries = this.db.run(
+        "DELETE FROM notification_deliveries WHERE sent_at < datetime('now', '-6 months')"
+      ).changes;
+      console.log(`Cleaned up ${deliveries} old notification records`);
       
       await this.optimizeDatabase();
     } catch (error) {
@@ -194,6 +267,29 @@ class Scheduler {
     }
   }
 
+  async pregenerateAnalyses() {
+    try {
+      const result = await analysisPregenerator.run(this.db);
+
+      console.log(`Analysis pre-generation completed: ${result.analyzed} analyzed, ${result.failed.length} failed`);
+      result.coverage.forEach(level => {
+        console.log(`- ${level.level}: ${level.analyzed}/${level.total} (${level.percentage}%)`);
+      });
+
+      if (result.failed.length > 0) {
+        console.log('Failed analyses:');
+        result.failed.forEach(failure => {
+          console.log(`- ${failure.german_word}: ${failure.reason}`);
+        });
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error pre-generating analyses:', error);
+      return { analyzed: 0, failed: [], coverage: [] };
+    }
+  }
+
   async cleanupCache() {
     try {
       await vocabularyManager.initialize();
@@ -209,153 +305,169 @@ class Scheduler {
   }
 
   async getUsersForDailyReminders() {
-    return new Promise((resolve, reject) => {
-      this.db.db.all(`
-        SELECT u.*, us.notifications_enabled, us.preferred_time
-        FROM users u
-        LEFT JOIN user_settings us ON u.id = us.user_id
-        WHERE us.notifications_enabled = 1 OR us.notifications_enabled IS NULL
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    return this.db.all(`
+      SELECT u.*, us.notifications_enabled, us.preferred_time, us.preferred_level, us.daily_goal,
+        ${this.getLocalTimeColumns()}
+      FROM users u
+      LEFT JOIN user_settings us ON u.id = us.user_id
+      WHERE ${this.getNotifiableCondition()}
+    `);
   }
 
   async getUsersForWeeklyReports() {
-    return new Promise((resolve, reject) => {
-      this.db.db.all(`
-        SELECT DISTINCT u.*
-        FROM users u
-        JOIN quiz_sessions qs ON u.id = qs.user_id
-        WHERE qs.completed_at > datetime('now', '-7 days')
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    return this.db.all(`
+      SELECT u.*, ${this.getLocalTimeColumns()}
+      FROM users u
+      LEFT JOIN user_settings us ON u.id = us.user_id
+      WHERE ${this.getNotifiableCondition()}
+        AND (
+          EXISTS (SELECT 1 FROM flashcard_reviews fr WHERE fr.user_id = u.id AND fr.reviewed_at > datetime('now', '-7 days'))
+          OR EXISTS (SELECT 1 FROM quiz_sessions qs WHERE qs.user_id = u.id AND qs.completed_at > datetime('now', '-7 days'))
+        )
+    `);
   }
 
   async getInactiveUsers() {
-    return new Promise((resolve, reject) => {
-      this.db.db.all(`
-        SELECT u.*, MAX(qs.completed_at) as last_activity
-        FROM users u
-        LEFT JOIN quiz_sessions qs ON u.id = qs.user_id
-        WHERE qs.completed_at < datetime('now', '-3 days')
-        OR qs.completed_at IS NULL
-        GROUP BY u.id
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    // Only users who practiced at some point; flashcard sessions count too
+    return this.db.all(`
+      SELECT u.*, ${this.getLocalTimeColumns()}, MAX(activity.activity_at) as last_activity
+      FROM users u
+      LEFT JOIN user_settings us ON u.id = us.user_id
+      JOIN (
+        SELECT user_id, completed_at as activity_at FROM quiz_sessions WHERE completed_at IS NOT NULL
+        UNION ALL
+        SELECT user_id, COALESCE(last_activity, started_at) FROM flashcard_sessions
+      ) activity ON activity.user_id = u.id
+      WHERE ${this.getNotifiableCondition()}
+      GROUP BY u.id
+      HAVING MAX(activity.activity_at) < datetime('now', '-3 days')
+    `);
+  }
+
+  /**
+   * Users who opted in to notifications and can still be reached; users
+   * without a settings row get the default, which is on
+   */
+  getNotifiableCondition() {
+    return 'COALESCE(us.notifications_enabled, 1) = 1 AND u.data_consent_given = 1 AND u.bot_blocked_at IS NULL';
+  }
+
+  getLocalTimeColumns() {
+    return 'us.timezone, us.quiet_hours_start, us.quiet_hours_end';
+  }
+
+  /**
+   * The user's zone (saved or guessed) and current local time there
+   */
+  getUserLocalTime(user, date = new Date()) {
+    const timeZone = timezones.getUserTimezone(user, user.language_code);
+    return { timeZone, ...timezones.getLocalTime(timeZone, date) };
+  }
+
+  /**
+   * Preferred reminder time, moved to the end of quiet hours if it falls
+   * inside them
+   */
+  getReminderTime(user) {
+    const preferredTime = user.preferred_time || '18:00';
+    return this.isQuietTime(user, preferredTime) ? user.quiet_hours_end : preferredTime;
+  }
+
+  isQuietTime(user, localTime) {
+    return timezones.isInRange(localTime, user.quiet_hours_start, user.quiet_hours_end);
+  }
+
+  hasRecentNotification(userId, type, hours) {
+    const row = this.db.get(`
+      SELECT 1 FROM notification_deliveries
+      WHERE user_id = ? AND notification_type = ? AND status = 'sent'
+        AND sent_at > datetime('now', ?)
+      LIMIT 1
+    `, [userId, type, `-${hours} hours`]);
+    return !!row;
+  }
+
+  hasNotificationSince(userId, type, since) {
+    const row = this.db.get(`
+      SELECT 1 FROM notification_deliveries
+      WHERE user_id = ? AND notification_type = ? AND status = 'sent'
+        AND sent_at >= ?
+      LIMIT 1
+    `, [userId, type, since]);
+    return !!row;
+  }
+
+  async sendReminderToUser(user, { level, dueCount, answeredToday, dailyGoal }) {
+    const greeting = utils.getTimeBasedGreeting();
+    const cards = dueCount === 1 ? 'card' : 'cards';
+    const todayLine = answeredToday > 0
+      ? `\n🎯 Today so far: ${answeredToday}/${dailyGoal}`
+      : '';
+
+    const message = `
+${greeting}! 🇩🇪
+
+⏰ You have *${dueCount} ${cards} due* at ${level} - start review?
+${todayLine}
+    `;
+
+    return this.deliver(user, 'daily_reminder', message, Markup.inlineKeyboard([
+      [Markup.button.callback('▶️ Start review', 'flashcard_start')]
+    ]));
   }
 
-  async generateWeeklyReport(userId) {
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    
-    const sessions = await new Promise((resolve, reject) => {
-      this.db.db.all(`
-        SELECT * FROM quiz_sessions
-        WHERE user_id = ? AND completed_at > ?
-        ORDER BY completed_at DESC
-      `, [userId, weekAgo.toISOString()], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+  async sendWeeklyReportToUser(user, reportData) {
+    return this.deliver(user, 'weekly_report', weeklyReport.format(reportData), Markup.inlineKeyboard([
+      [Markup.button.callback('▶️ Start review', 'flashcard_start')],
+      [Markup.button.callback('📊 Progress', 'progress_show')]
+    ]));
+  }
 
-    if (sessions.length === 0) {
-      return { hasActivity: false };
-    }
+  async sendInactivityReminder(user) {
+    const daysInactive = this.calculateDaysInactive(user.last_activity);
 
-    const totalSessions = sessions.length;
-    const totalQuestions = sessions.reduce((sum, s) => sum + (s.total_questions || 0), 0);
-    const totalCorrect = sessions.reduce((sum, s) => sum + (s.correct_answers || 0), 0);
-    const averageAccuracy = totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0;
-
-    const sessionsByDay = this.groupSessionsByDay(sessions);
-    const consistentDays = Object.keys(sessionsByDay).length;
-
-    return {
-      hasActivity: true,
-      weekStart: weekAgo.toISOString(),
-      weekEnd: new Date().toISOString(),
-      totalSessions,
-      totalQuestions,
-      totalCorrect,
-      averageAccuracy,
-      consistentDays,
-      sessionsByDay,
-      insights: utils.generateWeeklyInsights({
-        totalSessions,
-        averageAccuracy,
-        consistentDays
-      })
-    };
-  }
-
-  groupSessionsByDay(sessions) {
-    const grouped = {};
-    
-    sessions.forEach(session => {
-      const day = utils.formatDate(session.completed_at);
-      if (!grouped[day]) {
-        grouped[day] = [];
-      }
-      grouped[day].push(session);
-    });
-    
-    return grouped;
-  }
+    const message = `
+👋 *We miss you!*
 
-  async sendReminderToUser(user) {
-    try {
-      const greeting = utils.getTimeBasedGreeting();
-      const dayOfWeek = utils.getDayOfWeek();
-      
-      console.log(`Would send daily reminder to user ${user.telegram_id}: ${greeting}! 🇩🇪 Quiz reminder for ${dayOfWeek}`);
-      
-      // Note: In a production environment, you could send reminders via:
-      // 1. Direct bot message (if you store chat context)
-      // 2. External service (email, SMS, etc.)
-      // 3. Database queue for the bot to process
-      
-    } catch (error) {
-      console.error(`Error processing reminder for user ${user.telegram_id}:`, error);
-    }
+It's been ${daysInactive} days since your last practice. Your words are waiting - a short session is enough to get back on track.
+    `;
+
+    return this.deliver(user, 'inactivity_reminder', message, Markup.inlineKeyboard([
+      [Markup.button.callback('🎴 Start Quiz', 'level_start_quiz')]
+    ]));
   }
 
-  async sendWeeklyReportToUser(user, reportData) {
+  /**
+   * Send a message and log the outcome. A 403 from Telegram means the
+   * user blocked the bot or deleted their account, so they are skipped
+   * until they talk to the bot again
+   */
+  async deliver(user, type, message, keyboard = {}) {
     try {
-      console.log(`Would send weekly report to user ${user.telegram_id}: ${reportData.totalSessions} sessions, ${reportData.averageAccuracy}% accuracy`);
-      
-      // Note: Weekly reports could be implemented via:
-      // 1. Direct bot message with stored user context
-      // 2. Email service integration
-      // 3. Database notification queue
-      
+      await this.telegram.sendMessage(user.telegram_id, message, {
+        parse_mode: 'Markdown',
+        ...keyboard
+      });
+      await this.db.recordNotificationDelivery(user.id, type, 'sent');
+      return true;
     } catch (error) {
-      console.error(`Error processing weekly report for user ${user.telegram_id}:`, error);
+      const errorCode = error.code || null;
+      const description = error.description || error.message;
+
+      await this.db.recordNotificationDelivery(user.id, type, 'failed', errorCode, description);
+      if (errorCode === 403) {
+        await this.db.setUserBotBlocked(user.id, true);
+      }
+
+      console.error(`Failed to send ${type} to user ${user.telegram_id}: ${description}`);
+      return false;
+    } finally {
+      await this.delay(this.sendDelayMs);
     }
   }
 
-  async sendInactivityReminder(user) {
-    try {
-      const daysInactive = this.calculateDaysInactive(user.last_activity);
-      
-      console.log(`Would send inactivity reminder to user ${user.telegram_id}: ${daysInactive} days inactive`);
-      
-      // Note: Inactivity reminders could be implemented via:
-      // 1. Direct bot message with stored user context
-      // 2. Email/SMS service integration
-      // 3. Database notification queue
-      
-    } catch (error) {
-      console.error(`Error processing inactivity reminder for user ${user.telegram_id}:`, error);
-    }
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   calculateDaysInactive(lastActivity) {
@@ -370,35 +482,23 @@ class Scheduler {
   }
 
   async deleteOldSessions(cutoffDate) {
-    return new Promise((resolve, reject) => {
-      this.db.db.run(
-        'DELETE FROM quiz_sessions WHERE completed_at < ?',
-        [cutoffDate.toISOString()],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
-    });
+    return this.db.run(
+      'DELETE FROM quiz_sessions WHERE completed_at < ?',
+      [cutoffDate.toISOString().replace('T', ' ').slice(0, 19)]
+    ).changes;
   }
 
   async optimizeDatabase() {
-    return new Promise((resolve, reject) => {
-      this.db.db.run('VACUUM', (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    this.db.run('VACUUM');
   }
 
-  isTimeForReminder(currentTime, preferredTime) {
-    const [currentHour, currentMinute] = currentTime.split(':').map(Number);
-    const [preferredHour, preferredMinute] = preferredTime.split(':').map(Number);
-    
-    const currentMinutes = currentHour * 60 + currentMinute;
-    const preferredMinutes = preferredHour * 60 + preferredMinute;
-    
-    return Math.abs(currentMinutes - preferredMinutes) <= 15;
+  /**
+   * Minutes from the reminder time to now, wrapping past midnight. Callers
+   * skip users already reminded that day, so the first run at or after the
+   * reminder time sends it; later runs in the window catch up after downtime
+   */
+  getMinutesSinceReminder(currentTime, preferredTime) {
+    return (timezones.toMinutes(currentTime) - timezones.toMinutes(preferredTime) + 1440) % 1440;
   }
 
   startJob(jobName) {
@@ -0,0 +1,231 @@
+/**
+ * Time zone helpers for per-user notifications.
+ *
+ * Users pick an IANA zone by typing a city ("Tokyo", "New York"), a zone
+ * name ("America/Sao_Paulo") or a UTC offset ("+5:30", "UTC-3"). Until
+ * they do, a zone is guessed from their Telegram language code.
+ */
+class Timezones {
+  constructor() {
+    this.defaultTimezone = 'Europe/Berlin';
+
+    // Best guess per language; languages spoken across many zones
+    // (en, es, pt...) fall back to their largest European audience
+    this.languageTimezones = {
+      de: 'Europe/Berlin',
+      en: 'Europe/London',
+      fr: 'Europe/Paris',
+      es: 'Europe/Madrid',
+      it: 'Europe/Rome',
+      nl: 'Europe/Amsterdam',
+      pl: 'Europe/Warsaw',
+      pt: 'Europe/Lisbon',
+      'pt-br': 'America/Sao_Paulo',
+      ru: 'Europe/Moscow',
+      uk: 'Europe/Kiev',
+      tr: 'Europe/Istanbul',
+      ar: 'Asia/Riyadh',
+      fa: 'Asia/Tehran',
+      hi: 'Asia/Kolkata',
+      zh: 'Asia/Shanghai',
+      ja: 'Asia/Tokyo',
+      ko: 'Asia/Seoul',
+      id: 'Asia/Jakarta',
+      vi: 'Asia/Ho_Chi_Minh'
+    };
+  }
+
+  isValid(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  guessFromLanguage(languageCode) {
+    if (!languageCode) return this.defaultTimezone;
+
+    const code = languageCode.toLowerCase();
+    return this.languageTimezones[code] ||
+      this.languageTimezones[code.split('-')[0]] ||
+      this.defaultTimezone;
+  }
+
+  /**
+   * The user's saved zone, or a guess from their language
+   */
+  getUserTimezone(settings, languageCode) {
+    if (settings && settings.timezone && this.isValid(settings.timezone)) {
+      return settings.timezone;
+    }
+    return this.guessFromLanguage(languageCode);
+  }
+
+  /**
+   * Turn typed input into an IANA zone name, or null if nothing matches
+   */
+  parse(input) {
+    const text = input.trim();
+    if (!text) return null;
+
+    const offsetMatch = text.match(/^(?:utc|gmt)?\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/i);
+    if (offsetMatch) {
+      const [, sign, hours, minutes = '00'] = offsetMatch;
+      return this.fromOffset((sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes)));
+    }
+    if (/^(utc|gmt)$/i.test(text)) return 'UTC';
+
+    const zones = Intl.supportedValuesOf('timeZone');
+    const wanted = text.toLowerCase().replace(/\s+/g, '_');
+
+    return zones.find(zone => zone.toLowerCase() === wanted) ||
+      zones.find(zone => zone.split('/').pop().toLowerCase() === wanted) ||
+      null;
+  }
+
+  /**
+   * A zone for a fixed UTC offset in minutes. Whole hours map to Etc/GMT
+   * zones (whose sign is inverted by convention); others to the first
+   * real zone currently at that offset
+   */
+  fromOffset(offsetMinutes) {
+    if (Math.abs(offsetMinutes) > 14 * 60) return null;
+    if (offsetMinutes === 0) return 'UTC';
+
+    if (offsetMinutes % 60 === 0) {
+      const hours = offsetMinutes / 60;
+      return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+    }
+
+    return Intl.supportedValuesOf('timeZone')
+      .find(zone => this.getOffsetMinutes(zone) === offsetMinutes) || null;
+  }
+
+  getOffsetMinutes(timeZone, date = new Date()) {
+    const parts = this.getParts(timeZone, date);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    // The wall clock has no seconds, so compare it with the whole minute
+    const minute = Math.floor(date.getTime() / 60000) * 60000;
+    return Math.round((wallClock - minute) / 60000);
+  }
+
+  formatOffset(timeZone) {
+    const offset = this.getOffsetMinutes(timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const hours = Math.floor(Math.abs(offset) / 60);
+    const minutes = Math.abs(offset) % 60;
+    return `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+  }
+
+  /**
+   * Local wall-clock time in a zone: { time: 'HH:MM', weekday: 0-6 }
+   */
+  getLocalTime(timeZone, date = new Date()) {
+    const parts = this.getParts(timeZone, date);
+    const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+
+    return {
+      time: `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`,
+      weekday
+    };
+  }
+
+  /**
+   * Local calendar date in a zone as 'YYYY-MM-DD'
+   */
+  getLocalDate(timeZone, date = new Date()) {
+    const parts = this.getParts(timeZone, date);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Midnight of the current day in a zone, as a UTC datetime string that
+   * compares with SQLite's CURRENT_TIMESTAMP columns
+   */
+  getStartOfDay(timeZone, date = new Date()) {
+    const parts = this.getParts(timeZone, date);
+    const midnight = Date.UTC(parts.year, parts.month - 1, parts.day) - this.getOffsetMinutes(timeZone, date) * 60000;
+    return new Date(midnight).toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * SQLite date modifier that shifts UTC timestamps to the zone's current
+   * offset, e.g. date(reviewed_at, '+120 minutes')
+   */
+  getSqlOffset(timeZone) {
+    const offset = this.getOffsetMinutes(timeZone);
+    return `${offset >= 0 ? '+' : ''}${offset} minutes`;
+  }
+
+  getParts(timeZone, date) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date).forEach(part => {
+      parts[part.type] = parseInt(part.value);
+    });
+    return parts;
+  }
+
+  /**
+   * Parse "7", "07:30", "7.30", "7pm" or "19:30" into "HH:MM"
+   */
+  parseTime(input) {
+    const match = input.trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    const period = match[3];
+
+    if (period) {
+      if (hours < 1 || hours > 12) return null;
+      hours = hours % 12 + (period === 'pm' ? 12 : 0);
+    }
+
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse a range like "22:00-07:00" or "10pm - 7am" into [start, end]
+   */
+  parseTimeRange(input) {
+    const parts = input.split(/\s*(?:-|–|to)\s*/i);
+    if (parts.length !== 2) return null;
+
+    const start = this.parseTime(parts[0]);
+    const end = this.parseTime(parts[1]);
+    return start && end && start !== end ? [start, end] : null;
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Whether a local time falls in quiet hours; ranges may wrap midnight
+   */
+  isInRange(time, start, end) {
+    if (!start || !end) return false;
+
+    const current = this.toMinutes(time);
+    const from = this.toMinutes(start);
+    const to = this.toMinutes(end);
+
+    return from < to
+      ? current >= from && current < to
+      : current >= from || current < to;
+  }
+}
+
+module.exports = new Timezones();
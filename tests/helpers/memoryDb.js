@@ -0,0 +1,20 @@
+const BetterSqlite3 = require('better-sqlite3');
+
+/**
+ * In-memory database with the get/all/run wrappers of database/models,
+ * created from the given schema SQL
+ */
+function createMemoryDb(schema) {
+  const connection = new BetterSqlite3(':memory:');
+  connection.exec(schema);
+
+  return {
+    connection,
+    get: (sql, params = []) => connection.prepare(sql).get(...params),
+    all: (sql, params = []) => connection.prepare(sql).all(...params),
+    run: (sql, params = []) => connection.prepare(sql).run(...params),
+    close: () => connection.close()
+  };
+}
+
+module.exports = { createMemoryDb };
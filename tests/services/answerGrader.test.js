@@ -0,0 +1,86 @@
+const answerGrader = require('../../src/services/answerGrader');
+
+describe('answerGrader.grade', () => {
+  test('accepts the exact word', () => {
+    const result = answerGrader.grade('Haus', 'Haus');
+    expect(result.isCorrect).toBe(true);
+    expect(result.wordResult).toBe('exact');
+    expect(result.articleResult).toBeNull();
+  });
+
+  test('ignores case, extra spaces and final punctuation', () => {
+    expect(answerGrader.grade('  haus. ', 'Haus').wordResult).toBe('exact');
+  });
+
+  describe('umlaut folding', () => {
+    test.each([
+      ['Mueller', 'Müller'],
+      ['schoen', 'schön'],
+      ['Maedchen', 'Mädchen'],
+      ['Strasse', 'Straße']
+    ])('%s counts as %s', (input, expected) => {
+      const result = answerGrader.grade(input, expected);
+      expect(result.wordResult).toBe('exact');
+      expect(result.usedSubstitutes).toBe(true);
+    });
+
+    test('typing the umlaut is not flagged as a substitute', () => {
+      expect(answerGrader.grade('schön', 'schön').usedSubstitutes).toBe(false);
+    });
+  });
+
+  describe('typo tolerance by length', () => {
+    test('words of up to 4 letters must be exact', () => {
+      expect(answerGrader.grade('Hant', 'Hand').wordResult).toBe('wrong');
+    });
+
+    test('words of 5 to 8 letters allow one typo', () => {
+      expect(answerGrader.grade('Fenstr', 'Fenster').wordResult).toBe('typo');
+      expect(answerGrader.grade('Fnstr', 'Fenster').wordResult).toBe('wrong');
+    });
+
+    test('longer words allow two typos', () => {
+      const result = answerGrader.grade('Kuhlschrenk', 'Kühlschrank');
+      expect(result.wordResult).toBe('typo');
+      expect(result.distance).toBe(2);
+      expect(answerGrader.grade('Kulschrenk', 'Kühlschrank').wordResult).toBe('wrong');
+    });
+
+    test('a typo still counts as correct', () => {
+      expect(answerGrader.grade('Fenstr', 'Fenster').isCorrect).toBe(true);
+    });
+  });
+
+  test('matches any of the listed alternatives', () => {
+    expect(answerGrader.grade('Doktor', 'Dr./Doktor').wordResult).toBe('exact');
+  });
+
+  describe('articles', () => {
+    test('the right article is ok', () => {
+      const result = answerGrader.grade('der Tisch', 'Tisch', 'der');
+      expect(result.isCorrect).toBe(true);
+      expect(result.articleResult).toBe('ok');
+    });
+
+    test('a missing article is flagged but not failed', () => {
+      const result = answerGrader.grade('Tisch', 'Tisch', 'der');
+      expect(result.isCorrect).toBe(true);
+      expect(result.articleResult).toBe('missing');
+    });
+
+    test('a wrong article fails the answer', () => {
+      const result = answerGrader.grade('die Tisch', 'Tisch', 'der');
+      expect(result.isCorrect).toBe(false);
+      expect(result.articleResult).toBe('wrong');
+      expect(result.wordResult).toBe('exact');
+    });
+
+    test('the article is matched regardless of case', () => {
+      expect(answerGrader.grade('Der Tisch', 'Tisch', 'der').articleResult).toBe('ok');
+    });
+
+    test('a leading article is not split off when the card has none', () => {
+      expect(answerGrader.grade('das ist gut', 'das ist gut').wordResult).toBe('exact');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const clozeService = require('../../src/services/clozeService');
+const verbService = require('../../src/services/verbService');
+
+const lexicon = verbService.loadLexicon();
+
+function getVariants(infinitive, answer) {
+  const verb = verbService.resolve(infinitive, lexicon);
+  return clozeService.getVariants({ german_word: infinitive, verb }, answer);
+}
+
+describe('clozeService.getVariants for verbs', () => {
+  test('offers the other persons of the answer\'s tense, never the same person in another tense', () => {
+    const variants = getVariants('fahren', 'fahre');
+    expect(variants).toEqual(expect.arrayContaining(['fährst', 'fährt', 'fahrt', 'gefahren']));
+    expect(variants).not.toContain('fuhr');
+  });
+
+  test('a Präteritum answer gets no Präsens forms but the infinitive', () => {
+    const variants = getVariants('fahren', 'fuhr');
+    expect(variants).toEqual(expect.arrayContaining(['fuhrst', 'fuhren', 'fahren']));
+    expect(variants).not.toContain('fahre');
+    expect(variants).not.toContain('fährt');
+  });
+
+  test('a wir form gets no forms that could be another tense', () => {
+    const variants = getVariants('fahren', 'fuhren');
+    expect(variants).not.toContain('fahren');
+  });
+
+  test('a Partizip answer gets the infinitive and Präsens forms', () => {
+    expect(getVariants('fahren', 'gefahren')).toEqual(['fahren', 'fahre', 'fährst', 'fährt', 'fahrt']);
+  });
+
+  test('separable verbs use the forms without the prefix', () => {
+    const variants = getVariants('aufstehen', 'stehe');
+    expect(variants).toEqual(expect.arrayContaining(['stehst', 'steht', 'aufgestanden']));
+    expect(variants).not.toContain('stand');
+  });
+
+  test('capitalisation follows the answer', () => {
+    expect(getVariants('fahren', 'Fahre')).toContain('Fährst');
+  });
+});
+
+describe('clozeService.blank', () => {
+  test('blanks the first matching form and returns it as the answer', () => {
+    const verb = verbService.resolve('fahren', lexicon);
+    const forms = clozeService.getForms({ german_word: 'fahren', verb });
+    expect(clozeService.blank('Morgen fahre ich nach Berlin.', forms))
+      .toEqual({ cloze: 'Morgen ＿＿＿ ich nach Berlin.', answer: 'fahre' });
+  });
+
+  test('returns null when the word is not in the sentence', () => {
+    const forms = clozeService.getForms({ german_word: 'Hund', article: 'der' });
+    expect(clozeService.blank('Die Katze schläft.', forms)).toBeNull();
+  });
+});
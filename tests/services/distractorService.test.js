@@ -0,0 +1,88 @@
+const distractorService = require('../../src/services/distractorService');
+const { createMemoryDb } = require('../helpers/memoryDb');
+
+const SCHEMA = `
+  CREATE TABLE vocabulary_simple (
+    id INTEGER PRIMARY KEY,
+    german_word TEXT NOT NULL,
+    english_translation TEXT NOT NULL,
+    article TEXT,
+    level TEXT
+  );
+  CREATE TABLE vocabulary_topics (
+    vocabulary_id INTEGER NOT NULL,
+    topic_id INTEGER NOT NULL,
+    PRIMARY KEY (vocabulary_id, topic_id)
+  );
+`;
+
+describe('distractorService.pickDistractors', () => {
+  let db;
+
+  function addWords(...words) {
+    words.forEach(([id, german, english]) => db.run(
+      "INSERT INTO vocabulary_simple (id, german_word, english_translation, article, level) VALUES (?, ?, ?, 'das', 'A1')",
+      [id, german, english]
+    ));
+  }
+
+  function pickGerman(word, count) {
+    return distractorService.pickDistractors(db, word, count).map(candidate => candidate.german_word).sort();
+  }
+
+  beforeEach(() => {
+    db = createMemoryDb(SCHEMA);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('leaves out near-synonyms but keeps partly related words', () => {
+    addWords(
+      [1, 'Licht', 'light, lamp'],
+      [2, 'Leuchte', 'lamp, light'],
+      [3, 'Hellblau', 'light blue, pale colour'],
+      [4, 'Kerze', 'candle, table lamp'],
+      [5, 'Buch', 'book']
+    );
+    const word = db.get('SELECT * FROM vocabulary_simple WHERE id = 1');
+
+    expect(pickGerman(word, 3)).toEqual(['Buch', 'Kerze']);
+  });
+
+  describe('ranking', () => {
+    const shortlistSize = distractorService.shortlistSize;
+
+    beforeEach(() => {
+      distractorService.shortlistSize = 1;
+    });
+
+    afterEach(() => {
+      distractorService.shortlistSize = shortlistSize;
+    });
+
+    test('prefers a word from the same topic over an unrelated one', () => {
+      addWords(
+        [1, 'Apfel', 'apple'],
+        [2, 'Zug', 'train'],
+        [3, 'Brot', 'bread']
+      );
+      db.run('INSERT INTO vocabulary_topics (vocabulary_id, topic_id) VALUES (1, 7), (3, 7)');
+      const word = db.get('SELECT * FROM vocabulary_simple WHERE id = 1');
+
+      expect(pickGerman(word, 1)).toEqual(['Brot']);
+    });
+
+    test('prefers a word that looks alike', () => {
+      addWords(
+        [1, 'Hose', 'trousers'],
+        [2, 'Zug', 'train'],
+        [3, 'Rose', 'rose']
+      );
+      const word = db.get('SELECT * FROM vocabulary_simple WHERE id = 1');
+
+      expect(pickGerman(word, 1)).toEqual(['Rose']);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const drillService = require('../../src/services/drillService');
+const { createMemoryDb } = require('../helpers/memoryDb');
+
+const SCHEMA = `
+  CREATE TABLE verb_progress (
+    user_id INTEGER NOT NULL,
+    vocabulary_id INTEGER NOT NULL,
+    form TEXT NOT NULL,
+    times_shown INTEGER DEFAULT 0,
+    times_correct INTEGER DEFAULT 0,
+    times_incorrect INTEGER DEFAULT 0,
+    streak INTEGER DEFAULT 0,
+    last_answer TEXT,
+    last_shown DATETIME,
+    next_review DATETIME,
+    UNIQUE(user_id, vocabulary_id, form)
+  );
+`;
+
+describe('drillService.updateProgress', () => {
+  let db;
+
+  function record(form, isCorrect, answer, previousStreak) {
+    drillService.updateProgress(db, 'verb_progress', { user_id: 1, vocabulary_id: 5, form }, isCorrect, answer, previousStreak);
+  }
+
+  function getRow(form) {
+    return db.get(`
+      SELECT times_shown, times_correct, times_incorrect, streak, last_answer,
+        CAST(ROUND((julianday(next_review) - julianday(last_shown)) * 24 * 60) AS INTEGER) as minutes
+      FROM verb_progress WHERE form = ?
+    `, [form]);
+  }
+
+  beforeEach(() => {
+    db = createMemoryDb(SCHEMA);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('adds up answers per row and schedules by streak', () => {
+    record('praesens_du', true, 'fährst', 0);
+    record('praesens_du', true, 'fährst', 1);
+    record('perfekt_er', false, 'hat gefahren', 0);
+
+    expect(getRow('praesens_du')).toEqual({
+      times_shown: 2, times_correct: 2, times_incorrect: 0, streak: 2, last_answer: 'fährst', minutes: 3 * 24 * 60
+    });
+    expect(getRow('perfekt_er')).toEqual({
+      times_shown: 1, times_correct: 0, times_incorrect: 1, streak: 0, last_answer: 'hat gefahren', minutes: 10
+    });
+  });
+
+  test('a wrong answer resets the streak', () => {
+    record('praesens_du', true, 'fährst', 4);
+    record('praesens_du', false, 'fahrst', 5);
+
+    expect(getRow('praesens_du')).toMatchObject({ times_shown: 2, times_correct: 1, times_incorrect: 1, streak: 0, minutes: 10 });
+  });
+});
+
+describe('drillService.getNextReview', () => {
+  test.each([
+    [0, '+10 minutes'],
+    [1, '+1 day'],
+    [5, '+30 days'],
+    [9, '+30 days']
+  ])('streak %i comes back after %s', (streak, interval) => {
+    expect(drillService.getNextReview(streak)).toBe(interval);
+  });
+});
+
+describe('drillService.formatTypedAnswer', () => {
+  test('drops Markdown markup characters', () => {
+    expect(drillService.formatTypedAnswer('*fähr_st* [x]`')).toBe('fährst x');
+    expect(drillService.formatTypedAnswer(null)).toBeNull();
+  });
+});
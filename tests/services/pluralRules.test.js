@@ -0,0 +1,65 @@
+const pluralRules = require('../../src/services/pluralRules');
+
+describe('pluralRules.classify', () => {
+  test.each([
+    ['Hund', 'Hunde', '-e'],
+    ['Baum', 'Bäume', 'umlaut + -e'],
+    ['Kind', 'Kinder', '-er'],
+    ['Haus', 'Häuser', 'umlaut + -er'],
+    ['Frau', 'Frauen', '-n/-en'],
+    ['Blume', 'Blumen', '-n/-en'],
+    ['Auto', 'Autos', '-s'],
+    ['Lehrer', 'Lehrer', 'no ending'],
+    ['Vater', 'Väter', 'umlaut only'],
+    ['Apfel', 'Äpfel', 'umlaut only'],
+    ['Museum', 'Museen', 'other']
+  ])('%s → %s is %s', (singular, plural, key) => {
+    expect(pluralRules.classify(singular, plural)).toBe(key);
+  });
+
+  test('a doubled s and -in → -innen fold into their class', () => {
+    expect(pluralRules.classify('Bus', 'Busse')).toBe('-e');
+    expect(pluralRules.classify('Lehrerin', 'Lehrerinnen')).toBe('-n/-en');
+  });
+
+  test('the first of several plurals counts', () => {
+    expect(pluralRules.classify('Pizza', 'Pizzas/Pizzen')).toBe('-s');
+  });
+});
+
+describe('pluralRules.grade', () => {
+  test('accepts the plural with or without die', () => {
+    expect(pluralRules.grade('Bäume', 'Bäume').isCorrect).toBe(true);
+    expect(pluralRules.grade('die Bäume', 'Bäume').isCorrect).toBe(true);
+  });
+
+  test('another article is wrong', () => {
+    expect(pluralRules.grade('der Bäume', 'Bäume')).toEqual({ isCorrect: false, articleResult: 'wrong' });
+  });
+
+  test('umlauts can be typed as ae/oe/ue and case does not matter', () => {
+    expect(pluralRules.grade('baeume', 'Bäume').isCorrect).toBe(true);
+    expect(pluralRules.grade('Fuesse', 'Füße').isCorrect).toBe(true);
+  });
+
+  test('a missing umlaut or ending is not forgiven as a typo', () => {
+    expect(pluralRules.grade('Baume', 'Bäume').isCorrect).toBe(false);
+    expect(pluralRules.grade('Kinde', 'Kinder').isCorrect).toBe(false);
+  });
+
+  test('any of several plurals is accepted', () => {
+    expect(pluralRules.grade('Pizzen', 'Pizzas/Pizzen').isCorrect).toBe(true);
+  });
+});
+
+describe('pluralRules.addUmlaut', () => {
+  test.each([
+    ['Baum', 'Bäum'],
+    ['Haus', 'Häus'],
+    ['Apfel', 'Äpfel'],
+    ['Mutter', 'Mütter'],
+    ['Auto', null]
+  ])('%s → %s', (word, umlauted) => {
+    expect(pluralRules.addUmlaut(word)).toBe(umlauted);
+  });
+});
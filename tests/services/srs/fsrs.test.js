@@ -0,0 +1,106 @@
+const FSRSEngine = require('../../../src/services/srs/fsrs');
+
+const AGAIN = 1;
+const HARD = 2;
+const GOOD = 3;
+const EASY = 4;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// SQLite-style UTC timestamp, as stored in flashcard_progress.last_shown
+function sqliteTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+describe('FSRSEngine', () => {
+  const engine = new FSRSEngine({ relearnMinutes: 60, maxIntervalDays: 365, requestRetention: 0.9 });
+  const now = new Date('2024-03-01T12:00:00Z');
+
+  describe('first review', () => {
+    test('stability comes from the initial weights', () => {
+      expect(engine.schedule({}, AGAIN, now).stability).toBeCloseTo(0.4872);
+      expect(engine.schedule({}, GOOD, now).stability).toBeCloseTo(3.7145);
+      expect(engine.schedule({}, EASY, now).stability).toBeCloseTo(13.8206);
+    });
+
+    test('difficulty starts at w4 and moves by w5 per grade', () => {
+      expect(engine.schedule({}, GOOD, now).difficulty).toBeCloseTo(5.1618);
+      expect(engine.schedule({}, EASY, now).difficulty).toBeCloseTo(5.1618 - 1.2298);
+    });
+
+    test('good is due after the rounded stability', () => {
+      const result = engine.schedule({}, GOOD, now);
+      expect(result).toMatchObject({ interval_days: 4, repetitions: 1, lapses: 0 });
+      expect(result.dueInMinutes).toBe(4 * 24 * 60);
+    });
+
+    test('again is relearned within minutes and is no lapse', () => {
+      expect(engine.schedule({}, AGAIN, now)).toMatchObject({
+        interval_days: 0,
+        repetitions: 0,
+        lapses: 0,
+        dueInMinutes: 60
+      });
+    });
+  });
+
+  describe('later reviews', () => {
+    const card = {
+      stability: 10,
+      difficulty: 5,
+      repetitions: 3,
+      lapses: 0,
+      last_shown: sqliteTime(new Date(now - 10 * DAY))
+    };
+
+    test('recall probability is the requested retention after `stability` days', () => {
+      expect(engine.retrievability(10, 10)).toBeCloseTo(0.9);
+      expect(engine.retrievability(0, 10)).toBe(1);
+    });
+
+    test('at 90% retention the interval equals the stability', () => {
+      expect(engine.nextInterval(10)).toBe(10);
+      expect(engine.nextInterval(0.2)).toBe(1);
+      expect(engine.nextInterval(5000)).toBe(365);
+    });
+
+    test('a lower retention target gives longer intervals', () => {
+      const relaxed = new FSRSEngine({ requestRetention: 0.8 });
+      expect(relaxed.nextInterval(10)).toBeGreaterThan(10);
+    });
+
+    test('hard < good < easy, all above the previous stability', () => {
+      const hard = engine.schedule(card, HARD, now).stability;
+      const good = engine.schedule(card, GOOD, now).stability;
+      const easy = engine.schedule(card, EASY, now).stability;
+
+      expect(hard).toBeGreaterThan(10);
+      expect(good).toBeGreaterThan(hard);
+      expect(easy).toBeGreaterThan(good);
+    });
+
+    test('forgetting drops the stability and counts a lapse', () => {
+      const result = engine.schedule(card, AGAIN, now);
+      expect(result.stability).toBeLessThan(10);
+      expect(result).toMatchObject({ interval_days: 0, repetitions: 0, lapses: 1, dueInMinutes: 60 });
+      expect(result.difficulty).toBeGreaterThan(5);
+    });
+
+    test('difficulty stays between 1 and 10', () => {
+      expect(engine.schedule({ ...card, difficulty: 10 }, AGAIN, now).difficulty).toBeLessThanOrEqual(10);
+      expect(engine.schedule({ ...card, difficulty: 1 }, EASY, now).difficulty).toBeGreaterThanOrEqual(1);
+    });
+
+    test('cards without FSRS state start from their SM-2 interval', () => {
+      const sm2Card = { interval_days: 20, repetitions: 4, last_shown: card.last_shown };
+      const result = engine.schedule(sm2Card, GOOD, now);
+      expect(result.stability).toBeGreaterThan(20);
+      expect(result.repetitions).toBe(5);
+    });
+  });
+
+  test('elapsedDays reads SQLite UTC timestamps', () => {
+    expect(engine.elapsedDays('2024-02-28 12:00:00', now)).toBeCloseTo(2);
+    expect(engine.elapsedDays(null, now)).toBe(0);
+  });
+});
@@ -0,0 +1,63 @@
+const SM2Engine = require('../../../src/services/srs/sm2');
+
+const AGAIN = 1;
+const HARD = 2;
+const GOOD = 3;
+const EASY = 4;
+
+describe('SM2Engine.schedule', () => {
+  const engine = new SM2Engine({ relearnMinutes: 60, maxIntervalDays: 365 });
+
+  test('good answers grow the interval 1 → 6 → interval × ease', () => {
+    const first = engine.schedule({}, GOOD);
+    expect(first).toMatchObject({ ease_factor: 2.5, interval_days: 1, repetitions: 1, lapses: 0 });
+    expect(first.dueInMinutes).toBe(24 * 60);
+
+    const second = engine.schedule(first, GOOD);
+    expect(second).toMatchObject({ interval_days: 6, repetitions: 2 });
+
+    const third = engine.schedule(second, GOOD);
+    expect(third).toMatchObject({ interval_days: 15, repetitions: 3 });
+  });
+
+  test('hard lowers the ease and stretches the interval by 1.2', () => {
+    expect(engine.schedule({}, HARD)).toMatchObject({ ease_factor: 2.36, interval_days: 0.5 });
+
+    const card = { ease_factor: 2.5, repetitions: 3, interval_days: 10 };
+    expect(engine.schedule(card, HARD)).toMatchObject({ ease_factor: 2.36, interval_days: 12, repetitions: 4 });
+  });
+
+  test('easy raises the ease and adds a 1.3 bonus', () => {
+    expect(engine.schedule({}, EASY)).toMatchObject({ ease_factor: 2.6, interval_days: 4 });
+
+    const card = { ease_factor: 2.5, repetitions: 2, interval_days: 6 };
+    // round(6 × 2.6) = 16, × 1.3 = 21
+    expect(engine.schedule(card, EASY)).toMatchObject({ ease_factor: 2.6, interval_days: 21 });
+  });
+
+  test('forgetting a learned card is a lapse and costs ease', () => {
+    const card = { ease_factor: 2.5, repetitions: 4, interval_days: 30, lapses: 1 };
+    expect(engine.schedule(card, AGAIN)).toEqual({
+      ease_factor: 1.96,
+      interval_days: 0,
+      repetitions: 0,
+      lapses: 2,
+      dueInMinutes: 60
+    });
+  });
+
+  test('failing a card still being learned keeps its ease and lapses', () => {
+    const card = { ease_factor: 2.2, repetitions: 0, interval_days: 0, lapses: 1 };
+    expect(engine.schedule(card, AGAIN)).toMatchObject({ ease_factor: 2.2, lapses: 1 });
+  });
+
+  test('the ease never drops below 1.3', () => {
+    const card = { ease_factor: 1.35, repetitions: 3, interval_days: 10 };
+    expect(engine.schedule(card, AGAIN).ease_factor).toBe(1.3);
+  });
+
+  test('intervals are capped at maxIntervalDays', () => {
+    const card = { ease_factor: 2.5, repetitions: 8, interval_days: 300 };
+    expect(engine.schedule(card, GOOD).interval_days).toBe(365);
+  });
+});
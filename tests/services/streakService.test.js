@@ -0,0 +1,134 @@
+const streakService = require('../../src/services/streakService');
+const { createMemoryDb } = require('../helpers/memoryDb');
+
+const SCHEMA = `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY,
+    language_code TEXT,
+    streak_freezes INTEGER DEFAULT 0
+  );
+  CREATE TABLE user_settings (
+    user_id INTEGER UNIQUE,
+    timezone TEXT,
+    daily_goal INTEGER DEFAULT 20,
+    weekly_goal INTEGER DEFAULT 100,
+    streak_goal INTEGER DEFAULT 7,
+    streak_freezes_enabled INTEGER DEFAULT 1
+  );
+  CREATE TABLE daily_activity (
+    user_id INTEGER NOT NULL,
+    activity_date TEXT NOT NULL,
+    answers INTEGER DEFAULT 0,
+    correct INTEGER DEFAULT 0,
+    frozen INTEGER DEFAULT 0,
+    daily_goal INTEGER,
+    weekly_goal INTEGER,
+    PRIMARY KEY (user_id, activity_date)
+  );
+`;
+
+const USER_ID = 1;
+
+describe('streakService freezes', () => {
+  let db;
+
+  function addActiveDays(...dates) {
+    dates.forEach(date => db.run(
+      'INSERT INTO daily_activity (user_id, activity_date, answers, correct) VALUES (?, ?, 5, 5)',
+      [USER_ID, date]
+    ));
+  }
+
+  function setFreezes(count) {
+    db.run('UPDATE users SET streak_freezes = ? WHERE id = ?', [count, USER_ID]);
+  }
+
+  function getFreezes() {
+    return db.get('SELECT streak_freezes FROM users WHERE id = ?', [USER_ID]).streak_freezes;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-05-10T12:00:00Z') });
+    db = createMemoryDb(SCHEMA);
+    db.run('INSERT INTO users (id, language_code) VALUES (?, ?)', [USER_ID, 'en']);
+    db.run('INSERT INTO user_settings (user_id, timezone, daily_goal) VALUES (?, ?, ?)', [USER_ID, 'UTC', 4]);
+  });
+
+  afterEach(() => {
+    db.close();
+    jest.useRealTimers();
+  });
+
+  test('answering on consecutive days extends the streak without freezes', () => {
+    addActiveDays('2024-05-08', '2024-05-09');
+    setFreezes(1);
+
+    expect(streakService.recordAnswer(db, USER_ID, true).freezesUsed).toBe(0);
+    expect(streakService.getStreak(db, USER_ID).current).toBe(3);
+    expect(getFreezes()).toBe(1);
+  });
+
+  test('freezes bridge missed days, which keep the streak but do not count', () => {
+    addActiveDays('2024-05-05', '2024-05-06', '2024-05-07');
+    setFreezes(2);
+
+    const activity = streakService.recordAnswer(db, USER_ID, true);
+
+    expect(activity.freezesUsed).toBe(2);
+    expect(getFreezes()).toBe(0);
+    expect(db.all(
+      'SELECT activity_date FROM daily_activity WHERE user_id = ? AND frozen = 1 ORDER BY activity_date',
+      [USER_ID]
+    ).map(day => day.activity_date)).toEqual(['2024-05-08', '2024-05-09']);
+
+    const streak = streakService.getStreak(db, USER_ID);
+    expect(streak.current).toBe(4);
+    expect(streak.activeToday).toBe(true);
+  });
+
+  test('a gap longer than the freezes breaks the streak and keeps the freezes', () => {
+    addActiveDays('2024-05-04', '2024-05-05', '2024-05-06');
+    setFreezes(2);
+
+    expect(streakService.recordAnswer(db, USER_ID, true).freezesUsed).toBe(0);
+    expect(getFreezes()).toBe(2);
+    expect(streakService.getStreak(db, USER_ID)).toMatchObject({ current: 1, longest: 3 });
+  });
+
+  test('before today\'s answer, a bridgeable streak still counts as current', () => {
+    addActiveDays('2024-05-06', '2024-05-07');
+    setFreezes(2);
+
+    expect(streakService.getStreak(db, USER_ID)).toMatchObject({ current: 2, activeToday: false });
+
+    setFreezes(1);
+    expect(streakService.getStreak(db, USER_ID).current).toBe(0);
+  });
+
+  test('freezes are not used when the user turned them off', () => {
+    db.run('UPDATE user_settings SET streak_freezes_enabled = 0 WHERE user_id = ?', [USER_ID]);
+    addActiveDays('2024-05-07', '2024-05-08');
+    setFreezes(2);
+
+    expect(streakService.recordAnswer(db, USER_ID, true).freezesUsed).toBe(0);
+    expect(streakService.getStreak(db, USER_ID).current).toBe(1);
+  });
+
+  test('reaching the freeze goal earns one freeze, up to the maximum', () => {
+    // daily goal 4 × freezeGoalMultiplier 1.5 = 6 answers
+    const earned = [];
+    for (let i = 0; i < 7; i++) {
+      earned.push(streakService.recordAnswer(db, USER_ID, true).freezeEarned);
+    }
+
+    expect(earned).toEqual([false, false, false, false, false, true, false]);
+    expect(getFreezes()).toBe(1);
+
+    db.run('DELETE FROM daily_activity');
+    setFreezes(streakService.settings.maxFreezes);
+    for (let i = 0; i < 6; i++) {
+      streakService.recordAnswer(db, USER_ID, true);
+    }
+    expect(getFreezes()).toBe(streakService.settings.maxFreezes);
+  });
+});
@@ -0,0 +1,88 @@
+const verbRules = require('../../src/services/verbRules');
+const verbService = require('../../src/services/verbService');
+
+const lexicon = verbService.loadLexicon();
+
+function getVerb(infinitive) {
+  const verb = verbService.resolve(infinitive, lexicon);
+  if (!verb) throw new Error(`${infinitive} is not in the lexicon`);
+  return verb;
+}
+
+// All five persons of one tense, first accepted answer each
+function conjugateAll(infinitive, tense) {
+  const verb = getVerb(infinitive);
+  return Object.keys(verbRules.persons).map(person => verbRules.conjugate(verb, tense, person)[0]);
+}
+
+describe('verbRules.conjugate', () => {
+  describe('Präsens (ich, du, er, wir, ihr)', () => {
+    test.each([
+      ['sein', ['bin', 'bist', 'ist', 'sind', 'seid']],
+      ['haben', ['habe', 'hast', 'hat', 'haben', 'habt']],
+      ['werden', ['werde', 'wirst', 'wird', 'werden', 'werdet']],
+      ['tun', ['tue', 'tust', 'tut', 'tun', 'tut']],
+      ['können', ['kann', 'kannst', 'kann', 'können', 'könnt']],
+      ['müssen', ['muss', 'musst', 'muss', 'müssen', 'müsst']],
+      ['wollen', ['will', 'willst', 'will', 'wollen', 'wollt']],
+      ['mögen', ['mag', 'magst', 'mag', 'mögen', 'mögt']],
+      ['wissen', ['weiß', 'weißt', 'weiß', 'wissen', 'wisst']],
+      ['fahren', ['fahre', 'fährst', 'fährt', 'fahren', 'fahrt']],
+      ['arbeiten', ['arbeite', 'arbeitest', 'arbeitet', 'arbeiten', 'arbeitet']]
+    ])('%s', (infinitive, forms) => {
+      expect(conjugateAll(infinitive, 'praesens')).toEqual(forms);
+    });
+
+    test('separable verbs put the prefix last', () => {
+      expect(conjugateAll('aufstehen', 'praesens'))
+        .toEqual(['stehe auf', 'stehst auf', 'steht auf', 'stehen auf', 'steht auf']);
+    });
+  });
+
+  describe('Präteritum', () => {
+    test.each([
+      ['sein', ['war', 'warst', 'war', 'waren', 'wart']],
+      ['werden', ['wurde', 'wurdest', 'wurde', 'wurden', 'wurdet']],
+      ['können', ['konnte', 'konntest', 'konnte', 'konnten', 'konntet']],
+      ['tun', ['tat', 'tatest', 'tat', 'taten', 'tatet']]
+    ])('%s', (infinitive, forms) => {
+      expect(conjugateAll(infinitive, 'praeteritum')).toEqual(forms);
+    });
+
+    test('separable verbs put the prefix last', () => {
+      expect(verbRules.conjugate(getVerb('aufstehen'), 'praeteritum', 'wir')).toEqual(['standen auf']);
+    });
+  });
+
+  describe('Perfekt', () => {
+    test('uses haben or sein as stored', () => {
+      expect(verbRules.conjugate(getVerb('haben'), 'perfekt', 'ich')).toEqual(['habe gehabt']);
+      expect(verbRules.conjugate(getVerb('werden'), 'perfekt', 'du')).toEqual(['bist geworden']);
+      expect(verbRules.conjugate(getVerb('sein'), 'perfekt', 'ihr')).toEqual(['seid gewesen']);
+    });
+
+    test('separable verbs keep the prefix in the Partizip', () => {
+      expect(verbRules.conjugate(getVerb('aufstehen'), 'perfekt', 'er')).toEqual(['ist aufgestanden']);
+    });
+
+    test('verbs that take either auxiliary accept both', () => {
+      const verb = { ...getVerb('fahren'), auxiliary: 'sein/haben' };
+      expect(verbRules.conjugate(verb, 'perfekt', 'wir')).toEqual(['sind gefahren', 'haben gefahren']);
+    });
+  });
+});
+
+describe('verbRules.grade', () => {
+  test('the pronoun is optional and umlauts can be typed as ae/oe/ue', () => {
+    const verb = getVerb('fahren');
+    expect(verbRules.grade('du faehrst', verb, 'praesens', 'du').isCorrect).toBe(true);
+    expect(verbRules.grade('fährst', verb, 'praesens', 'du').isCorrect).toBe(true);
+    expect(verbRules.grade('fahrst', verb, 'praesens', 'du')).toEqual({ isCorrect: false, expected: 'fährst' });
+  });
+
+  test('werden takes werde for ich, not the er form', () => {
+    const verb = getVerb('werden');
+    expect(verbRules.grade('ich werde', verb, 'praesens', 'ich').isCorrect).toBe(true);
+    expect(verbRules.grade('ich wird', verb, 'praesens', 'ich').isCorrect).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+const timezones = require('../../src/utils/timezones');
+
+describe('timezones.parse', () => {
+  test.each([
+    ['Tokyo', 'Asia/Tokyo'],
+    ['new york', 'America/New_York'],
+    ['America/Sao_Paulo', 'America/Sao_Paulo'],
+    ['europe/berlin', 'Europe/Berlin']
+  ])('finds the zone for "%s"', (input, zone) => {
+    expect(timezones.parse(input)).toBe(zone);
+  });
+
+  test.each([
+    ['UTC', 'UTC'],
+    ['gmt', 'UTC'],
+    ['+0', 'UTC'],
+    ['UTC+2', 'Etc/GMT-2'],
+    ['-3', 'Etc/GMT+3'],
+    ['GMT -10', 'Etc/GMT+10']
+  ])('maps the offset "%s" to %s', (input, zone) => {
+    expect(timezones.parse(input)).toBe(zone);
+  });
+
+  test('maps a half-hour offset to a real zone at that offset', () => {
+    const zone = timezones.parse('+5:30');
+    expect(zone).not.toBeNull();
+    expect(timezones.getOffsetMinutes(zone)).toBe(330);
+  });
+
+  test.each(['', '   ', 'Atlantis', '+15', 'UTC+99'])('rejects "%s"', input => {
+    expect(timezones.parse(input)).toBeNull();
+  });
+});
+
+describe('timezones.isInRange', () => {
+  test('a range within one day', () => {
+    expect(timezones.isInRange('13:00', '12:00', '14:00')).toBe(true);
+    expect(timezones.isInRange('12:00', '12:00', '14:00')).toBe(true);
+    expect(timezones.isInRange('14:00', '12:00', '14:00')).toBe(false);
+    expect(timezones.isInRange('11:59', '12:00', '14:00')).toBe(false);
+  });
+
+  test('quiet hours that wrap midnight', () => {
+    expect(timezones.isInRange('23:30', '22:00', '07:00')).toBe(true);
+    expect(timezones.isInRange('00:00', '22:00', '07:00')).toBe(true);
+    expect(timezones.isInRange('06:59', '22:00', '07:00')).toBe(true);
+    expect(timezones.isInRange('07:00', '22:00', '07:00')).toBe(false);
+    expect(timezones.isInRange('12:00', '22:00', '07:00')).toBe(false);
+  });
+
+  test('no quiet hours set', () => {
+    expect(timezones.isInRange('23:00', null, null)).toBe(false);
+  });
+});
+
+describe('timezones.parseTimeRange', () => {
+  test.each([
+    ['22:00-07:00', ['22:00', '07:00']],
+    ['10pm - 7am', ['22:00', '07:00']],
+    ['23.30 to 6', ['23:30', '06:00']]
+  ])('parses "%s"', (input, range) => {
+    expect(timezones.parseTimeRange(input)).toEqual(range);
+  });
+
+  test.each(['22:00', '7-7', '25:00-07:00', '13pm-7am'])('rejects "%s"', input => {
+    expect(timezones.parseTimeRange(input)).toBeNull();
+  });
+});
+
+describe('timezones.getOffsetMinutes', () => {
+  test('is exact late in a minute', () => {
+    const date = new Date('2024-01-15T10:20:45Z');
+    expect(timezones.getOffsetMinutes('Asia/Kolkata', date)).toBe(330);
+    expect(timezones.getOffsetMinutes('America/St_Johns', date)).toBe(-210);
+    expect(timezones.getOffsetMinutes('UTC', date)).toBe(0);
+  });
+});
+
+describe('timezones.getLocalTime', () => {
+  test('shifts to the wall clock of the zone', () => {
+    const date = new Date('2024-01-15T23:30:00Z');
+    // Monday 23:30 UTC is Tuesday 08:30 in Tokyo
+    expect(timezones.getLocalTime('Asia/Tokyo', date)).toEqual({ time: '08:30', weekday: 2 });
+    expect(timezones.getLocalDate('Asia/Tokyo', date)).toBe('2024-01-16');
+  });
+});
+
+describe('timezones.getStartOfDay', () => {
+  test('is local midnight in UTC', () => {
+    const date = new Date('2024-01-15T23:30:45Z');
+    expect(timezones.getStartOfDay('Asia/Tokyo', date)).toBe('2024-01-15 15:00:00');
+    expect(timezones.getStartOfDay('America/New_York', date)).toBe('2024-01-15 05:00:00');
+    expect(timezones.getStartOfDay('UTC', date)).toBe('2024-01-15 00:00:00');
+  });
+});